@@ -0,0 +1,79 @@
+// data/firebase.js — Firestore + Firebase Storage backend
+// ---------------------------------------------------------------
+import admin from "firebase-admin";
+
+function initFirebaseAdmin() {
+  if (admin.apps.length) return;
+
+  // Fix B: use 3 env vars instead of FIREBASE_SERVICE_ACCOUNT JSON
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
+  const privateKey = process.env.FIREBASE_PRIVATE_KEY;
+  const storageBucket = process.env.FIREBASE_STORAGE_BUCKET;
+
+  if (!projectId || !clientEmail || !privateKey) {
+    throw new Error(
+      "Missing Firebase env vars. Set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY (or DATA_BACKEND=local).",
+    );
+  }
+  if (!storageBucket) {
+    throw new Error(
+      "No default storage bucket. Set FIREBASE_STORAGE_BUCKET=your-project-id.appspot.com",
+    );
+  }
+
+  // Normalize key (env var usually contains \n)
+  const pk =
+    String(privateKey)
+      .replace(/\\n/g, "\n")
+      .replace(/^"|"$/g, "") // in case dashboard added quotes
+      .trim() + "\n";
+
+  console.log("[BOOT] Private key length:", pk.length);
+
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId,
+      clientEmail,
+      privateKey: pk,
+    }),
+    storageBucket,
+  });
+}
+
+export function createFirebaseBackend() {
+  initFirebaseAdmin();
+
+  const db = admin.firestore();
+  const bucket = admin.storage().bucket();
+
+  // Boot logs for bucket configuration
+  console.log("[BOOT] Using storage bucket:", bucket?.name || "(none)");
+  if (!bucket?.name) {
+    throw new Error(
+      "No default storage bucket. Set FIREBASE_STORAGE_BUCKET=your-project-id.appspot.com",
+    );
+  }
+
+  // Verify bucket connectivity & permissions once at startup
+  (async () => {
+    try {
+      const [meta] = await bucket.getMetadata();
+      console.log("[BOOT] Bucket metadata ok:", meta?.name || bucket.name);
+    } catch (e) {
+      console.error(
+        "[BOOT] Cannot access bucket. Check FIREBASE_STORAGE_BUCKET and IAM:",
+        e?.message || e,
+      );
+    }
+  })();
+
+  return {
+    name: "firebase",
+    db,
+    bucket,
+    auth: admin.auth(),
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp,
+  };
+}
@@ -0,0 +1,47 @@
+// data/index.js — picks the storage/database backend from configuration
+// ---------------------------------------------------------------
+// DATA_BACKEND=firebase (default): Firestore + Firebase Storage
+// DATA_BACKEND=local: in-memory Firestore stand-in (persisted to
+//   LOCAL_DATA_FILE when set) + files under LOCAL_UPLOADS_DIR (uploads/).
+//   Both hold user data (uploads/ also the URL signing key) and are
+//   git-ignored under uploads/, local-data/ or as *.local.json.
+import {
+  createLocalFirestore,
+  FieldValue,
+  Timestamp,
+} from "./local-firestore.js";
+import { createLocalBucket } from "./local-storage.js";
+
+function createLocalBackend() {
+  const uploadsDir = process.env.LOCAL_UPLOADS_DIR || "uploads";
+  const publicBaseUrl =
+    process.env.PUBLIC_BASE_URL ||
+    `http://localhost:${Number(process.env.PORT) || 5000}`;
+  const dataFile = process.env.LOCAL_DATA_FILE || null;
+
+  console.log(
+    "[BOOT] Local backend:",
+    dataFile ? `data file ${dataFile}` : "in-memory data",
+    `| uploads dir ${uploadsDir}`,
+  );
+
+  return {
+    name: "local",
+    db: createLocalFirestore({ file: dataFile }),
+    bucket: createLocalBucket({ root: uploadsDir, publicBaseUrl }),
+    auth: null, // pair with AUTH_VERIFIER=local
+    FieldValue,
+    Timestamp,
+  };
+}
+
+export async function createBackend(name = process.env.DATA_BACKEND) {
+  const backend = String(name || "firebase").toLowerCase();
+  if (backend === "local") return createLocalBackend();
+  if (backend === "firebase") {
+    // Lazy import so local mode never loads firebase-admin
+    const { createFirebaseBackend } = await import("./firebase.js");
+    return createFirebaseBackend();
+  }
+  throw new Error(`Unknown DATA_BACKEND "${name}" (use firebase or local)`);
+}
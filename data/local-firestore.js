@@ -0,0 +1,707 @@
+// data/local-firestore.js — in-memory Firestore stand-in (optional JSON file)
+// ---------------------------------------------------------------
+// Implements the subset of the firebase-admin Firestore API that server.js
+// uses: collections/subcollections, doc refs, add/set/update/delete,
+// where/orderBy/limit/startAfter queries, collection groups, batches,
+// transactions, getAll, FieldValue sentinels and Timestamp.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/* =========================
+   Timestamp + FieldValue
+========================= */
+
+export class Timestamp {
+  constructor(seconds, nanoseconds = 0) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return new Timestamp(seconds, Math.round((ms - seconds * 1000) * 1e6));
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return (
+      other instanceof Timestamp &&
+      other.seconds === this.seconds &&
+      other.nanoseconds === this.nanoseconds
+    );
+  }
+
+  // Same JSON shape firebase-admin produces
+  toJSON() {
+    return { _seconds: this.seconds, _nanoseconds: this.nanoseconds };
+  }
+}
+
+class Sentinel {
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+export const FieldValue = {
+  serverTimestamp: () => new Sentinel("serverTimestamp"),
+  increment: (n) => new Sentinel("increment", Number(n) || 0),
+  arrayUnion: (...items) => new Sentinel("arrayUnion", items),
+  arrayRemove: (...items) => new Sentinel("arrayRemove", items),
+  delete: () => new Sentinel("delete"),
+};
+
+// Firestore-style error (numeric gRPC code + message)
+function firestoreError(code, message) {
+  const err = new Error(`${code} ${message}`);
+  err.code = code;
+  return err;
+}
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const INVALID_ARGUMENT = 3;
+
+/* =========================
+   Value helpers
+========================= */
+
+const isPlainObject = (v) =>
+  v !== null &&
+  typeof v === "object" &&
+  !Array.isArray(v) &&
+  !(v instanceof Timestamp) &&
+  !(v instanceof Sentinel) &&
+  !(v instanceof Date) &&
+  !Buffer.isBuffer(v);
+
+// Deep copy; Dates become Timestamps like they do in Firestore
+function clone(value) {
+  if (value instanceof Timestamp) {
+    return new Timestamp(value.seconds, value.nanoseconds);
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (typeof v !== "undefined") out[k] = clone(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+// Firestore cross-type ordering
+function typeRank(v) {
+  if (v === null || typeof v === "undefined") return 0;
+  if (typeof v === "boolean") return 1;
+  if (typeof v === "number") return 2;
+  if (v instanceof Timestamp) return 3;
+  if (typeof v === "string") return 4;
+  if (Array.isArray(v)) return 6;
+  return 7;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 0) return 0;
+  if (ra === 3) return a.toMillis() - b.toMillis();
+  if (ra === 6) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareValues(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  if (ra === 7) {
+    return compareValues(JSON.stringify(a), JSON.stringify(b));
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const valuesEqual = (a, b) =>
+  typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+
+function getField(data, fieldPath) {
+  let cur = data;
+  for (const key of String(fieldPath).split(".")) {
+    if (!isPlainObject(cur) || !(key in cur)) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+// Resolve sentinels against the previous value at the same path
+function resolveValue(value, prev) {
+  if (value instanceof Sentinel) {
+    switch (value.kind) {
+      case "serverTimestamp":
+        return Timestamp.now();
+      case "increment":
+        return (typeof prev === "number" ? prev : 0) + value.value;
+      case "arrayUnion": {
+        const arr = Array.isArray(prev) ? [...prev] : [];
+        for (const item of value.value) {
+          if (!arr.some((x) => valuesEqual(x, item))) arr.push(clone(item));
+        }
+        return arr;
+      }
+      case "arrayRemove":
+        return Array.isArray(prev)
+          ? prev.filter((x) => !value.value.some((r) => valuesEqual(x, r)))
+          : [];
+      default:
+        return undefined;
+    }
+  }
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v instanceof Sentinel && v.kind === "delete") continue;
+      const resolved = resolveValue(
+        v,
+        isPlainObject(prev) ? prev[k] : undefined,
+      );
+      if (typeof resolved !== "undefined") out[k] = resolved;
+    }
+    return out;
+  }
+  if (Array.isArray(value)) return value.map((v) => resolveValue(v));
+  return clone(value);
+}
+
+function setField(data, fieldPath, value) {
+  const keys = String(fieldPath).split(".");
+  let cur = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(cur[key])) cur[key] = {};
+    cur = cur[key];
+  }
+  const last = keys[keys.length - 1];
+  if (value instanceof Sentinel && value.kind === "delete") {
+    delete cur[last];
+    return;
+  }
+  const resolved = resolveValue(value, cur[last]);
+  if (typeof resolved !== "undefined") cur[last] = resolved;
+}
+
+function deepMerge(target, patch) {
+  for (const [k, v] of Object.entries(patch)) {
+    if (v instanceof Sentinel && v.kind === "delete") {
+      delete target[k];
+    } else if (isPlainObject(v) && isPlainObject(target[k])) {
+      deepMerge(target[k], v);
+    } else {
+      const resolved = resolveValue(v, target[k]);
+      if (typeof resolved !== "undefined") target[k] = resolved;
+    }
+  }
+  return target;
+}
+
+const autoId = () => {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.randomBytes(20);
+  let id = "";
+  for (const b of bytes) id += chars[b % chars.length];
+  return id;
+};
+
+/* =========================
+   Snapshots
+========================= */
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = typeof data !== "undefined";
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+/* =========================
+   References + Queries
+========================= */
+
+const OPS = {
+  "==": (a, b) => valuesEqual(a, b),
+  "!=": (a, b) => typeof a !== "undefined" && !valuesEqual(a, b),
+  "<": (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) < 0,
+  "<=": (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) <= 0,
+  ">": (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) > 0,
+  ">=": (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) >= 0,
+  in: (a, b) => Array.isArray(b) && b.some((x) => valuesEqual(a, x)),
+  "not-in": (a, b) =>
+    typeof a !== "undefined" &&
+    Array.isArray(b) &&
+    !b.some((x) => valuesEqual(a, x)),
+  "array-contains": (a, b) =>
+    Array.isArray(a) && a.some((x) => valuesEqual(x, b)),
+  "array-contains-any": (a, b) =>
+    Array.isArray(a) &&
+    Array.isArray(b) &&
+    a.some((x) => b.some((y) => valuesEqual(x, y))),
+};
+
+class Query {
+  constructor(store, spec) {
+    this._store = store;
+    this._spec = {
+      collectionPath: null,
+      groupId: null,
+      filters: [],
+      orders: [],
+      limit: null,
+      limitToLast: null,
+      offset: 0,
+      startAfter: null,
+      startAt: null,
+      ...spec,
+    };
+  }
+
+  _with(patch) {
+    return new Query(this._store, { ...this._spec, ...patch });
+  }
+
+  where(field, op, value) {
+    if (!OPS[op]) {
+      throw firestoreError(INVALID_ARGUMENT, `Unsupported operator "${op}"`);
+    }
+    return this._with({
+      filters: [...this._spec.filters, { field, op, value: clone(value) }],
+    });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({
+      orders: [
+        ...this._spec.orders,
+        { field, dir: String(direction).toLowerCase() === "desc" ? -1 : 1 },
+      ],
+    });
+  }
+
+  limit(n) {
+    return this._with({ limit: n, limitToLast: null });
+  }
+
+  limitToLast(n) {
+    return this._with({ limitToLast: n, limit: null });
+  }
+
+  offset(n) {
+    return this._with({ offset: n });
+  }
+
+  startAfter(...values) {
+    return this._with({ startAfter: values, startAt: null });
+  }
+
+  startAt(...values) {
+    return this._with({ startAt: values, startAfter: null });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snap = await this.get();
+        return { data: () => ({ count: snap.size }) };
+      },
+    };
+  }
+
+  // Sort key: explicit orders, then document path (Firestore's __name__).
+  // Value cursors (path null) compare on the ordered fields only.
+  _compare(a, b) {
+    for (const { field, dir } of this._spec.orders) {
+      const c = compareValues(getField(a.data, field), getField(b.data, field));
+      if (c) return c * dir;
+    }
+    if (a.path === null || b.path === null) return 0;
+    const lastDir = this._spec.orders.length
+      ? this._spec.orders[this._spec.orders.length - 1].dir
+      : 1;
+    return (a.path < b.path ? -1 : a.path > b.path ? 1 : 0) * lastDir;
+  }
+
+  _cursorEntry(values) {
+    const [first] = values;
+    if (first instanceof DocumentSnapshot) {
+      return { path: first.ref.path, data: first._data || {} };
+    }
+    const data = {};
+    this._spec.orders.forEach(({ field }, i) => {
+      if (i < values.length) setField(data, field, values[i]);
+    });
+    return { path: null, data };
+  }
+
+  _run() {
+    const { filters, orders } = this._spec;
+    let rows = this._store
+      .scan(this._spec)
+      .filter(({ data }) =>
+        filters.every(({ field, op, value }) =>
+          OPS[op](getField(data, field), value),
+        ),
+      )
+      // orderBy drops docs that lack the field
+      .filter(({ data }) =>
+        orders.every(
+          ({ field }) => typeof getField(data, field) !== "undefined",
+        ),
+      );
+
+    rows.sort((a, b) => this._compare(a, b));
+
+    const cursor = this._spec.startAfter || this._spec.startAt;
+    if (cursor) {
+      const entry = this._cursorEntry(cursor);
+      const inclusive = !!this._spec.startAt;
+      rows = rows.filter((row) => {
+        const c = this._compare(row, entry);
+        return inclusive ? c >= 0 : c > 0;
+      });
+    }
+
+    if (this._spec.offset) rows = rows.slice(this._spec.offset);
+    if (this._spec.limit !== null) rows = rows.slice(0, this._spec.limit);
+    if (this._spec.limitToLast !== null) {
+      rows = rows.slice(-this._spec.limitToLast);
+    }
+    return rows;
+  }
+
+  async get() {
+    return new QuerySnapshot(
+      this._run().map(
+        ({ path: p, data }) =>
+          new DocumentSnapshot(this._store.docRef(p), data),
+      ),
+    );
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, collectionPath) {
+    super(store, { collectionPath });
+    this.path = collectionPath;
+    this.id = collectionPath.split("/").pop();
+  }
+
+  get parent() {
+    const parts = this.path.split("/");
+    return parts.length > 1
+      ? this._store.docRef(parts.slice(0, -1).join("/"))
+      : null;
+  }
+
+  doc(id) {
+    return this._store.docRef(`${this.path}/${id ?? autoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this._store
+      .scan({ collectionPath: this.path })
+      .map(({ path: p }) => this._store.docRef(p));
+  }
+}
+
+class DocumentReference {
+  constructor(store, docPath) {
+    this._store = store;
+    this.path = docPath;
+    this.id = docPath.split("/").pop();
+  }
+
+  get parent() {
+    return new CollectionReference(
+      this._store,
+      this.path.split("/").slice(0, -1).join("/"),
+    );
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async listCollections() {
+    return this._store
+      .subcollectionIds(this.path)
+      .map((id) => this.collection(id));
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._store.read(this.path));
+  }
+
+  async set(data, options) {
+    this._store.commit([{ type: "set", ref: this, data, options }]);
+  }
+
+  async create(data) {
+    this._store.commit([{ type: "create", ref: this, data }]);
+  }
+
+  async update(data) {
+    this._store.commit([{ type: "update", ref: this, data }]);
+  }
+
+  async delete() {
+    this._store.commit([{ type: "delete", ref: this }]);
+  }
+}
+
+/* =========================
+   Batches + Transactions
+========================= */
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._ops = [];
+  }
+
+  set(ref, data, options) {
+    this._ops.push({ type: "set", ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this._ops.push({ type: "create", ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this._ops.push({ type: "update", ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._ops.push({ type: "delete", ref });
+    return this;
+  }
+
+  async commit() {
+    this._store.commit(this._ops);
+    return [];
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((r) => r.get()));
+  }
+}
+
+/* =========================
+   Store + Firestore facade
+========================= */
+
+// Persisted form: Timestamps become { __ts: [seconds, nanos] }
+const encode = (value) =>
+  JSON.parse(
+    JSON.stringify(value, function replacer(key, v) {
+      const raw = this[key];
+      return raw instanceof Timestamp
+        ? { __ts: [raw.seconds, raw.nanoseconds] }
+        : v;
+    }),
+  );
+
+const decode = (value) =>
+  JSON.parse(JSON.stringify(value), (key, v) =>
+    v && Array.isArray(v.__ts) ? new Timestamp(v.__ts[0], v.__ts[1]) : v,
+  );
+
+class Store {
+  constructor({ file = null } = {}) {
+    this.docs = new Map(); // "col/id[/sub/id...]" → data
+    this.file = file ? path.resolve(file) : null;
+    this._saveTimer = null;
+
+    if (this.file && fs.existsSync(this.file)) {
+      const raw = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      for (const [p, data] of Object.entries(decode(raw))) {
+        this.docs.set(p, data);
+      }
+    }
+    if (this.file) {
+      process.on("exit", () => this.flush());
+    }
+  }
+
+  docRef(docPath) {
+    return new DocumentReference(this, docPath);
+  }
+
+  read(docPath) {
+    return this.docs.get(docPath);
+  }
+
+  scan({ collectionPath, groupId }) {
+    const rows = [];
+    for (const [p, data] of this.docs.entries()) {
+      const parts = p.split("/");
+      const colPath = parts.slice(0, -1).join("/");
+      const match = groupId
+        ? parts[parts.length - 2] === groupId
+        : colPath === collectionPath;
+      if (match) rows.push({ path: p, data });
+    }
+    return rows;
+  }
+
+  subcollectionIds(docPath) {
+    const prefix = `${docPath}/`;
+    const ids = new Set();
+    for (const p of this.docs.keys()) {
+      if (p.startsWith(prefix)) ids.add(p.slice(prefix.length).split("/")[0]);
+    }
+    return [...ids];
+  }
+
+  // All-or-nothing: validate every op first, then apply
+  commit(ops) {
+    for (const op of ops) {
+      if (op.type === "update" && !this.docs.has(op.ref.path)) {
+        throw firestoreError(
+          NOT_FOUND,
+          `No document to update: ${op.ref.path}`,
+        );
+      }
+      if (op.type === "create" && this.docs.has(op.ref.path)) {
+        throw firestoreError(
+          ALREADY_EXISTS,
+          `Document already exists: ${op.ref.path}`,
+        );
+      }
+    }
+
+    for (const op of ops) {
+      const p = op.ref.path;
+      if (op.type === "delete") {
+        this.docs.delete(p);
+      } else if (op.type === "update") {
+        const next = clone(this.docs.get(p));
+        for (const [field, value] of Object.entries(op.data)) {
+          setField(next, field, value);
+        }
+        this.docs.set(p, next);
+      } else if (op.options?.merge) {
+        this.docs.set(p, deepMerge(clone(this.docs.get(p) || {}), op.data));
+      } else {
+        this.docs.set(p, resolveValue(op.data, undefined));
+      }
+    }
+
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (!this.file || this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this.flush(), 200);
+    this._saveTimer.unref?.();
+  }
+
+  flush() {
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify(encode(Object.fromEntries(this.docs))),
+    );
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+export function createLocalFirestore(options = {}) {
+  const store = new Store(options);
+  let txChain = Promise.resolve();
+
+  return {
+    collection: (name) => new CollectionReference(store, name),
+    doc: (docPath) => store.docRef(docPath),
+    collectionGroup: (groupId) => new Query(store, { groupId }),
+    batch: () => new WriteBatch(store),
+    getAll: async (...refs) => Promise.all(refs.map((r) => r.get())),
+    listCollections: async () =>
+      [...new Set([...store.docs.keys()].map((p) => p.split("/")[0]))].map(
+        (id) => new CollectionReference(store, id),
+      ),
+
+    // Transactions run one at a time; writes apply only if fn resolves
+    runTransaction: (fn) => {
+      const run = txChain.then(async () => {
+        const tx = new Transaction(store);
+        const result = await fn(tx);
+        store.commit(tx._ops);
+        return result;
+      });
+      txChain = run.catch(() => {});
+      return run;
+    },
+
+    flush: () => store.flush(),
+  };
+}
@@ -0,0 +1,186 @@
+// data/local-storage.js — disk-backed stand-in for a GCS bucket
+// ---------------------------------------------------------------
+// Objects live under `root`. Signed URLs are /uploads/<path>?expires=
+// &signature= (HMAC over name, expiry and disposition); the server's
+// /uploads route serves an object only after bucket.verifySignedUrl().
+// The key comes from LOCAL_URL_SECRET, else <root>/.url-key (created once)
+// so stored question-image URLs survive restarts.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".json": "application/json",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+};
+
+const notFound = (name) => {
+  const err = new Error(`No such object: ${name}`);
+  err.code = 404;
+  return err;
+};
+
+class LocalFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+    this.path = bucket.resolve(name);
+  }
+
+  async save(data, options = {}) {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.writeFile(this.path, data);
+    const contentType = options.contentType || options.metadata?.contentType;
+    if (contentType) this.bucket.contentTypes.set(this.name, contentType);
+  }
+
+  async exists() {
+    return [fs.existsSync(this.path)];
+  }
+
+  async download() {
+    if (!fs.existsSync(this.path)) throw notFound(this.name);
+    return [await fs.promises.readFile(this.path)];
+  }
+
+  createReadStream() {
+    return fs.createReadStream(this.path);
+  }
+
+  async delete({ ignoreNotFound = false } = {}) {
+    try {
+      await fs.promises.unlink(this.path);
+      this.bucket.contentTypes.delete(this.name);
+    } catch (e) {
+      if (e.code === "ENOENT") {
+        if (ignoreNotFound) return [];
+        throw notFound(this.name);
+      }
+      throw e;
+    }
+    return [];
+  }
+
+  async getMetadata() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.path);
+    } catch {
+      throw notFound(this.name);
+    }
+    return [
+      {
+        name: this.name,
+        bucket: this.bucket.name,
+        size: String(stat.size),
+        contentType:
+          this.bucket.contentTypes.get(this.name) ||
+          CONTENT_TYPES[path.extname(this.name).toLowerCase()] ||
+          "application/octet-stream",
+        timeCreated: stat.birthtime.toISOString(),
+        updated: stat.mtime.toISOString(),
+      },
+    ];
+  }
+
+  async getSignedUrl({ expires, responseDisposition } = {}) {
+    const until = new Date(expires ?? Date.now()).getTime();
+    if (!Number.isFinite(until)) throw new Error(`Invalid expires: ${expires}`);
+    const encoded = this.name.split("/").map(encodeURIComponent).join("/");
+    const query = new URLSearchParams({
+      expires: String(until),
+      ...(responseDisposition ? { disposition: responseDisposition } : {}),
+      signature: this.bucket.sign(this.name, until, responseDisposition),
+    });
+    return [`${this.bucket.publicBaseUrl}/uploads/${encoded}?${query}`];
+  }
+}
+
+const URL_KEY_FILE = ".url-key"; // not an object: getFiles() skips it
+
+function loadUrlKey(absRoot) {
+  if (process.env.LOCAL_URL_SECRET) return process.env.LOCAL_URL_SECRET;
+  const keyFile = path.join(absRoot, URL_KEY_FILE);
+  try {
+    return fs.readFileSync(keyFile, "utf8").trim();
+  } catch {
+    const key = crypto.randomBytes(32).toString("hex");
+    fs.writeFileSync(keyFile, key, { mode: 0o600 });
+    return key;
+  }
+}
+
+export function createLocalBucket({ root = "uploads", publicBaseUrl }) {
+  const absRoot = path.resolve(root);
+  fs.mkdirSync(absRoot, { recursive: true });
+  const urlKey = loadUrlKey(absRoot);
+
+  const bucket = {
+    name: `local:${absRoot}`,
+    root: absRoot,
+    publicBaseUrl: String(publicBaseUrl).replace(/\/$/, ""),
+    contentTypes: new Map(),
+
+    // Object name → absolute path, refusing anything outside root
+    resolve(name) {
+      const abs = path.resolve(absRoot, String(name));
+      if (abs !== absRoot && !abs.startsWith(absRoot + path.sep)) {
+        throw new Error(`Invalid object name: ${name}`);
+      }
+      return abs;
+    },
+
+    file: (name) => new LocalFile(bucket, name),
+
+    sign: (name, expires, disposition = "") =>
+      crypto
+        .createHmac("sha256", urlKey)
+        .update(`${name}\n${expires}\n${disposition || ""}`)
+        .digest("hex"),
+
+    // query = { expires, disposition?, signature } from a signed URL
+    verifySignedUrl(name, { expires, disposition, signature } = {}) {
+      const until = Number(expires);
+      if (!Number.isFinite(until) || until <= Date.now()) return false;
+      const expected = Buffer.from(bucket.sign(name, until, disposition));
+      const given = Buffer.from(String(signature ?? ""));
+      return (
+        given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected)
+      );
+    },
+
+    async getMetadata() {
+      return [{ name: bucket.name }];
+    },
+
+    async getFiles({ prefix = "" } = {}) {
+      const out = [];
+      const walk = async (dir) => {
+        const entries = await fs.promises
+          .readdir(dir, { withFileTypes: true })
+          .catch(() => []);
+        for (const e of entries) {
+          const abs = path.join(dir, e.name);
+          if (e.isDirectory()) await walk(abs);
+          else {
+            const name = path.relative(absRoot, abs).split(path.sep).join("/");
+            if (name !== URL_KEY_FILE && name.startsWith(prefix))
+              out.push(bucket.file(name));
+          }
+        }
+      };
+      await walk(absRoot);
+      return [out];
+    },
+  };
+
+  return bucket;
+}
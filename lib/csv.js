@@ -0,0 +1,23 @@
+// lib/csv.js — CSV for reports that are opened in spreadsheets
+// ---------------------------------------------------------------
+// Unlike the question-bank CSV (lib/question-formats.js), these files are
+// never imported back, so cells that start with = + - @ are prefixed with
+// an apostrophe to stop Excel/Sheets from evaluating them as formulas.
+
+function reportCell(value) {
+  let v = value === null || typeof value === "undefined" ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+  return /[",\r\n;]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+// columns: [{ name, value: (row) => any }]
+export function toReportCsv(rows, columns) {
+  const lines = [
+    columns.map((c) => reportCell(c.name)).join(","),
+    ...rows.map((row) =>
+      columns.map((c) => reportCell(c.value(row))).join(","),
+    ),
+  ];
+  // BOM so Excel opens UTF-8 (Bangla) correctly
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
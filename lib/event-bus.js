@@ -0,0 +1,51 @@
+// lib/event-bus.js — in-process pub/sub with a replay buffer (for SSE)
+// ---------------------------------------------------------------
+// Event ids are "<boot>-<seq>". A client resuming with a Last-Event-ID
+// from another process, or older than the buffer, gets `null` from
+// since() and should refetch instead of silently missing events.
+// Single instance only: events never leave the process that emitted them.
+import { EventEmitter } from "events";
+
+export function createEventBus({ bufferSize = 500 } = {}) {
+  const boot = Date.now().toString(36);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open stream
+  const buffer = [];
+  let seq = 0;
+
+  // target: who may receive it; interpreted by the subscriber
+  function publish(type, data, target = {}) {
+    seq += 1;
+    const event = {
+      id: `${boot}-${seq}`,
+      seq,
+      type,
+      data,
+      target,
+      at: new Date().toISOString(),
+    };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+    emitter.emit("event", event);
+    return event;
+  }
+
+  // Events after `lastId`, or null when the gap can't be replayed
+  function since(lastId) {
+    const [idBoot, idSeq] = String(lastId || "").split("-");
+    const after = Number(idSeq);
+    if (idBoot !== boot || !Number.isInteger(after) || after > seq) {
+      return null;
+    }
+    const oldest = buffer.length ? buffer[0].seq : seq + 1;
+    if (after < oldest - 1) return null;
+    return buffer.filter((e) => e.seq > after);
+  }
+
+  function subscribe(listener) {
+    emitter.on("event", listener);
+    return () => emitter.off("event", listener);
+  }
+
+  return { publish, since, subscribe };
+}
@@ -0,0 +1,480 @@
+// lib/question-formats.js — question bank import/export (CSV, JSON, Aiken, GIFT)
+// ---------------------------------------------------------------
+// Every parser returns rows of { row, question } or { row, error }, where
+// `question` is the raw { text, options, correctAnswer, image, setId,
+// setOrder } shape; server.js validates it like any other question payload.
+// The JSON/CSV serializers at the bottom write what the parsers read.
+
+export const IMPORT_FORMATS = ["csv", "json", "aiken", "gift"];
+
+// Pick a format from an explicit value, then the file extension, then content
+export function detectFormat(explicit, filename = "", content = "") {
+  const fmt = String(explicit || "").toLowerCase();
+  if (IMPORT_FORMATS.includes(fmt)) return fmt;
+
+  const ext = (
+    String(filename).match(/\.([a-z0-9]+)$/i)?.[1] || ""
+  ).toLowerCase();
+  if (ext === "csv") return "csv";
+  if (ext === "json") return "json";
+  if (ext === "gift") return "gift";
+  if (ext === "aiken") return "aiken";
+
+  const trimmed = content.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) return "json";
+  if (/\{[^}]*[=~][^}]*\}/.test(trimmed)) return "gift";
+  if (/^ANSWER\s*:/im.test(trimmed)) return "aiken";
+  return null;
+}
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// "2" → 2, "C" → 2 (letters are 0-based A=0), otherwise passthrough
+function answerIndex(raw) {
+  if (typeof raw === "number") return raw;
+  const v = String(raw ?? "").trim();
+  if (/^[A-Za-z]$/.test(v)) return LETTERS.indexOf(v.toUpperCase());
+  return v === "" ? undefined : Number(v);
+}
+
+const blankToNull = (v) =>
+  v === null || typeof v === "undefined" || String(v).trim() === ""
+    ? null
+    : String(v).trim();
+
+/* =========================
+   CSV
+========================= */
+
+// RFC 4180: quoted fields, "" escapes, newlines inside quotes
+export function parseCsv(content) {
+  const src = content.replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Header: text, option1..optionN (or options as a JSON array),
+// correctAnswer (index or letter), image, setId, setOrder, and optional
+// tags ("a|b"), difficulty (1-5), topic
+function parseCsvQuestions(content) {
+  const [header, ...lines] = parseCsv(content);
+  if (!header) return [];
+  const cols = header.map((h) => h.trim());
+  const optionCols = cols
+    .map((c, i) => ({ i, m: c.match(/^option\s*(\d+)$/i) }))
+    .filter((c) => c.m)
+    .sort((a, b) => Number(a.m[1]) - Number(b.m[1]));
+  const col = (name) =>
+    cols.findIndex((c) => c.toLowerCase() === name.toLowerCase());
+
+  return lines.map((cells, idx) => {
+    const row = idx + 2; // 1-based, after the header line
+    const get = (name) => {
+      const i = col(name);
+      return i === -1 ? undefined : cells[i];
+    };
+
+    let options;
+    if (optionCols.length) {
+      // Rows may leave trailing option columns empty; a gap would shift
+      // the later options and make correctAnswer point at the wrong one
+      options = optionCols.map(({ i }) => (cells[i] ?? "").trim());
+      while (options.length && options[options.length - 1] === "") {
+        options.pop();
+      }
+      const gap = options.indexOf("");
+      if (gap !== -1) {
+        return {
+          row,
+          error: `'${cols[optionCols[gap].i]}' is empty but later options are not`,
+        };
+      }
+    } else if (typeof get("options") !== "undefined") {
+      try {
+        options = JSON.parse(get("options"));
+      } catch {
+        return { row, error: "'options' must be a JSON array" };
+      }
+    }
+
+    return {
+      row,
+      exam: {
+        title: blankToNull(get("examTitle")),
+        questionPercentage: blankToNull(get("examQuestionPercentage")),
+      },
+      question: {
+        text: (get("text") ?? "").trim(),
+        options,
+        correctAnswer: answerIndex(get("correctAnswer")),
+        image: blankToNull(get("image")),
+        setId: blankToNull(get("setId")),
+        setOrder: blankToNull(get("setOrder")),
+        ...csvMeta(get),
+      },
+    };
+  });
+}
+
+// Optional tags ("a|b"), difficulty and topic columns
+function csvMeta(get) {
+  const meta = {};
+  const tags = get("tags");
+  if (typeof tags !== "undefined") {
+    meta.tags = tags
+      .split("|")
+      .map((t) => t.trim())
+      .filter(Boolean);
+  }
+  if (typeof get("difficulty") !== "undefined") {
+    meta.difficulty = blankToNull(get("difficulty"));
+  }
+  if (typeof get("topic") !== "undefined") {
+    meta.topic = blankToNull(get("topic"));
+  }
+  return meta;
+}
+
+/* =========================
+   JSON
+========================= */
+
+function readJson(content) {
+  try {
+    return { data: JSON.parse(content.replace(/^\uFEFF/, "")) };
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+}
+
+const jsonRows = (list) =>
+  list.map((q, idx) => ({
+    row: idx + 1,
+    question: {
+      text: typeof q?.text === "string" ? q.text.trim() : q?.text,
+      options: q?.options,
+      correctAnswer: answerIndex(q?.correctAnswer),
+      image: blankToNull(q?.image),
+      setId: blankToNull(q?.setId),
+      setOrder: blankToNull(q?.setOrder),
+      ...(typeof q?.tags !== "undefined" ? { tags: q.tags } : {}),
+      ...(typeof q?.difficulty !== "undefined"
+        ? { difficulty: q.difficulty }
+        : {}),
+      ...(typeof q?.topic !== "undefined" ? { topic: q.topic } : {}),
+    },
+  }));
+
+// An array of questions, or { questions: [...] } (a single-exam export)
+function parseJsonQuestions(content) {
+  const { data, error } = readJson(content);
+  if (error) return [{ row: 0, error }];
+  const list = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.questions)
+      ? data.questions
+      : null;
+  if (!list) {
+    return [{ row: 0, error: "Expected an array of questions" }];
+  }
+  return jsonRows(list);
+}
+
+/* =========================
+   Aiken
+========================= */
+
+// Question line(s), "A. option" / "A) option" lines, then "ANSWER: X".
+// Blocks are separated by blank lines.
+function parseAikenQuestions(content) {
+  const out = [];
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  let block = [];
+  let startLine = 1;
+
+  const flush = () => {
+    if (!block.length) return;
+    const row = startLine;
+    const textLines = [];
+    const options = [];
+    let answer;
+
+    for (const line of block) {
+      const opt = line.match(/^([A-Z])[.)]\s+(.*)$/);
+      const ans = line.match(/^ANSWER\s*:\s*([A-Z])\s*$/i);
+      if (ans) answer = LETTERS.indexOf(ans[1].toUpperCase());
+      else if (opt && opt[1] === LETTERS[options.length]) options.push(opt[2]);
+      else if (!options.length) textLines.push(line);
+      else {
+        out.push({ row, error: `Unexpected line: "${line}"` });
+        block = [];
+        return;
+      }
+    }
+
+    if (typeof answer === "undefined") {
+      out.push({ row, error: "Missing 'ANSWER:' line" });
+    } else {
+      out.push({
+        row,
+        question: {
+          text: textLines.join("\n").trim(),
+          options,
+          correctAnswer: answer,
+          image: null,
+          setId: null,
+          setOrder: null,
+        },
+      });
+    }
+    block = [];
+  };
+
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return flush();
+    if (!block.length) startLine = i + 1;
+    block.push(line);
+    if (/^ANSWER\s*:/i.test(line)) flush();
+  });
+  flush();
+  return out;
+}
+
+/* =========================
+   GIFT (multiple choice subset)
+========================= */
+
+// Unescape GIFT's \~ \= \# \{ \} \: sequences
+const giftText = (s) => s.replace(/\\([~=#{}:])/g, "$1").trim();
+
+// "::title:: Question text {=right ~wrong ~wrong}" — one "=" answer.
+// Comments (//) and $CATEGORY lines are skipped; feedback (#...) dropped.
+function parseGiftQuestions(content) {
+  const out = [];
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  let block = [];
+  let startLine = 1;
+
+  const flush = () => {
+    if (!block.length) return;
+    const row = startLine;
+    const src = block.join("\n");
+    block = [];
+
+    const m = src.match(
+      /^(?:::(.*?)::)?([\s\S]*?)(?<!\\)\{([\s\S]*?)(?<!\\)\}([\s\S]*)$/,
+    );
+    if (!m) {
+      out.push({ row, error: "Missing {answers} block" });
+      return;
+    }
+    const text = giftText(`${m[2]} ${m[4]}`.replace(/\s+$/, ""));
+    const parts = m[3]
+      .split(/(?<!\\)(?=[=~])/)
+      .map((p) => p.trim())
+      .filter(Boolean);
+
+    const options = [];
+    let correctAnswer;
+    for (const part of parts) {
+      const body = giftText(part.slice(1).split(/(?<!\\)#/)[0]);
+      if (part[0] === "=") {
+        if (typeof correctAnswer !== "undefined") {
+          out.push({ row, error: "Only one correct (=) answer is supported" });
+          return;
+        }
+        correctAnswer = options.length;
+      }
+      options.push(body);
+    }
+
+    out.push({
+      row,
+      question: {
+        text,
+        options,
+        correctAnswer,
+        image: null,
+        setId: null,
+        setOrder: null,
+      },
+    });
+  };
+
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (line.startsWith("//") || line.startsWith("$CATEGORY")) return;
+    if (!line) return flush();
+    if (!block.length) startLine = i + 1;
+    block.push(line);
+  });
+  flush();
+  return out;
+}
+
+const parsers = {
+  csv: parseCsvQuestions,
+  json: parseJsonQuestions,
+  aiken: parseAikenQuestions,
+  gift: parseGiftQuestions,
+};
+
+export function parseQuestions(content, format) {
+  return parsers[format](String(content));
+}
+
+// Whole-bank files → [{ title, questionPercentage, rows }] or { error }.
+// JSON: { exams: [{ title, questionPercentage, questions }] }
+// CSV: one row per question with examTitle/examQuestionPercentage columns
+export function parseBank(content, format) {
+  if (format === "json") {
+    const { data, error } = readJson(String(content));
+    if (error) return { error };
+    if (!Array.isArray(data?.exams)) {
+      return { error: "Expected { exams: [...] }" };
+    }
+    return {
+      exams: data.exams.map((e) => ({
+        title: blankToNull(e?.title),
+        questionPercentage: Number(e?.questionPercentage) || 0,
+        rows: Array.isArray(e?.questions)
+          ? jsonRows(e.questions)
+          : [{ row: 0, error: "Exam has no 'questions' array" }],
+      })),
+    };
+  }
+
+  if (format === "csv") {
+    const byTitle = new Map();
+    const orphans = [];
+    for (const r of parseCsvQuestions(String(content))) {
+      const title = r.exam?.title;
+      if (!title) {
+        orphans.push({ row: r.row, error: r.error || "Missing 'examTitle'" });
+        continue;
+      }
+      if (!byTitle.has(title)) {
+        byTitle.set(title, {
+          title,
+          questionPercentage: Number(r.exam.questionPercentage) || 0,
+          rows: [],
+        });
+      }
+      byTitle.get(title).rows.push(r);
+    }
+    const exams = [...byTitle.values()];
+    if (orphans.length) {
+      exams.push({ title: null, questionPercentage: 0, rows: orphans });
+    }
+    return { exams };
+  }
+
+  return { error: "Bank import supports json or csv" };
+}
+
+/* =========================
+   Export (JSON / CSV)
+========================= */
+
+// Portable question shape: no IDs or timestamps
+export const exportQuestion = (q) => ({
+  text: q.text ?? "",
+  options: Array.isArray(q.options) ? q.options : [],
+  correctAnswer: Number(q.correctAnswer) || 0,
+  image: q.image || null,
+  setId: q.setId || null,
+  setOrder: Number.isFinite(Number(q.setOrder)) ? Number(q.setOrder) : 0,
+  tags: Array.isArray(q.tags) ? q.tags : [],
+  difficulty: q.difficulty ?? null,
+  topic: q.topic ?? null,
+});
+
+// Quote when needed (values are written verbatim so imports round-trip)
+function csvCell(value) {
+  const v = value === null || typeof value === "undefined" ? "" : String(value);
+  return /[",\r\n;]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+// Columns match parseCsvQuestions; `extra` prepends columns such as
+// examTitle for whole-bank exports (ignored on import).
+export function questionsToCsv(questions, { extra = [] } = {}) {
+  const width = Math.max(
+    2,
+    ...questions.map((q) => (Array.isArray(q.options) ? q.options.length : 0)),
+  );
+  const optionCols = Array.from({ length: width }, (_, i) => `option${i + 1}`);
+  const header = [
+    ...extra.map((c) => c.name),
+    "text",
+    ...optionCols,
+    "correctAnswer",
+    "image",
+    "setId",
+    "setOrder",
+    "tags",
+    "difficulty",
+    "topic",
+  ];
+
+  const lines = questions.map((raw) => {
+    const q = exportQuestion(raw);
+    return [
+      ...extra.map((c) => c.value(raw)),
+      q.text,
+      ...optionCols.map((_, i) => q.options[i] ?? ""),
+      q.correctAnswer,
+      q.image ?? "",
+      q.setId ?? "",
+      q.setOrder,
+      q.tags.join("|"),
+      q.difficulty ?? "",
+      q.topic ?? "",
+    ]
+      .map(csvCell)
+      .join(",");
+  });
+
+  // BOM so Excel opens UTF-8 (Bangla) correctly
+  return "\uFEFF" + [header.join(","), ...lines].join("\r\n") + "\r\n";
+}
@@ -0,0 +1,148 @@
+// lib/question-paper.js — printable PDF question paper (PDFKit)
+// ---------------------------------------------------------------
+// Blocks (a setId group or a single question) are never split across
+// pages. Set PDF_FONT_PATH to a TTF with Bangla glyphs (e.g. Noto Sans
+// Bengali) for non-Latin text; the built-in Helvetica is Latin-only.
+import fs from "fs";
+import PDFDocument from "pdfkit";
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const OPTION_INDENT = 18;
+
+function useFont(doc) {
+  const fontPath = process.env.PDF_FONT_PATH;
+  if (fontPath && fs.existsSync(fontPath)) {
+    doc.registerFont("body", fontPath);
+    doc.font("body");
+    return true;
+  }
+  doc.font("Helvetica");
+  return false;
+}
+
+function blockLines(block, startNumber) {
+  const lines = [];
+  if (block.length > 1 && block[0].setId) {
+    lines.push({
+      text: `Questions ${startNumber}–${startNumber + block.length - 1} belong to the same set.`,
+      indent: 0,
+      size: 9,
+      gap: 2,
+    });
+  }
+  block.forEach((q, i) => {
+    lines.push({
+      text: `${startNumber + i}. ${q.text || ""}`,
+      indent: 0,
+      gap: 2,
+    });
+    if (q.image) {
+      lines.push({
+        text: "[Figure — see online version]",
+        indent: OPTION_INDENT,
+        size: 9,
+        gap: 2,
+      });
+    }
+    (q.options || []).forEach((opt, j) => {
+      lines.push({
+        text: `(${LETTERS[j]}) ${opt}`,
+        indent: OPTION_INDENT,
+        gap: 1,
+      });
+    });
+    lines.push({ text: "", indent: 0, gap: 6 });
+  });
+  return lines;
+}
+
+function measure(doc, lines, width) {
+  return lines.reduce((h, l) => {
+    doc.fontSize(l.size || 11);
+    return (
+      h + doc.heightOfString(l.text || " ", { width: width - l.indent }) + l.gap
+    );
+  }, 0);
+}
+
+/**
+ * Stream a question paper to `out` (e.g. an Express response).
+ * sections: [{ title, blocks: [[question, ...], ...] }]
+ */
+export function writeQuestionPaper(
+  out,
+  { title, subtitle, sections, answerKey = false },
+) {
+  const doc = new PDFDocument({ size: "A4", margin: 50, bufferPages: true });
+  doc.pipe(out);
+  useFont(doc);
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const usable =
+    doc.page.height - doc.page.margins.top - doc.page.margins.bottom;
+
+  doc.fontSize(18).text(title || "Question Paper", { align: "center" });
+  if (subtitle) doc.fontSize(10).text(subtitle, { align: "center" });
+  doc.moveDown(1);
+
+  const key = [];
+  let number = 1;
+
+  for (const section of sections) {
+    if (!section.blocks.length) continue;
+    if (section.title) {
+      if (doc.y + 60 > bottom()) doc.addPage();
+      doc.fontSize(13).text(section.title, { underline: true });
+      doc.moveDown(0.5);
+    }
+
+    for (const block of section.blocks) {
+      const lines = blockLines(block, number);
+      const height = measure(doc, lines, width);
+      if (doc.y + height > bottom() && height <= usable) doc.addPage();
+
+      for (const l of lines) {
+        doc
+          .fontSize(l.size || 11)
+          .text(l.text || " ", doc.page.margins.left + l.indent, doc.y, {
+            width: width - l.indent,
+          });
+        doc.y += l.gap;
+      }
+      block.forEach((q, i) => {
+        key.push(`${number + i}. ${LETTERS[Number(q.correctAnswer)] ?? "?"}`);
+      });
+      number += block.length;
+    }
+  }
+
+  if (answerKey && key.length) {
+    doc.addPage();
+    doc.x = doc.page.margins.left;
+    doc.fontSize(14).text("Answer Key", { align: "center" });
+    doc.moveDown(1);
+    doc.fontSize(10).text(key.join("\n"), { columns: 4, columnGap: 12, width });
+  }
+
+  // Page numbers (inside the bottom margin, so lift it while writing)
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(8)
+      .text(
+        `${i + 1} / ${range.count}`,
+        doc.page.margins.left,
+        doc.page.height - 35,
+        {
+          width,
+          align: "center",
+          lineBreak: false,
+        },
+      );
+  }
+
+  doc.end();
+}
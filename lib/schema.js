@@ -0,0 +1,361 @@
+// lib/schema.js — declarative schemas for request bodies, params and query
+// ---------------------------------------------------------------
+//   const body = s.object({
+//     title: s.string({ min: 1, max: 200 }),
+//     tags: s.array(s.string(), { split: "," }).optional(),
+//   });
+//   check(body, req.body) → { value, issues: [{ field, code, message }] }
+//
+// Input is coerced the way query strings and multipart forms send it:
+// "3" → 3, "true" → true, '["a","b"]' → ["a","b"]; an empty string counts
+// as missing for non-string fields (null when the field is nullable).
+// Object schemas return only the keys they declare; absent optional keys
+// stay absent, so partial updates can be applied as-is.
+
+const SKIP = Symbol("skip");
+
+class Schema {
+  constructor(type, parse, { blankIsMissing = true, shape = null } = {}) {
+    this.type = type;
+    this.parse = parse; // (value, field, issues) → value
+    this.blankIsMissing = blankIsMissing;
+    this.shape = shape;
+    this.flags = { steps: [] };
+  }
+
+  _with(flags) {
+    const copy = Object.assign(Object.create(Schema.prototype), this);
+    copy.flags = { ...this.flags, ...flags };
+    return copy;
+  }
+
+  optional() {
+    return this._with({ optional: true });
+  }
+
+  nullable() {
+    return this._with({ nullable: true });
+  }
+
+  // Used when the field is absent (a function is called each time)
+  default(value) {
+    return this._with({ optional: true, hasDefault: true, fallback: value });
+  }
+
+  // fn(value) → falsy when valid, else a message or { field?, message }
+  refine(fn) {
+    return this._with({ steps: [...this.flags.steps, { refine: fn }] });
+  }
+
+  // fn(value) → new value; runs after parsing and earlier refinements
+  transform(fn) {
+    return this._with({ steps: [...this.flags.steps, { transform: fn }] });
+  }
+
+  // Objects only: every key optional and without its default (PATCH/PUT).
+  // Refinements are dropped: they usually relate fields that may be absent.
+  partial() {
+    const shape = Object.fromEntries(
+      Object.entries(this.shape).map(([k, v]) => [
+        k,
+        v._with({ optional: true, hasDefault: false }),
+      ]),
+    );
+    return s.object(shape)._with({ ...this.flags, steps: [] });
+  }
+
+  // Objects only: same schema with more (or replaced) keys
+  extend(more) {
+    return s.object({ ...this.shape, ...more })._with({ ...this.flags });
+  }
+}
+
+const join = (path, key) =>
+  path
+    ? typeof key === "number"
+      ? `${path}[${key}]`
+      : `${path}.${key}`
+    : String(key);
+
+const label = (field) => `'${field || "value"}'`;
+
+function issue(issues, field, code, message) {
+  issues.push({ field: field || null, code, message });
+  return SKIP;
+}
+
+function run(schema, input, field, issues) {
+  const { optional, nullable, hasDefault, fallback, steps } = schema.flags;
+  let value = input;
+  if (value === "" && schema.blankIsMissing) {
+    value = nullable ? null : undefined;
+  }
+
+  if (typeof value === "undefined") {
+    if (hasDefault)
+      return typeof fallback === "function" ? fallback() : fallback;
+    if (optional) return SKIP;
+    return issue(issues, field, "required", `${label(field)} is required`);
+  }
+  if (value === null) {
+    if (nullable) return null;
+    return issue(
+      issues,
+      field,
+      "invalid_type",
+      `${label(field)} must not be null`,
+    );
+  }
+
+  let out = schema.parse(value, field, issues);
+  if (out === SKIP) return SKIP;
+  for (const step of steps) {
+    if (step.transform) {
+      out = step.transform(out);
+      continue;
+    }
+    const problem = step.refine(out);
+    if (problem) {
+      const p = typeof problem === "string" ? { message: problem } : problem;
+      return issue(
+        issues,
+        p.field ? join(field, p.field) : field,
+        p.code || "invalid",
+        p.message,
+      );
+    }
+  }
+  return out;
+}
+
+const typeError = (issues, field, type) =>
+  issue(
+    issues,
+    field,
+    "invalid_type",
+    `${label(field)} must be ${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`,
+  );
+
+function bounds(issues, field, n, { min, max }, unit) {
+  const what = (limit) =>
+    unit ? `${limit} ${unit}${limit === 1 ? "" : "s"}` : String(limit);
+  if (typeof min === "number" && n < min) {
+    return issue(
+      issues,
+      field,
+      "too_small",
+      unit
+        ? `${label(field)} must have at least ${what(min)}`
+        : `${label(field)} must be >= ${min}`,
+    );
+  }
+  if (typeof max === "number" && n > max) {
+    return issue(
+      issues,
+      field,
+      "too_big",
+      unit
+        ? `${label(field)} must have at most ${what(max)}`
+        : `${label(field)} must be <= ${max}`,
+    );
+  }
+  return null;
+}
+
+// '["a"]' / '{"a":1}' from a form field or query string
+function parseJsonText(value, field, issues) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return issue(
+      issues,
+      field,
+      "invalid_json",
+      `${label(field)} must be valid JSON`,
+    );
+  }
+}
+
+export const s = {
+  // { min, max, trim = true, pattern, patternMessage, lowercase, uppercase }
+  string(opts = {}) {
+    const { trim = true, pattern, patternMessage, lowercase, uppercase } = opts;
+    return new Schema(
+      "string",
+      (value, field, issues) => {
+        if (typeof value === "number" && Number.isFinite(value)) {
+          value = String(value);
+        }
+        if (typeof value !== "string")
+          return typeError(issues, field, "string");
+        let out = trim ? value.trim() : value;
+        if (lowercase) out = out.toLowerCase();
+        if (uppercase) out = out.toUpperCase();
+        if (opts.min === 1 && !out) {
+          return issue(
+            issues,
+            field,
+            "too_small",
+            `${label(field)} must not be empty`,
+          );
+        }
+        if (bounds(issues, field, out.length, opts, "character") === SKIP) {
+          return SKIP;
+        }
+        if (pattern && !pattern.test(out)) {
+          return issue(
+            issues,
+            field,
+            "invalid_format",
+            patternMessage
+              ? `${label(field)} ${patternMessage}`
+              : `${label(field)} is not in the expected format`,
+          );
+        }
+        return out;
+      },
+      { blankIsMissing: false },
+    );
+  },
+
+  // { min, max, int }
+  number(opts = {}) {
+    const type = opts.int ? "integer" : "number";
+    return new Schema(type, (value, field, issues) => {
+      const n =
+        typeof value === "string" && value.trim() ? Number(value) : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) {
+        return typeError(issues, field, type);
+      }
+      if (opts.int && !Number.isInteger(n)) {
+        return typeError(issues, field, type);
+      }
+      return bounds(issues, field, n, opts) ?? n;
+    });
+  },
+
+  int(opts = {}) {
+    return s.number({ ...opts, int: true });
+  },
+
+  boolean() {
+    return new Schema("boolean", (value, field, issues) => {
+      if (typeof value === "boolean") return value;
+      const v = typeof value === "string" ? value.trim().toLowerCase() : null;
+      if (v === "true") return true;
+      if (v === "false") return false;
+      return issue(
+        issues,
+        field,
+        "invalid_type",
+        `${label(field)} must be true or false`,
+      );
+    });
+  },
+
+  // ISO string, epoch millis or Date → Date
+  date() {
+    return new Schema("date", (value, field, issues) => {
+      const d =
+        value instanceof Date
+          ? value
+          : typeof value === "string" || typeof value === "number"
+            ? new Date(value)
+            : null;
+      if (!d || Number.isNaN(d.getTime())) {
+        return issue(
+          issues,
+          field,
+          "invalid_date",
+          `${label(field)} must be an ISO date`,
+        );
+      }
+      return d;
+    });
+  },
+
+  // { lowercase } matches case-insensitively and returns the lowercase value
+  enum(values, { lowercase = false } = {}) {
+    return new Schema("enum", (value, field, issues) => {
+      let v = typeof value === "string" ? value.trim() : value;
+      if (lowercase && typeof v === "string") v = v.toLowerCase();
+      if (!values.includes(v)) {
+        return issue(
+          issues,
+          field,
+          "invalid_enum",
+          `${label(field)} must be one of: ${values.join(", ")}`,
+        );
+      }
+      return v;
+    });
+  },
+
+  // { min, max, split, unique, compact }: `split` also accepts "a,b,c";
+  // `compact` drops blank strings; `unique` drops repeats.
+  array(item, opts = {}) {
+    const { split, unique, compact } = opts;
+    return new Schema(
+      "array",
+      (value, field, issues) => {
+        let list = value;
+        if (typeof list === "string") {
+          const raw = list.trim();
+          if (raw.startsWith("[")) list = parseJsonText(raw, field, issues);
+          else if (split) list = raw ? raw.split(split) : [];
+          if (list === SKIP) return SKIP;
+        }
+        if (!Array.isArray(list)) return typeError(issues, field, "array");
+        if (compact) {
+          list = list.filter((v) => !(typeof v === "string" && !v.trim()));
+        }
+
+        const before = issues.length;
+        let out = [];
+        list.forEach((v, i) => {
+          const parsed = run(item, v, join(field, i), issues);
+          if (parsed !== SKIP) out.push(parsed);
+        });
+        if (issues.length > before) return SKIP;
+        if (unique) out = [...new Set(out)];
+        return bounds(issues, field, out.length, opts, "item") ?? out;
+      },
+      { blankIsMissing: !split },
+    );
+  },
+
+  object(shape) {
+    return new Schema(
+      "object",
+      (value, field, issues) => {
+        let obj = value;
+        if (typeof obj === "string" && obj.trim().startsWith("{")) {
+          obj = parseJsonText(obj.trim(), field, issues);
+          if (obj === SKIP) return SKIP;
+        }
+        if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+          return typeError(issues, field, "object");
+        }
+        const before = issues.length;
+        const out = {};
+        for (const [key, schema] of Object.entries(shape)) {
+          const parsed = run(schema, obj[key], join(field, key), issues);
+          if (parsed !== SKIP) out[key] = parsed;
+        }
+        return issues.length > before ? SKIP : out;
+      },
+      { shape },
+    );
+  },
+
+  any() {
+    return new Schema("any", (value) => value, { blankIsMissing: false });
+  },
+};
+
+// → { value, issues }; `value` is undefined when there are issues
+export function check(schema, input) {
+  const issues = [];
+  const value = run(schema, input, "", issues);
+  return { value: issues.length || value === SKIP ? undefined : value, issues };
+}
@@ -0,0 +1,82 @@
+// lib/search-text.js — tokenizer + scoring for the search_index collection
+// ---------------------------------------------------------------
+// Tokens are runs of Unicode letters, marks and digits, so Bangla vowel
+// signs (matras) and hasanta stay inside their word and "।" splits like
+// any other punctuation. Each token also indexes its leading prefixes
+// (MIN_PREFIX..MAX_PREFIX code points) so a query for "osmo" finds
+// "osmosis" with a single array-contains-any lookup.
+
+export const MIN_PREFIX = 2;
+export const MAX_PREFIX = 15;
+export const MAX_QUERY_TERMS = 10; // array-contains-any allows up to 30
+
+const TOKEN_RE = /[\p{L}\p{M}\p{N}]+/gu;
+const JOINERS_RE = /[\u200C\u200D\u00AD]/g; // ZWNJ, ZWJ, soft hyphen
+
+export function tokenize(text) {
+  if (text === null || typeof text === "undefined") return [];
+  const normalized = String(text)
+    .normalize("NFC")
+    .replace(JOINERS_RE, "")
+    .toLowerCase();
+  return normalized.match(TOKEN_RE) || [];
+}
+
+// Token itself plus its prefixes, capped so long words stay cheap
+function termsFor(token) {
+  const chars = [...token];
+  const terms = [chars.slice(0, MAX_PREFIX).join("")];
+  for (let n = MIN_PREFIX; n < Math.min(chars.length, MAX_PREFIX); n++) {
+    terms.push(chars.slice(0, n).join(""));
+  }
+  return terms;
+}
+
+// fields: { name: text | [text, ...] } → { terms, tokens: { name: [...] } }
+export function indexFields(fields) {
+  const terms = new Set();
+  const tokens = {};
+  for (const [name, value] of Object.entries(fields)) {
+    const parts = Array.isArray(value) ? value : [value];
+    const list = [...new Set(parts.flatMap(tokenize))];
+    tokens[name] = list;
+    list.forEach((t) => termsFor(t).forEach((term) => terms.add(term)));
+  }
+  return { terms: [...terms], tokens };
+}
+
+// Query text → distinct lookup terms (trimmed to the indexed prefix length)
+export function queryTerms(q) {
+  const out = [];
+  for (const token of tokenize(q)) {
+    const term = [...token].slice(0, MAX_PREFIX).join("");
+    if (!out.includes(term)) out.push(term);
+  }
+  return out.slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Rank one index entry. Every query term takes its best match across the
+ * weighted fields: an exact token scores the field weight, a prefix match
+ * half of it. Entries matching every term get a bonus so "cell membrane"
+ * ranks both-word hits above single-word ones.
+ */
+export function scoreEntry(terms, tokens, weights) {
+  let score = 0;
+  let matched = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, list] of Object.entries(tokens || {})) {
+      const weight = weights[field] ?? 1;
+      for (const token of list) {
+        const s =
+          token === term ? weight : token.startsWith(term) ? weight / 2 : 0;
+        if (s > best) best = s;
+      }
+    }
+    if (best > 0) matched++;
+    score += best;
+  }
+  if (terms.length > 1 && matched === terms.length) score *= 1.5;
+  return { score, matched };
+}
@@ -0,0 +1,52 @@
+// notify/fcm.js — push through Firebase Cloud Messaging
+// ---------------------------------------------------------------
+// Uses the firebase-admin app from data/firebase.js (DATA_BACKEND=firebase).
+// `to` is the user's list of device tokens; tokens FCM reports as gone are
+// returned as invalidTokens so the caller can drop them.
+import admin from "firebase-admin";
+import { permanentError } from "./index.js";
+
+const GONE = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+  "messaging/invalid-argument",
+]);
+
+export function createFcmTransport() {
+  if (!admin.apps.length) {
+    throw new Error("NOTIFY_PUSH=fcm needs DATA_BACKEND=firebase");
+  }
+
+  return {
+    name: "fcm",
+    async send({ to, subject, body, data = {} }) {
+      const tokens = [].concat(to).filter(Boolean);
+      if (!tokens.length) throw permanentError("No device tokens");
+
+      const result = await admin.messaging().sendEachForMulticast({
+        tokens,
+        notification: { title: subject, body },
+        // FCM data values must be strings
+        data: Object.fromEntries(
+          Object.entries(data).map(([k, v]) => [k, String(v ?? "")]),
+        ),
+      });
+
+      const invalidTokens = result.responses
+        .map((r, i) =>
+          !r.success && GONE.has(r.error?.code) ? tokens[i] : null,
+        )
+        .filter(Boolean);
+      if (!result.successCount) {
+        const reason = result.responses[0]?.error?.message || "FCM send failed";
+        if (invalidTokens.length === tokens.length) {
+          const err = permanentError(reason);
+          err.invalidTokens = invalidTokens;
+          throw err;
+        }
+        throw new Error(reason);
+      }
+      return { providerId: null, invalidTokens };
+    },
+  };
+}
@@ -0,0 +1,68 @@
+// notify/index.js — picks a delivery transport per channel from configuration
+// ---------------------------------------------------------------
+// NOTIFY_EMAIL=smtp|local|off   (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS,
+//                                SMTP_FROM, SMTP_SECURE)
+// NOTIFY_SMS=gateway|local|off  (SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN,
+//                                SMS_SENDER_ID)
+// NOTIFY_PUSH=fcm|local|off     (needs DATA_BACKEND=firebase)
+// Unset channels default to "local" with DATA_BACKEND=local, else "off".
+// "local" appends each message to NOTIFY_LOCAL_FILE (when set) and logs it.
+//
+// A transport is { name, send({ channel, to, subject, body, data }) } and
+// resolves with { providerId?, invalidTokens? } or throws; errors marked
+// `permanent` are not retried.
+import { createLocalTransport } from "./local.js";
+
+export const CHANNELS = ["email", "sms", "push"];
+
+const FACTORIES = {
+  email: {
+    smtp: async () => (await import("./smtp.js")).createSmtpTransport(),
+  },
+  sms: {
+    gateway: async () =>
+      (await import("./sms-gateway.js")).createSmsGatewayTransport(),
+  },
+  push: {
+    fcm: async () => (await import("./fcm.js")).createFcmTransport(),
+  },
+};
+
+// → { email?: transport, sms?: transport, push?: transport }
+export async function createTransports(env = process.env) {
+  const fallback =
+    String(env.DATA_BACKEND || "").toLowerCase() === "local" ? "local" : "off";
+  const local = createLocalTransport({ file: env.NOTIFY_LOCAL_FILE || null });
+
+  const transports = {};
+  for (const channel of CHANNELS) {
+    const kind = String(
+      env[`NOTIFY_${channel.toUpperCase()}`] || fallback,
+    ).toLowerCase();
+    if (kind === "off") continue;
+    if (kind === "local") {
+      transports[channel] = local;
+      continue;
+    }
+    const factory = FACTORIES[channel][kind];
+    if (!factory) {
+      throw new Error(
+        `Unknown NOTIFY_${channel.toUpperCase()} "${kind}" (use ${[...Object.keys(FACTORIES[channel]), "local", "off"].join(", ")})`,
+      );
+    }
+    transports[channel] = await factory();
+  }
+
+  console.log(
+    "[BOOT] Notification transports:",
+    CHANNELS.map((c) => `${c}=${transports[c]?.name || "off"}`).join(" "),
+  );
+  return transports;
+}
+
+// Errors the worker should not retry (bad address, rejected by provider)
+export function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
@@ -0,0 +1,32 @@
+// notify/local.js — offline transport: console + optional JSON-lines file
+// ---------------------------------------------------------------
+// Lets the whole outbox pipeline run without SMTP/SMS/FCM credentials.
+// Set NOTIFY_LOCAL_FAIL=<channel,...> to make those channels fail, for
+// exercising retries and backoff.
+import fs from "fs";
+import path from "path";
+
+export function createLocalTransport({ file = null } = {}) {
+  if (file) fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  return {
+    name: "local",
+    async send(message) {
+      const failing = String(process.env.NOTIFY_LOCAL_FAIL || "")
+        .split(",")
+        .map((c) => c.trim());
+      if (failing.includes(message.channel)) {
+        throw new Error(`Local ${message.channel} failure (NOTIFY_LOCAL_FAIL)`);
+      }
+
+      const entry = { at: new Date().toISOString(), ...message };
+      console.log(
+        `[NOTIFY:local] ${message.channel} → ${[].concat(message.to).join(", ")}: ${message.subject || message.body}`,
+      );
+      if (file) {
+        await fs.promises.appendFile(file, JSON.stringify(entry) + "\n");
+      }
+      return { providerId: `local-${Date.now()}` };
+    },
+  };
+}
@@ -0,0 +1,45 @@
+// notify/sms-gateway.js — SMS through an HTTP gateway
+// ---------------------------------------------------------------
+// POSTs JSON { to, message, sender } to SMS_GATEWAY_URL with
+// "Authorization: Bearer SMS_GATEWAY_TOKEN". Most BD gateways accept this
+// shape directly or through a tiny proxy.
+import { permanentError } from "./index.js";
+
+export function createSmsGatewayTransport() {
+  const url = process.env.SMS_GATEWAY_URL;
+  if (!url) throw new Error("NOTIFY_SMS=gateway needs SMS_GATEWAY_URL");
+  const token = process.env.SMS_GATEWAY_TOKEN || null;
+  const sender = process.env.SMS_SENDER_ID || null;
+
+  return {
+    name: "gateway",
+    async send({ to, body }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ to, message: body, sender }),
+        signal: AbortSignal.timeout(15 * 1000),
+      });
+      const text = await res.text();
+      if (!res.ok) {
+        const message = `SMS gateway ${res.status}: ${text.slice(0, 200)}`;
+        // 4xx is our request (bad number, auth); 429 and 5xx are worth retrying
+        if (res.status >= 400 && res.status < 500 && res.status !== 429) {
+          throw permanentError(message);
+        }
+        throw new Error(message);
+      }
+      let providerId = null;
+      try {
+        const json = JSON.parse(text);
+        providerId = json.id ?? json.messageId ?? null;
+      } catch {
+        // plain-text replies are fine
+      }
+      return { providerId };
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// notify/smtp.js — email through any SMTP server (nodemailer)
+// ---------------------------------------------------------------
+import nodemailer from "nodemailer";
+import { permanentError } from "./index.js";
+
+export function createSmtpTransport() {
+  const host = process.env.SMTP_HOST;
+  const from = process.env.SMTP_FROM;
+  if (!host || !from) {
+    throw new Error("NOTIFY_EMAIL=smtp needs SMTP_HOST and SMTP_FROM");
+  }
+  const port = Number(process.env.SMTP_PORT) || 587;
+
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ to, subject, body }) {
+      try {
+        const info = await mailer.sendMail({ from, to, subject, text: body });
+        return { providerId: info.messageId || null };
+      } catch (e) {
+        // 5xx replies (unknown mailbox, rejected) won't succeed on retry
+        if (e?.responseCode >= 500 && e?.responseCode < 600) {
+          throw permanentError(e.message);
+        }
+        throw e;
+      }
+    },
+  };
+}
@@ -0,0 +1,75 @@
+// notify/templates.js — message text per notification type and channel
+// ---------------------------------------------------------------
+// Each template gets the `vars` stored on the outbox entry. `sms` falls
+// back to `text`; push uses `subject` as the title and a clipped `text`.
+
+const SMS_MAX = 300;
+const PUSH_MAX = 180;
+
+const date = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+        timeZone: "Asia/Dhaka",
+      })
+    : "";
+
+const hello = (v) => `Hi ${v.name || "there"},`;
+
+export const TEMPLATES = {
+  request_approved: {
+    subject: (v) => `Your ${v.planName || "subscription"} is active`,
+    text: (v) =>
+      `${hello(v)}\n\nYour payment (transaction ${v.transactionId}) was approved. ` +
+      `You have full access until ${date(v.validUntil)}.\n\nHappy studying!`,
+    sms: (v) =>
+      `Payment ${v.transactionId} approved. Access until ${date(v.validUntil)}.`,
+  },
+
+  request_rejected: {
+    subject: () => "Your payment request was not approved",
+    text: (v) =>
+      `${hello(v)}\n\nWe could not verify your payment (transaction ${v.transactionId}).\n` +
+      `Reason: ${v.reason}\n\nYou can submit a new request from the app.`,
+    sms: (v) =>
+      `Payment ${v.transactionId} not approved: ${v.reason}. Please submit again.`,
+  },
+
+  announcement: {
+    subject: (v) => v.title,
+    text: (v) => `${v.content}`,
+    sms: (v) => `${v.title}: ${v.content}`,
+  },
+
+  subscription_expiry: {
+    subject: (v) =>
+      v.daysLeft <= 1
+        ? "Your subscription ends tomorrow"
+        : `Your subscription ends in ${v.daysLeft} days`,
+    text: (v) =>
+      `${hello(v)}\n\nYour ${v.planName || "subscription"} ends on ${date(v.validUntil)}. ` +
+      `Renew from the app to keep your access.`,
+    sms: (v) =>
+      `Your subscription ends on ${date(v.validUntil)}. Renew in the app to keep access.`,
+  },
+};
+
+export const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+// → { subject, body } for one channel
+export function renderNotification(type, channel, vars = {}) {
+  const t = TEMPLATES[type];
+  if (!t) throw new Error(`Unknown notification type "${type}"`);
+  const subject = t.subject(vars);
+  if (channel === "sms") {
+    return { subject, body: clip((t.sms || t.text)(vars), SMS_MAX) };
+  }
+  if (channel === "push") {
+    return { subject, body: clip(t.text(vars).replace(/\s+/g, " "), PUSH_MAX) };
+  }
+  return { subject, body: t.text(vars) };
+}
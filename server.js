@@ -1,4 +1,5 @@
 // server.js — Firestore DB + Firebase Storage (with defaults on create)
+// Set DATA_BACKEND=local to run fully offline (see data/index.js).
 // ---------------------------------------------------------------
 import "dotenv/config";
 import express from "express";
@@ -7,89 +8,154 @@ import multer from "multer";
 import path from "path";
 import crypto from "crypto";
 import fs from "fs"; // only for optional service-account path
-import admin from "firebase-admin";
+import { createBackend } from "./data/index.js";
+import {
+  IMPORT_FORMATS,
+  detectFormat,
+  exportQuestion,
+  parseBank,
+  parseQuestions,
+  questionsToCsv,
+} from "./lib/question-formats.js";
+import { writeQuestionPaper } from "./lib/question-paper.js";
+import { indexFields, queryTerms, scoreEntry } from "./lib/search-text.js";
+import { toReportCsv } from "./lib/csv.js";
+import { createEventBus } from "./lib/event-bus.js";
+import { check, s } from "./lib/schema.js";
+import { CHANNELS, createTransports, permanentError } from "./notify/index.js";
+import { NOTIFICATION_TYPES, renderNotification } from "./notify/templates.js";
 
 const app = express();
 
-// CORS: adjust in prod (e.g., origin: 'https://your.app')
-app.use(cors());
-app.use(express.json());
-
 /* =========================
-   Firebase Admin Init
+   Request IDs + error envelope
 ========================= */
-function initFirebaseAdmin() {
-  if (admin.apps.length) return;
-
-  // Fix B: use 3 env vars instead of FIREBASE_SERVICE_ACCOUNT JSON
-  const projectId = process.env.FIREBASE_PROJECT_ID;
-  const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
-  const privateKey = process.env.FIREBASE_PRIVATE_KEY;
-  const storageBucket = process.env.FIREBASE_STORAGE_BUCKET;
-
-  if (!projectId || !clientEmail || !privateKey) {
-    throw new Error(
-      "Missing Firebase env vars. Set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY.",
-    );
-  }
-  if (!storageBucket) {
-    throw new Error(
-      "No default storage bucket. Set FIREBASE_STORAGE_BUCKET=your-project-id.appspot.com",
-    );
-  }
-
-  // Normalize key (env var usually contains \n)
-  const pk =
-    String(privateKey)
-      .replace(/\\n/g, "\n")
-      .replace(/^"|"$/g, "") // in case dashboard added quotes
-      .trim() + "\n";
+// Every error response has one shape:
+//   { code, message, details?, requestId }
+// `code` is machine-readable (from ERROR_CODES unless the route or an
+// ApiError names one), `details` lists per-field problems for
+// validation_failed, and `requestId` matches X-Request-Id and the log line.
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "too_many_requests",
+  500: "internal_error",
+  503: "unavailable",
+};
 
-  console.log("[BOOT] Private key length:", pk.length);
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
 
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId,
-      clientEmail,
-      privateKey: pk,
-    }),
-    storageBucket,
-  });
+// validation_failed for one field, for rules that need stored state
+const fieldError = (part, field, message, code = "invalid") =>
+  new ApiError(400, "validation_failed", message, [
+    { in: part, field, code, message },
+  ]);
+
+// multipart routes: multer leaves req.file unset when no file part is sent
+const noFileError = () =>
+  fieldError("body", "file", "No file uploaded.", "required");
+
+// Routes answer errors with res.status(4xx).json({ message }); older ones
+// used { error }. Extra keys (e.g. an import summary) are kept.
+function errorEnvelope(
+  req,
+  status,
+  { code, message, error, details, ...rest },
+) {
+  return {
+    code:
+      code ||
+      ERROR_CODES[status] ||
+      (status >= 500 ? "internal_error" : "bad_request"),
+    message: message || (typeof error === "string" ? error : "Request failed"),
+    ...(details ? { details } : {}),
+    ...rest,
+    requestId: req.id,
+  };
 }
 
-initFirebaseAdmin();
-initFirebaseAdmin();
+app.use((req, res, next) => {
+  const given = req.get("x-request-id");
+  req.id = /^[\w.:-]{1,128}$/.test(given || "") ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    res.statusCode >= 400 &&
+    body &&
+    typeof body === "object" &&
+    !Array.isArray(body) &&
+    !body.requestId
+      ? json(errorEnvelope(req, res.statusCode, body))
+      : json(body);
+  next();
+});
 
-const db = admin.firestore();
-const bucket = admin.storage().bucket();
+// validate({ params?, query?, body? }) with lib/schema.js schemas. Goes
+// after the auth guards (401/403 come first) and after multer on multipart
+// routes. Parsed values replace req.query / req.body (undeclared keys are
+// dropped); params are coerced in place.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+  for (const part of ["params", "query", "body"]) {
+    if (!schemas[part]) continue;
+    const { value, issues } = check(schemas[part], req[part] ?? {});
+    issues.forEach((i) => details.push({ in: part, ...i }));
+    parsed[part] = value;
+  }
+  if (details.length) {
+    return next(
+      new ApiError(
+        400,
+        "validation_failed",
+        details.map((d) => d.message).join("; "),
+        details,
+      ),
+    );
+  }
+  if (parsed.params) Object.assign(req.params, parsed.params);
+  if (parsed.query) req.query = parsed.query;
+  if (parsed.body) req.body = parsed.body;
+  next();
+};
 
-// Boot logs for bucket configuration
-console.log("[BOOT] Using storage bucket:", bucket?.name || "(none)");
-if (!bucket?.name) {
-  throw new Error(
-    "No default storage bucket. Set FIREBASE_STORAGE_BUCKET=your-project-id.appspot.com",
+// CORS: adjust in prod (e.g., origin: 'https://your.app')
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
+app.use(express.json());
+// Behind Render's proxy req.ip must come from X-Forwarded-For (audit log)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isFinite(hops) ? hops : process.env.TRUST_PROXY,
   );
 }
 
-// Verify bucket connectivity & permissions once at startup
-(async () => {
-  try {
-    const [meta] = await bucket.getMetadata();
-    console.log("[BOOT] Bucket metadata ok:", meta?.name || bucket.name);
-  } catch (e) {
-    console.error(
-      "[BOOT] Cannot access bucket. Check FIREBASE_STORAGE_BUCKET and IAM:",
-      e?.message || e,
-    );
-  }
-})();
+/* =========================
+   Data Backend (Firestore/GCS or local)
+========================= */
+// DATA_BACKEND=firebase|local — see data/index.js
+const backend = await createBackend();
+const { db, bucket, FieldValue, Timestamp } = backend;
 
 /* =========================
    Helpers
 ========================= */
 
 // Firestore server timestamp
-const nowTs = () => admin.firestore.FieldValue.serverTimestamp();
+const nowTs = () => FieldValue.serverTimestamp();
 
 // Normalize image to absolute URL (kept for parity; Firebase returns absolute already)
 const toAbsoluteImageUrl = (req, image) => {
@@ -101,9 +167,39 @@ const toAbsoluteImageUrl = (req, image) => {
   return `${base}/${src.replace(/^\/?/, "")}`;
 };
 
-const shuffle = (arr) => [...arr].sort(() => Math.random() - 0.5);
+// Deterministic PRNG (mulberry32) seeded from any string via SHA-256
+function createRng(seed) {
+  let a = crypto
+    .createHash("sha256")
+    .update(String(seed))
+    .digest()
+    .readUInt32LE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Unbiased Fisher–Yates; pass a seeded rng for reproducible order
+const shuffle = (arr, rng = Math.random) => {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+const shortHash = (value) =>
+  crypto
+    .createHash("sha256")
+    .update(typeof value === "string" ? value : JSON.stringify(value))
+    .digest("hex")
+    .slice(0, 16);
 
-// Signed URL for Storage file (long-lived)
+// Signed URL for Storage file (long-lived; question images only)
 async function getReadUrl(file) {
   const [url] = await file.getSignedUrl({
     action: "read",
@@ -112,6 +208,39 @@ async function getReadUrl(file) {
   return url;
 }
 
+// Notes are never stored with a URL; GET /api/notes/:id/download issues
+// one of these per request after checking access.
+const NOTE_URL_TTL_MS =
+  (Number(process.env.NOTE_URL_TTL_MINUTES) || 10) * 60 * 1000;
+
+async function getShortLivedUrl(file, { filename } = {}) {
+  const expires = Date.now() + NOTE_URL_TTL_MS;
+  const [url] = await file.getSignedUrl({
+    action: "read",
+    expires,
+    ...(filename
+      ? {
+          responseDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        }
+      : {}),
+  });
+  return { url, expiresAt: new Date(expires).toISOString() };
+}
+
+// Firestore Timestamp | Date → ISO string (null-safe)
+const toIso = (ts) => {
+  if (!ts) return null;
+  if (typeof ts.toDate === "function") return ts.toDate().toISOString();
+  const d = ts instanceof Date ? ts : new Date(ts);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// ?limit= → integer in [1, max], else fallback
+const parseLimit = (raw, fallback = 20, max = 100) => {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+};
+
 function makeFileName(original) {
   const ext = path.extname(original || "");
   const base = crypto.randomBytes(16).toString("hex");
@@ -126,17 +255,35 @@ const defaults = {
     uid: null,
     email: null,
     displayName: null,
-    is_validated: false,
+    is_validated: false, // stored: access not yet lapsed (see hasAccess)
     request_sent: false,
+    subscription: null, // { planId, planName, validFrom, validUntil, requestId }
     last_score: 0, // 0..100
+    scoreStats: { best: 0, sum: 0, attempts: 0 }, // all-time, kept by submit
     Board: "none",
     ExamYEar: 0, // keep original casing
     lastNotified: null,
+    leaderboardMasked: false, // hide own name on leaderboards
+    notificationPrefs: null, // { channels, types }; null = defaults
+    pushTokens: [], // FCM device tokens, newest last
     createdAt: nowTs(),
     is_Admin: false,
     ...over,
   }),
 
+  plan: (over = {}) => ({
+    name: "",
+    price: 0,
+    currency: "BDT",
+    durationDays: 30,
+    Board: null, // null = any board
+    ExamYEar: null, // null = any year
+    active: true, // retired plans stay for old requests
+    createdAt: nowTs(),
+    updatedAt: null,
+    ...over,
+  }),
+
   exam: (over = {}) => ({
     title: "",
     questionPercentage: 0,
@@ -151,6 +298,9 @@ const defaults = {
     image: null,
     setId: null,
     setOrder: 0,
+    tags: [],
+    difficulty: null, // 1 (easy) .. 5 (hard); null = unrated
+    topic: null,
     createdAt: nowTs(),
     ...over,
   }),
@@ -161,15 +311,118 @@ const defaults = {
     originalName: "",
     isPublic: false,
     uploadedBy: null,
-    downloadURL: null,
+    downloadURL: null, // legacy; no longer stored (see /api/notes/:id/download)
     storagePath: null,
+    examIds: [], // chapters this note belongs to
+    categories: [],
+    version: 1, // bumped by PUT /api/notes/:id/file
+    fileUpdatedAt: null,
     createdAt: nowTs(),
     ...over,
   }),
 
   request: (over = {}) => ({
     uid: null,
-    transactionId: "",
+    transactionId: "", // normalized; unique via request_transactions/{id}
+    status: "pending", // pending | approved | rejected | cancelled
+    plan: null, // snapshot { id, name, price, currency, durationDays }
+    rejectionReason: null,
+    reviewedBy: null, // { uid, email }
+    reviewedAt: null,
+    cancelledAt: null,
+    cancelledBy: null,
+    createdAt: nowTs(),
+    updatedAt: null,
+    ...over,
+  }),
+
+  attempt: (over = {}) => ({
+    uid: null,
+    status: "in_progress", // in_progress | submitted
+    base: 0,
+    max: 0,
+    seed: null, // reproduces the paper with the same contentVersion
+    shuffleOptions: false,
+    filters: null, // { difficultyMix, tags, tagMode } used to assemble
+    contentVersion: null,
+    seen: null, // seenSnapshot used (avoidSeen), needed to rebuild the paper
+    fingerprint: null,
+    questions: [], // [{ examId, questionId, optionOrder }] in served order
+    graded: [],
+    correct: 0,
+    total: 0,
+    score: 0,
+    createdAt: nowTs(),
+    submittedAt: null,
+    ...over,
+  }),
+
+  result: (over = {}) => ({
+    attemptId: null,
+    correct: 0,
+    total: 0,
+    score: 0, // 0..100
+    chapters: [], // [{ examId, title, correct, total }]
+    createdAt: nowTs(),
+    ...over,
+  }),
+
+  revision: (over = {}) => ({
+    examId: null,
+    questionId: null,
+    action: "update", // update | delete | restore
+    data: null, // full question as it was before the change; null = absent
+    changes: [], // [{ field, from, to }]
+    restoredFrom: null, // revision id, for action "restore"
+    by: null, // { uid, email }
+    createdAt: nowTs(),
+    ...over,
+  }),
+
+  notification: (over = {}) => ({
+    uid: null,
+    type: null, // see notify/templates.js
+    channel: null, // email | sms | push
+    to: null, // address, phone or device tokens
+    subject: "",
+    body: "",
+    data: {}, // ids for the client (push payload)
+    status: "pending", // pending | sending | sent | failed
+    attempts: 0,
+    nextAttemptAt: nowTs(),
+    lastError: null,
+    providerId: null,
+    sentAt: null,
+    createdAt: nowTs(),
+    updatedAt: null,
+    ...over,
+  }),
+
+  trash: (over = {}) => ({
+    kind: null, // exam | question | note | announcement
+    originalId: null,
+    examId: null, // questions: the exam they belong to
+    title: "", // label for the trash list
+    data: null, // the document as it was
+    children: 0, // exam questions / note versions, kept in a subcollection
+    deletedBy: null, // { uid, email }
+    deletedAt: nowTs(),
+    purgeAt: null,
+    ...over,
+  }),
+
+  audit: (over = {}) => ({
+    action: "", // e.g. "exam.delete", "request.approve"
+    actorUid: null,
+    actorEmail: null,
+    targetType: null,
+    targetId: null,
+    before: null, // flat summary of the target before the change
+    after: null,
+    ip: null,
+    method: null,
+    path: null,
+    status: null,
     createdAt: nowTs(),
     ...over,
   }),
@@ -177,24 +430,109 @@ const defaults = {
   announcement: (over = {}) => ({
     title: "",
     content: "",
+    publishAt: nowTs(), // hidden from users until then
+    expiresAt: null, // null = never
+    draft: false, // drafts are only listed in the admin view
+    pinned: false,
+    audience: { Board: null, ExamYEar: null, validated: null }, // null = anyone
+    editedAt: null, // title/content changed: unread again for everyone
     createdAt: nowTs(),
     updatedAt: null,
     ...over,
   }),
 };
 
-// Validate minimal question payload
-const validateQuestionPayload = ({ text, options, correctAnswer }) => {
-  if (!text || !Array.isArray(options) || options.length < 2) {
-    return "Invalid question: 'text' is required and 'options' must have at least 2 items.";
-  }
-  const idx = Number(correctAnswer);
-  if (!Number.isInteger(idx) || idx < 0 || idx >= options.length) {
-    return "Invalid 'correctAnswer' index.";
-  }
-  return null;
+/* =========================
+   Request Schemas (shared; see lib/schema.js and validate())
+========================= */
+
+// Firestore document id as it appears in a route param or body
+const docId = () =>
+  s.string({
+    min: 1,
+    max: 1500,
+    pattern: /^(?!\.\.?$)[^/]+$/,
+    patternMessage: "must be a document id",
+  });
+
+// { [name]: docId } for routes with id params
+const idParams = (...names) =>
+  s.object(Object.fromEntries(names.map((n) => [n, docId()])));
+
+// ?limit=&cursor=&sort=&order= (+ from/to) for listPage routes; `filters`
+// are the route's own query keys. listPage checks sort against its list.
+const pageQuery = (filters = {}, { dates = false } = {}) =>
+  s.object({
+    limit: s.int({ min: 1 }).optional(),
+    cursor: docId().optional(),
+    sort: s.string({ min: 1, max: 100 }).optional(),
+    order: s.enum(["asc", "desc"], { lowercase: true }).optional(),
+    ...(dates ? { from: s.date().optional(), to: s.date().optional() } : {}),
+    ...filters,
+  });
+
+// dryRun from the body or ?dryRun= (maintenance routes)
+const dryRunSchemas = {
+  query: s.object({ dryRun: s.boolean().optional() }),
+  body: s.object({ dryRun: s.boolean().optional() }),
+};
+const isDryRun = (req) => req.body.dryRun === true || req.query.dryRun === true;
+
+// A list field from JSON or multipart: array, JSON array string, or
+// comma-separated string. Trimmed, de-duplicated, empty entries dropped.
+const stringList = ({ max, maxLength = 50 }) =>
+  s.array(s.string({ max: maxLength }), {
+    max,
+    split: ",",
+    unique: true,
+    compact: true,
+  });
+
+const MAX_TAGS = 20;
+
+// blank → null for optional text (JSON null, "" from a form)
+const optionalText = (max) =>
+  s
+    .string({ max })
+    .nullable()
+    .optional()
+    .transform((v) => v || null);
+
+// Question fields from a JSON or multipart body (options may arrive as a
+// JSON array string, numbers as strings)
+const questionFields = {
+  text: s.string({ min: 1, max: 10000 }),
+  options: s.array(s.string({ min: 1, max: 2000 }), { min: 2, max: 20 }),
+  correctAnswer: s.int({ min: 0 }),
+  image: optionalText(2048),
+  setId: optionalText(128),
+  setOrder: s.number().nullable().optional(),
+  tags: stringList({ max: MAX_TAGS }).optional(),
+  difficulty: s.int({ min: 1, max: 5 }).nullable().optional(), // 1 easy .. 5 hard
+  topic: optionalText(100),
 };
 
+const correctAnswerInRange = (q) =>
+  q.correctAnswer >= q.options.length && {
+    field: "correctAnswer",
+    code: "out_of_range",
+    message: "'correctAnswer' must be an index into 'options'",
+  };
+
+const questionSchema = s.object(questionFields).refine(correctAnswerInRange);
+// PUT: any subset; correctAnswer is checked against the stored options
+const questionPatchSchema = s.object(questionFields).partial();
+
+// Validated PUT body → fields to update (null setOrder means 0, as on create)
+const questionUpdates = ({ setOrder, ...rest }) => ({
+  ...rest,
+  ...(typeof setOrder === "undefined" ? {} : { setOrder: setOrder ?? 0 }),
+});
+
+// Imported rows go through the same schema: first problem or null
+const validateFullQuestion = (q) =>
+  check(questionSchema, q).issues[0]?.message ?? null;
+
 /* =========================
    Firestore "Models" (Collections)
 ========================= */
@@ -203,7 +541,191 @@ const examsCol = db.collection("exams");
 const notesCol = db.collection("notes"); // all notes
 const publicNotesCol = db.collection("public_notes"); // mirror for public notes (no where needed)
 const requestsCol = db.collection("requests");
+const plansCol = db.collection("plans");
+const requestTransactionsCol = db.collection("request_transactions"); // one doc per transactionId
 const announcementsCol = db.collection("announcements");
+const announcementReadsCol = db.collection("announcement_reads"); // {announcementId}_{uid}
+const attemptsCol = db.collection("attempts");
+const searchIndexCol = db.collection("search_index"); // see SEARCH INDEX
+const revisionsCol = db.collection("question_revisions");
+const auditCol = db.collection("audit_log"); // append-only, see AUDIT LOG
+const trashCol = db.collection("trash"); // soft-deleted docs, see TRASH
+const notificationsCol = db.collection("notifications"); // outbox, see NOTIFICATIONS
+
+/* =========================
+   Auth (Firebase ID tokens + role guards)
+========================= */
+
+// AUTH_VERIFIER=local swaps Firebase Auth for a stand-in that treats the
+// bearer token as "<uid>" or "<uid>|<email>" (dev/testing only). It must be
+// set explicitly and only runs on the local data backend, so no deploy can
+// end up accepting bare uids as tokens.
+const AUTH_VERIFIER = (process.env.AUTH_VERIFIER || "firebase").toLowerCase();
+if (AUTH_VERIFIER === "local" && process.env.NODE_ENV === "production") {
+  throw new Error("AUTH_VERIFIER=local is not allowed in production");
+}
+if (AUTH_VERIFIER === "local" && backend.name !== "local") {
+  throw new Error("AUTH_VERIFIER=local needs DATA_BACKEND=local");
+}
+if (AUTH_VERIFIER === "firebase" && !backend.auth) {
+  throw new Error(
+    "Firebase Auth needs DATA_BACKEND=firebase (set AUTH_VERIFIER=local for local mode)",
+  );
+}
+
+const tokenVerifiers = {
+  firebase: (token) => {
+    if (!backend.auth) {
+      throw new Error("Firebase Auth needs DATA_BACKEND=firebase");
+    }
+    return backend.auth.verifyIdToken(token);
+  },
+  local: async (token) => {
+    const [uid, email] = String(token).split("|");
+    if (!uid) throw new Error("Empty local token");
+    return { uid, email: email || null, local: true };
+  },
+};
+
+const verifyToken = tokenVerifiers[AUTH_VERIFIER];
+if (!verifyToken) {
+  throw new Error(`Unknown AUTH_VERIFIER "${AUTH_VERIFIER}"`);
+}
+console.log("[BOOT] Auth verifier:", AUTH_VERIFIER);
+
+// Access is decided at read time from users.subscription.validUntil, so it
+// lapses without a job. Users approved before plans existed have no
+// subscription; they keep access until LEGACY_VALIDATED_UNTIL (ISO date)
+// if set, otherwise indefinitely.
+const LEGACY_VALIDATED_UNTIL = process.env.LEGACY_VALIDATED_UNTIL
+  ? new Date(process.env.LEGACY_VALIDATED_UNTIL).getTime()
+  : null;
+
+function hasAccess(user, now = Date.now()) {
+  if (!user) return false;
+  const until = user.subscription?.validUntil;
+  if (until) return (until.toMillis?.() ?? new Date(until).getTime()) > now;
+  if (user.is_validated !== true) return false;
+  return LEGACY_VALIDATED_UNTIL === null || now < LEGACY_VALIDATED_UNTIL;
+}
+
+// users doc → API shape; is_validated reflects current access
+const userJson = (snap) => {
+  const u = snap.data();
+  return { id: snap.id, ...u, is_validated: hasAccess(u) };
+};
+
+// The stored is_validated is cleared once access lapses, so queries on it
+// (GET /api/users?is_validated=) agree with hasAccess within a sweep.
+// Needs a composite index on users (is_validated, subscription.validUntil).
+let legacyAccessCleared = false;
+async function clearLapsedAccess(now = Date.now()) {
+  const validated = usersCol.where("is_validated", "==", true);
+  const queries = [
+    validated
+      .where("subscription.validUntil", "<=", Timestamp.fromMillis(now))
+      .get(),
+  ];
+  // Legacy users (no subscription) lapse together, once
+  const legacyDue =
+    !legacyAccessCleared &&
+    LEGACY_VALIDATED_UNTIL !== null &&
+    now >= LEGACY_VALIDATED_UNTIL;
+  if (legacyDue) queries.push(validated.get());
+
+  const snaps = await Promise.all(queries);
+  const lapsed = new Map(
+    snaps
+      .flatMap((snap) => snap.docs)
+      .filter((d) => !hasAccess(d.data(), now))
+      .map((d) => [d.id, d.ref]),
+  );
+  let cleared = 0;
+  for (const ref of lapsed.values()) {
+    // Re-checked in a transaction: an approval may have renewed it since
+    const done = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.data()?.is_validated !== true || hasAccess(snap.data()))
+        return false;
+      tx.update(ref, { is_validated: false });
+      return true;
+    });
+    if (done) cleared++;
+  }
+  if (legacyDue) legacyAccessCleared = true;
+  return cleared;
+}
+
+const sweepAccess = () =>
+  clearLapsedAccess()
+    .then((n) => n && console.log(`[ACCESS] Cleared ${n} lapsed user(s)`))
+    .catch((e) => console.error("[ACCESS] Sweep failed:", e?.message || e));
+setTimeout(sweepAccess, 60 * 1000).unref();
+setInterval(sweepAccess, 15 * 60 * 1000).unref();
+
+// Verifies the bearer token and attaches req.auth (decoded token) and
+// req.user (users doc, or null when the caller has not registered yet).
+// req.user.is_validated is the read-time value from hasAccess().
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get("authorization") || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return res
+        .status(401)
+        .json({ message: "Missing or invalid Authorization header" });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyToken(match[1].trim());
+    } catch (e) {
+      console.warn("[AUTH] Token rejected:", e?.code || e?.message || e);
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+
+    const snap = await usersCol.doc(decoded.uid).get();
+    req.auth = decoded;
+    req.user = snap.exists ? userJson(snap) : null;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Caller must have a users doc (i.e. has called /api/register)
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ message: "User is not registered" });
+  }
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (req.user?.is_Admin !== true) {
+    return res.status(403).json({ message: "Admin access required" });
+  }
+  next();
+};
+
+// Route param must be the caller's own uid, unless the caller is an admin
+const requireSelfOrAdmin =
+  (param = "uid") =>
+  (req, res, next) => {
+    if (req.user?.is_Admin === true) return next();
+    if (req.params[param] && req.params[param] === req.auth?.uid) {
+      return next();
+    }
+    return res.status(403).json({ message: "Forbidden" });
+  };
+
+const userOnly = [authenticate, requireUser];
+const adminOnly = [authenticate, requireUser, requireAdmin];
+const selfOrAdmin = (param) => [
+  authenticate,
+  requireUser,
+  requireSelfOrAdmin(param),
+];
 
 /* =========================
    Utility: Build Exam with Embedded Questions
@@ -232,1141 +754,6158 @@ async function getAllExamsWithQuestions() {
   return exams;
 }
 
-// --- Add near the top (after app initialization) ---
-app.get("/", (req, res) => {
-  res.send("OK");
-});
-
-app.get("/health", async (req, res) => {
-  try {
-    // Optional lightweight checks (no need to do heavy I/O each time)
-    res.json({ ok: true, time: new Date().toISOString() });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "health error" });
-  }
-});
-
 /* =========================
-   USER ROUTES
+   Utility: Cursor Pagination for list endpoints
 ========================= */
 
-app.post("/api/register", async (req, res) => {
-  try {
-    const { uid, email, displayName, is_Admin } = req.body;
-    if (!uid || !email) {
-      return res.status(400).json({ message: "Missing required fields" });
-    }
+// Parsers for whitelisted filters (undefined = invalid); values arrive as
+// query strings or already coerced by a pageQuery() schema
+const queryParsers = {
+  string: (v) => (String(v).trim() ? String(v).trim() : undefined),
+  number: (v) => (Number.isFinite(Number(v)) ? Number(v) : undefined),
+  boolean: (v) =>
+    v === true || v === "true"
+      ? true
+      : v === false || v === "false"
+        ? false
+        : undefined,
+};
 
-    const userRef = usersCol.doc(uid);
-    const existing = await userRef.get();
-    if (existing.exists) {
-      return res.status(400).json({ message: "User already exists" });
+// One page of `col`: ?limit=&cursor=<doc id>&sort=<field>&order=asc|desc
+// plus equality filters from `filters` ({ field: "string"|"number"|"boolean" },
+// or { param: { type, field, op } } to map a param onto another field/op)
+// and, when `dateField` is set, ?from=&to= (ISO dates) on that field.
+// Filter + sort combinations need a composite index in Firestore.
+// Returns { docs, nextCursor } or { error } for a bad query.
+async function listPage(
+  col,
+  query,
+  {
+    filters = {},
+    sorts = ["createdAt"],
+    defaultSort = "createdAt",
+    defaultOrder = "desc",
+    defaultLimit = 50,
+    maxLimit = 200,
+    dateField = null,
+  } = {},
+) {
+  let q = col;
+
+  for (const [param, spec] of Object.entries(filters)) {
+    if (typeof query[param] === "undefined") continue;
+    const {
+      type,
+      field = param,
+      op = "==",
+    } = typeof spec === "string" ? { type: spec } : spec;
+    const value = queryParsers[type](query[param]);
+    if (typeof value === "undefined") {
+      return { error: `Invalid '${param}' filter (expected ${type})` };
     }
-
-    const data = defaults.user({
-      uid,
-      email,
-      displayName: displayName || null,
-      ...(typeof is_Admin === "boolean" ? { is_Admin } : {}),
-    });
-
-    await userRef.set(data);
-    const saved = await userRef.get();
-    return res.status(201).json({ id: saved.id, ...saved.data() });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" });
+    q = q.where(field, op, value);
   }
-});
 
-app.get("/api/users/:uid", async (req, res) => {
-  try {
-    const snap = await usersCol.doc(req.params.uid).get();
-    if (!snap.exists) return res.json(null);
-    res.json({ id: snap.id, ...snap.data() });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const sort = query.sort ? String(query.sort) : defaultSort;
+  if (!sorts.includes(sort)) {
+    return { error: `'sort' must be one of: ${sorts.join(", ")}` };
   }
-});
-
-app.get("/api/users", async (req, res) => {
-  try {
-    const snap = await usersCol.get();
-    const users = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-    res.json(users);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const order = query.order ? String(query.order).toLowerCase() : defaultOrder;
+  if (order !== "asc" && order !== "desc") {
+    return { error: "'order' must be 'asc' or 'desc'" };
   }
-});
 
-app.put("/api/users/:uid/score", async (req, res) => {
-  try {
-    const { uid } = req.params;
-    const { score } = req.body;
+  if (dateField) {
+    for (const [param, op] of [
+      ["from", ">="],
+      ["to", "<="],
+    ]) {
+      if (typeof query[param] === "undefined") continue;
+      const d = new Date(query[param]);
+      if (Number.isNaN(d.getTime())) {
+        return { error: `Invalid '${param}' date` };
+      }
+      // Firestore needs the range field to be the sort field
+      if (sort !== dateField) {
+        return { error: `'${param}' requires sort=${dateField}` };
+      }
+      q = q.where(dateField, op, Timestamp.fromDate(d));
+    }
+  }
 
-    const ref = usersCol.doc(uid);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "User not found" });
+  const limit = parseLimit(query.limit, defaultLimit, maxLimit);
+  q = q.orderBy(sort, order).limit(limit + 1);
 
-    await ref.update({ last_score: Number(score) || 0 });
-    const updated = await ref.get();
-    res.json({
-      message: "Score updated",
-      lastScore: updated.data().last_score,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error updating score" });
+  if (query.cursor) {
+    const cursorSnap = await col.doc(String(query.cursor)).get();
+    if (!cursorSnap.exists) return { error: "Invalid cursor" };
+    q = q.startAfter(cursorSnap);
   }
-});
 
-app.put("/api/users/:uid", async (req, res) => {
-  try {
-    const { uid } = req.params;
-    const { Board, ExamYEar, is_Admin, phone } = req.body;
+  const snap = await q.get();
+  const docs = snap.docs.slice(0, limit);
+  return {
+    docs,
+    nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null,
+  };
+}
 
-    const update = {};
+/* =========================
+   Utility: Search Index (search_index)
+========================= */
 
-    // Board
-    if (typeof Board === "string") {
-      update.Board = Board.trim() || "none";
-    }
+// One entry per searchable doc: `terms` (tokens + prefixes) drives the
+// array-contains-any lookup, `tokens` per field drives ranking.
+const SEARCH_SOURCES = {
+  question: {
+    weights: { text: 3, options: 1 },
+    fields: (d) => ({ text: d.text, options: d.options || [] }),
+    title: (d) => d.text,
+    snippet: (d) => (d.options || []).join(" · "),
+  },
+  note: {
+    weights: { noteName: 3, originalName: 2 },
+    fields: (d) => ({ noteName: d.noteName, originalName: d.originalName }),
+    title: (d) => d.noteName,
+    snippet: (d) => d.originalName,
+    // entries indexed without it count as private until reindexed
+    gate: (d) => ({ isPublic: d.isPublic === true }),
+  },
+  announcement: {
+    weights: { title: 3, content: 1 },
+    fields: (d) => ({ title: d.title, content: d.content }),
+    title: (d) => d.title,
+    snippet: (d) => d.content,
+    // copied onto the entry so search can apply announcementVisibleTo
+    gate: (d) => ({
+      draft: d.draft ?? false,
+      publishAt: d.publishAt ?? null,
+      expiresAt: d.expiresAt ?? null,
+      audience: d.audience ?? null,
+    }),
+  },
+};
+const SEARCH_KINDS = Object.keys(SEARCH_SOURCES);
+const SNIPPET_LENGTH = 160;
+
+const clip = (v, n = SNIPPET_LENGTH) => {
+  const s = String(v ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return s.length > n ? `${s.slice(0, n - 1)}…` : s;
+};
 
-    // Exam year
-    if (typeof ExamYEar !== "undefined") {
-      const yearNum = Number(ExamYEar) || 0;
-      const currentYear = new Date().getFullYear();
-      if (yearNum !== 0 && (yearNum < 1980 || yearNum > currentYear + 1)) {
-        return res.status(400).json({
-          message: `Invalid year. Must be between 1980 and ${currentYear + 1}.`,
-        });
-      }
-      update.ExamYEar = yearNum;
-    }
+// Questions are keyed by exam too: ids are only unique per subcollection
+const searchDocId = (kind, id, examId = null) =>
+  kind === "question" ? `question_${examId}_${id}` : `${kind}_${id}`;
+
+function searchEntry(kind, id, data, examId = null) {
+  const source = SEARCH_SOURCES[kind];
+  const { terms, tokens } = indexFields(source.fields(data));
+  return {
+    kind,
+    refId: id,
+    examId,
+    title: clip(source.title(data)),
+    snippet: clip(source.snippet(data)),
+    ...(source.gate ? { gate: source.gate(data) } : {}),
+    terms,
+    tokens,
+    updatedAt: nowTs(),
+  };
+}
+
+// Write (data) or drop (data = null) one entry. Index failures never fail
+// the route that triggered them; POST /api/search/reindex repairs drift.
+async function syncSearchIndex(kind, id, data, examId = null) {
+  const ref = searchIndexCol.doc(searchDocId(kind, id, examId));
+  try {
+    if (data) await ref.set(searchEntry(kind, id, data, examId));
+    else await ref.delete();
+  } catch (e) {
+    console.warn(`[SEARCH] Index sync failed for ${ref.id}:`, e?.message || e);
+  }
+}
 
-    // Phone (NEW)
-    if (typeof phone === "string") {
-      // keep only digits and +
-      let p = phone.trim().replace(/[^\d+]/g, "");
+// Bulk variant for imports/reindex: [{ kind, id, data, examId }]. Throws,
+// so import routes catch and log while reindex reports the failure.
+async function writeSearchEntries(entries) {
+  for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    entries.slice(i, i + BATCH_LIMIT).forEach((e) => {
+      batch.set(
+        searchIndexCol.doc(searchDocId(e.kind, e.id, e.examId)),
+        searchEntry(e.kind, e.id, e.data, e.examId),
+      );
+    });
+    await batch.commit();
+  }
+}
 
-      // normalize common BD formats:
-      // 01XXXXXXXXX (11 digits) OR +8801XXXXXXXXX
-      if (p.startsWith("8801") && !p.startsWith("+")) p = "+" + p;
-      if (p.startsWith("01")) p = "+88" + p;
+const warnBulkIndex = (e) =>
+  console.warn("[SEARCH] Bulk index failed:", e?.message || e);
 
-      // validate: +8801 followed by 9 digits OR allow "none"
-      if (p && p !== "none") {
-        const ok = /^\+8801\d{9}$/.test(p);
-        if (!ok) {
-          return res.status(400).json({
-            message:
-              "Invalid phone. Use 01XXXXXXXXX or +8801XXXXXXXXX (Bangladesh format).",
-          });
-        }
-      }
+/* =========================
+   Utility: Audit Log (audit_log)
+========================= */
 
-      update.phone = p || "none";
-    }
-
-    const ref = usersCol.doc(uid);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "User not found" });
-
-    // --- NEW: auto-validation based on final values (existing + incoming) ---
-    const existing = snap.data() || {};
-    const nextBoard =
-      (typeof update.Board !== "undefined" ? update.Board : existing.Board) ||
-      "none";
-    const nextYear =
-      (typeof update.ExamYEar !== "undefined"
-        ? update.ExamYEar
-        : existing.ExamYEar) || 0;
-    const nextPhone =
-      (typeof update.phone !== "undefined" ? update.phone : existing.phone) ||
-      "none";
-
-    const isComplete =
-      String(nextBoard).trim() !== "" &&
-      String(nextBoard).trim().toLowerCase() !== "none" &&
-      Number(nextYear) > 0 &&
-      String(nextPhone).trim() !== "" &&
-      String(nextPhone).trim().toLowerCase() !== "none";
-
-    await ref.update(update);
-    const updated = await ref.get();
-    res.json({ id: updated.id, ...updated.data() });
-  } catch (err) {
-    console.error("Update user error:", err);
-    res.status(500).json({ message: "Server error" });
+// Flat, size-capped copy of a doc for before/after: scalars and short
+// scalar arrays are kept, timestamps become ISO strings, the rest is
+// reduced to a count or dropped.
+function auditSummary(data) {
+  if (!data || typeof data !== "object") return null;
+  const out = {};
+  for (const [key, v] of Object.entries(data)) {
+    if (v === null || typeof v === "number" || typeof v === "boolean") {
+      out[key] = v;
+    } else if (typeof v === "string") {
+      out[key] = clip(v, 120);
+    } else if (v instanceof Date || typeof v?.toDate === "function") {
+      out[key] = toIso(v);
+    } else if (Array.isArray(v)) {
+      out[key] =
+        v.length <= 10 && v.every((x) => x === null || typeof x !== "object")
+          ? v.map((x) => (typeof x === "string" ? clip(x, 60) : x))
+          : `[${v.length} items]`;
+    }
   }
-});
+  return out;
+}
+
+// Records an admin action once the response has gone out successfully.
+// Handlers describe it via res.locals.audit = { targetId?, before?, after? }
+// or set res.locals.audit = false to skip (e.g. dry runs). Non-admin
+// callers of shared routes (PUT /api/users/:uid) are not logged.
+const audit =
+  (action, targetType, param = "id") =>
+  (req, res, next) => {
+    res.on("finish", () => {
+      const info = res.locals.audit;
+      if (info === false || res.statusCode >= 400) return;
+      if (req.user?.is_Admin !== true) return;
+      auditCol
+        .add(
+          defaults.audit({
+            action,
+            actorUid: req.auth.uid,
+            actorEmail: req.auth.email || req.user.email || null,
+            targetType,
+            targetId: info?.targetId ?? req.params[param] ?? null,
+            before: auditSummary(info?.before),
+            after: auditSummary(info?.after),
+            ip: req.ip || null,
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            status: res.statusCode,
+          }),
+        )
+        .catch((e) =>
+          console.error(`[AUDIT] Failed to record ${action}:`, e?.message || e),
+        );
+    });
+    next();
+  };
 
 /* =========================
-   EXAM ROUTES
+   Utility: Storage Objects (cleanup of question images / note files)
 ========================= */
 
-app.get("/exams", async (req, res) => {
+// Question docs only keep the signed URL; it embeds the object path
+// (GCS: /<bucket>/question-images/…, local: /uploads/question-images/…?…).
+function questionImagePath(q) {
+  if (!q?.image) return null;
+  let pathname;
   try {
-    const exams = await getAllExamsWithQuestions();
-    return res.json(exams);
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Error fetching exams" });
+    pathname = decodeURIComponent(new URL(q.image, "http://local").pathname);
+  } catch {
+    return null;
   }
-});
+  const m = /\/(question-images\/[^/]+)$/.exec(pathname);
+  return m ? m[1] : null;
+}
 
-app.post("/exams", async (req, res) => {
-  try {
-    const { title, questionPercentage } = req.body;
-    if (!title) return res.status(400).json({ message: "Title required" });
+// Best-effort: a leftover object only wastes space and the storage GC
+// (POST /api/storage/gc) picks it up later.
+async function deleteStorageObjects(paths) {
+  for (const p of new Set(paths.filter(Boolean))) {
+    try {
+      await bucket.file(p).delete({ ignoreNotFound: true });
+    } catch (e) {
+      console.warn(`[STORAGE] Could not delete ${p}:`, e?.message || e);
+    }
+  }
+}
 
-    const doc = await examsCol.add(
-      defaults.exam({
-        title,
-        questionPercentage: Number(questionPercentage) || 0,
-      }),
+// Call after the questions are gone (or their image replaced). Bank exports
+// carry image URLs into other exams, so an object still used by any
+// question is kept.
+async function releaseQuestionImages(questions) {
+  const unused = [];
+  for (const q of questions) {
+    const p = questionImagePath(q);
+    if (!p || unused.includes(p)) continue;
+    const [live, trashed] = await Promise.all(
+      [
+        // also matches questions of trashed exams (trash/{id}/questions)
+        db.collectionGroup("questions").where("image", "==", q.image).limit(1),
+        trashCol.where("data.image", "==", q.image).limit(1),
+      ].map((query) => query.get()),
     );
-
-    const snap = await doc.get();
-    return res.status(201).json({ id: snap.id, questions: [], ...snap.data() });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Error creating exam" });
+    if (live.empty && trashed.empty) unused.push(p);
   }
-});
-
-app.put("/exams/:id", async (req, res) => {
-  try {
-    const { title, questionPercentage } = req.body;
-
-    const ref = examsCol.doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "Exam not found" });
-
-    await ref.update({
-      ...(typeof title !== "undefined" ? { title } : {}),
-      ...(typeof questionPercentage !== "undefined"
-        ? { questionPercentage: Number(questionPercentage) || 0 }
-        : {}),
-    });
+  await deleteStorageObjects(unused);
+}
 
-    const updated = await getExamWithQuestions(req.params.id);
-    return res.json(updated);
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Error updating exam" });
+/* =========================
+   Utility: Trash (soft delete)
+========================= */
+// Deleting moves the doc (plus its subcollection) into trash/{id}, so every
+// live query keeps working unchanged. Storage objects stay until purge.
+const TRASH_KINDS = ["exam", "question", "note", "announcement"];
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_CHILDREN = { exam: "questions", note: "versions" };
+
+// ops: [(batch) => void], committed BATCH_LIMIT at a time
+async function commitOps(ops) {
+  for (let i = 0; i < ops.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    ops.slice(i, i + BATCH_LIMIT).forEach((op) => op(batch));
+    await batch.commit();
   }
-});
+}
 
-app.delete("/exams/:id", async (req, res) => {
-  try {
-    const ref = examsCol.doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "Exam not found" });
+// Where a trashed item lives when it is live
+function trashTargetRef({ kind, originalId, examId }) {
+  if (kind === "exam") return examsCol.doc(originalId);
+  if (kind === "question")
+    return examsCol.doc(examId).collection("questions").doc(originalId);
+  if (kind === "note") return notesCol.doc(originalId);
+  return announcementsCol.doc(originalId);
+}
 
-    const qSnap = await ref.collection("questions").get();
-    const batch = db.batch();
-    qSnap.docs.forEach((d) => batch.delete(d.ref));
-    batch.delete(ref);
-    await batch.commit();
+/**
+ * Copy `snap` (and `children`, the docs of its TRASH_CHILDREN subcollection)
+ * into the trash, then run `cleanup` ops and delete the originals. The copy
+ * commits first so a failure halfway never loses data.
+ */
+async function moveToTrash(
+  req,
+  { kind, snap, examId = null, title = "", children = [], cleanup = [] },
+) {
+  const trashRef = trashCol.doc();
+  const childCol = TRASH_CHILDREN[kind];
+  await commitOps([
+    ...children.map(
+      (d) => (b) => b.set(trashRef.collection(childCol).doc(d.id), d.data()),
+    ),
+    (b) =>
+      b.set(
+        trashRef,
+        defaults.trash({
+          kind,
+          originalId: snap.id,
+          examId,
+          title: clip(title, 200),
+          data: snap.data(),
+          children: children.length,
+          deletedBy: {
+            uid: req.auth.uid,
+            email: req.auth.email || req.user?.email || null,
+          },
+          purgeAt: Timestamp.fromMillis(
+            Date.now() + TRASH_RETENTION_DAYS * DAY_MS,
+          ),
+        }),
+      ),
+  ]);
+  await commitOps([
+    ...children.map((d) => (b) => b.delete(d.ref)),
+    ...cleanup,
+    (b) => b.delete(snap.ref),
+  ]);
+  return trashRef.id;
+}
 
-    return res.json({ message: "Exam deleted successfully" });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Error deleting exam" });
+// Delete a trash entry for good, then the Storage objects only it used
+async function purgeTrash(trashSnap) {
+  const item = trashSnap.data();
+  const childCol = TRASH_CHILDREN[item.kind];
+  const children = childCol
+    ? (await trashSnap.ref.collection(childCol).get()).docs
+    : [];
+  await commitOps([
+    ...children.map((d) => (b) => b.delete(d.ref)),
+    (b) => b.delete(trashSnap.ref),
+  ]);
+
+  if (item.kind === "note") {
+    await deleteStorageObjects([
+      item.data?.storagePath,
+      ...children.map((d) => d.data().storagePath),
+    ]);
+  } else if (item.kind === "exam") {
+    await releaseQuestionImages(children.map((d) => d.data()));
+  } else if (item.kind === "question") {
+    await releaseQuestionImages([item.data]);
+  } else if (item.kind === "announcement") {
+    const reads = await announcementReadsCol
+      .where("announcementId", "==", item.originalId)
+      .get();
+    await commitOps(reads.docs.map((d) => (b) => b.delete(d.ref)));
   }
-});
+}
+
+async function purgeExpiredTrash() {
+  const snap = await trashCol
+    .where("purgeAt", "<=", Timestamp.now())
+    .limit(BATCH_LIMIT)
+    .get();
+  for (const d of snap.docs) await purgeTrash(d);
+  return snap.size;
+}
 
 /* =========================
-   QUESTION ROUTES (JSON)
+   Utility: Event Bus (feeds GET /api/events)
 ========================= */
+// target on each event says who gets it:
+//   { uid } one user · { admins: true } · { announcement } its audience
+//   · { examId } streams subscribed to that chapter · {} everyone
+const events = createEventBus({
+  bufferSize: Number(process.env.EVENT_BUFFER_SIZE) || 500,
+});
 
-app.post("/exams/:examId/questions", async (req, res) => {
-  try {
-    const { examId } = req.params;
-    const { text, options, correctAnswer, image, setId, setOrder } = req.body;
-
-    const examRef = examsCol.doc(examId);
-    const examSnap = await examRef.get();
-    if (!examSnap.exists)
-      return res.status(404).json({ message: "Exam not found" });
-
-    const errMsg = validateQuestionPayload({ text, options, correctAnswer });
-    if (errMsg) return res.status(400).json({ message: errMsg });
-
-    await examRef.collection("questions").add(
-      defaults.question({
-        text,
-        options,
-        correctAnswer: Number(correctAnswer),
-        image: image && String(image).trim() ? String(image).trim() : null,
-        setId: setId || null,
-        setOrder: Number.isFinite(Number(setOrder)) ? Number(setOrder) : 0,
-      }),
-    );
+const chapterEvent = (examId, data) =>
+  events.publish("chapter.content", { examId, ...data }, { examId });
 
-    const updatedExam = await getExamWithQuestions(examId);
-    return res.json(updatedExam);
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Error adding question" });
-  }
+const announcementEvent = (type, id, a) =>
+  events.publish(
+    type,
+    { id, title: a.title, pinned: !!a.pinned, publishAt: toIso(a.publishAt) },
+    { announcement: a },
+  );
+
+// --- Add near the top (after app initialization) ---
+app.get("/", (req, res) => {
+  res.send("OK");
 });
 
-app.put("/exams/:examId/questions/:questionId", async (req, res) => {
+app.get("/health", async (req, res) => {
   try {
-    const { examId, questionId } = req.params;
-    const { text, options, correctAnswer, image, setId, setOrder } = req.body;
-
-    const qRef = examsCol.doc(examId).collection("questions").doc(questionId);
-    const qSnap = await qRef.get();
-    if (!qSnap.exists)
-      return res.status(404).json({ message: "Question not found" });
-
-    const updates = {};
-    if (typeof text !== "undefined") updates.text = text;
-    if (typeof options !== "undefined") {
-      if (!Array.isArray(options) || options.length < 2) {
-        return res.status(400).json({
-          message: "'options' must be an array with at least 2 items",
-        });
+    // Optional lightweight checks (no need to do heavy I/O each time)
+    res.json({ ok: true, time: new Date().toISOString() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "health error" });
+  }
+});
+
+/* =========================
+   USER ROUTES
+========================= */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+$/;
+
+const registerSchema = s.object({
+  uid: docId().optional(),
+  email: s
+    .string({ max: 320, pattern: EMAIL_RE, patternMessage: "must be an email" })
+    .optional(),
+  displayName: s.string({ max: 100 }).optional(),
+});
+
+app.post(
+  "/api/register",
+  authenticate,
+  validate({ body: registerSchema }),
+  async (req, res, next) => {
+    try {
+      // uid always comes from the verified token; is_Admin is never client-set
+      const { uid } = req.auth;
+      const email = req.auth.email || req.body.email;
+      const { displayName } = req.body;
+      if (!email) {
+        return next(
+          fieldError("body", "email", "'email' is required", "required"),
+        );
       }
-      updates.options = options;
-    }
-    if (typeof correctAnswer !== "undefined") {
-      const idx = Number(correctAnswer);
-      const current =
-        typeof updates.options !== "undefined"
-          ? updates.options
-          : qSnap.data().options;
-      if (!Number.isInteger(idx) || idx < 0 || idx >= current.length) {
-        return res
-          .status(400)
-          .json({ message: "Invalid 'correctAnswer' index" });
+      if (req.body.uid && req.body.uid !== uid) {
+        return res.status(403).json({ message: "uid does not match token" });
       }
-      updates.correctAnswer = idx;
-    }
-    if (typeof image !== "undefined") {
-      updates.image =
-        image && String(image).trim() ? String(image).trim() : null;
-    }
-    if (typeof setId !== "undefined") updates.setId = setId || null;
-    if (typeof setOrder !== "undefined") {
-      const ord = Number(setOrder);
-      if (!Number.isFinite(ord)) {
-        return res.status(400).json({ message: "'setOrder' must be a number" });
+
+      const userRef = usersCol.doc(uid);
+      const existing = await userRef.get();
+      if (existing.exists) {
+        return res.status(400).json({ message: "User already exists" });
       }
-      updates.setOrder = ord;
+
+      const data = defaults.user({
+        uid,
+        email,
+        displayName: displayName || req.auth.name || null,
+      });
+
+      await userRef.set(data);
+      const saved = await userRef.get();
+      return res.status(201).json(userJson(saved));
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Server error" });
     }
+  },
+);
 
-    await qRef.update(updates);
-    const updatedExam = await getExamWithQuestions(examId);
-    return res.json(updatedExam);
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Error updating question" });
-  }
+app.get(
+  "/api/users/:uid",
+  selfOrAdmin("uid"),
+  validate({ params: idParams("uid") }),
+  async (req, res, next) => {
+    try {
+      const snap = await usersCol.doc(req.params.uid).get();
+      if (!snap.exists) return res.json(null);
+      res.json(userJson(snap));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+const usersQuery = pageQuery({
+  Board: s.string({ min: 1, max: 100 }).optional(),
+  ExamYEar: s.int().optional(),
+  is_validated: s.boolean().optional(),
+  is_Admin: s.boolean().optional(),
+  request_sent: s.boolean().optional(),
 });
 
-app.delete("/exams/:examId/questions/:questionId", async (req, res) => {
-  try {
-    const { examId, questionId } = req.params;
+app.get(
+  "/api/users",
+  adminOnly,
+  validate({ query: usersQuery }),
+  async (req, res, next) => {
+    try {
+      const page = await listPage(usersCol, req.query, {
+        filters: {
+          Board: "string",
+          ExamYEar: "number",
+          is_validated: "boolean",
+          is_Admin: "boolean",
+          request_sent: "boolean",
+        },
+        sorts: ["createdAt", "last_score", "displayName", "email", "ExamYEar"],
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      // The stored flag lags expiry until the next access sweep; drop
+      // items whose current access disagrees with the filter
+      const items = page.docs
+        .map(userJson)
+        .filter(
+          (u) =>
+            typeof req.query.is_validated === "undefined" ||
+            u.is_validated === req.query.is_validated,
+        );
+      res.json({ items, nextCursor: page.nextCursor });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Admin override only: students get scored by POST /attempts/:id/submit
+app.put(
+  "/api/users/:uid/score",
+  adminOnly,
+  audit("user.score", "user", "uid"),
+  validate({
+    params: idParams("uid"),
+    body: s.object({ score: s.number({ min: 0, max: 100 }) }),
+  }),
+  async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { score } = req.body;
+
+      const ref = usersCol.doc(uid);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "User not found" });
+
+      await ref.update({ last_score: score });
+      const updated = await ref.get();
+      res.locals.audit = {
+        before: { last_score: snap.data().last_score },
+        after: { last_score: updated.data().last_score },
+      };
+      res.json({
+        message: "Score updated",
+        lastScore: updated.data().last_score,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error updating score" });
+    }
+  },
+);
 
-    const qRef = examsCol.doc(examId).collection("questions").doc(questionId);
-    const qSnap = await qRef.get();
-    if (!qSnap.exists)
-      return res.status(404).json({ message: "Question not found" });
+// Bangladesh mobile numbers: 01XXXXXXXXX or +8801XXXXXXXXX, stored as
+// +8801XXXXXXXXX; "" or "none" clears the number
+const phoneSchema = s
+  .string({ max: 32 })
+  .transform((raw) => {
+    // keep only digits and +
+    let p = raw.replace(/[^\d+]/g, "");
+    if (p.startsWith("8801")) p = "+" + p;
+    if (p.startsWith("01")) p = "+88" + p;
+    return p || "none";
+  })
+  .refine(
+    (p) =>
+      p !== "none" &&
+      !/^\+8801\d{9}$/.test(p) &&
+      "Invalid phone. Use 01XXXXXXXXX or +8801XXXXXXXXX (Bangladesh format).",
+  );
 
-    await qRef.delete();
+// 0 = not set; otherwise 1980 .. next year
+const examYearSchema = s.int({ min: 0 }).refine((y) => {
+  const max = new Date().getFullYear() + 1;
+  return (
+    y !== 0 &&
+    (y < 1980 || y > max) &&
+    `Invalid year. Must be between 1980 and ${max}.`
+  );
+});
 
-    const updatedExam = await getExamWithQuestions(examId);
-    return res.json({
-      message: "Question deleted successfully",
-      exam: updatedExam,
-    });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error deleting question" });
-  }
+const userUpdateSchema = s.object({
+  Board: s.string({ max: 100 }).optional(),
+  ExamYEar: examYearSchema.nullable().optional(),
+  phone: phoneSchema.optional(),
+  leaderboardMasked: s.boolean().optional(),
+  is_Admin: s.boolean().optional(),
 });
 
+app.put(
+  "/api/users/:uid",
+  selfOrAdmin("uid"),
+  audit("user.update", "user", "uid"),
+  validate({ params: idParams("uid"), body: userUpdateSchema }),
+  async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { Board, ExamYEar, is_Admin, phone, leaderboardMasked } = req.body;
+
+      const update = {};
+
+      // Board / year / phone arrive normalized (userUpdateSchema)
+      if (typeof Board !== "undefined") update.Board = Board || "none";
+      if (typeof ExamYEar !== "undefined") update.ExamYEar = ExamYEar ?? 0;
+      if (typeof phone !== "undefined") update.phone = phone;
+      if (typeof leaderboardMasked !== "undefined") {
+        update.leaderboardMasked = leaderboardMasked;
+      }
+
+      // Role changes: admins only
+      if (typeof is_Admin !== "undefined") {
+        if (req.user.is_Admin !== true) {
+          return res
+            .status(403)
+            .json({ message: "Only admins can change is_Admin" });
+        }
+        update.is_Admin = is_Admin;
+      }
+
+      const ref = usersCol.doc(uid);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "User not found" });
+
+      // --- NEW: auto-validation based on final values (existing + incoming) ---
+      const existing = snap.data() || {};
+      const nextBoard =
+        (typeof update.Board !== "undefined" ? update.Board : existing.Board) ||
+        "none";
+      const nextYear =
+        (typeof update.ExamYEar !== "undefined"
+          ? update.ExamYEar
+          : existing.ExamYEar) || 0;
+      const nextPhone =
+        (typeof update.phone !== "undefined" ? update.phone : existing.phone) ||
+        "none";
+
+      const isComplete =
+        String(nextBoard).trim() !== "" &&
+        String(nextBoard).trim().toLowerCase() !== "none" &&
+        Number(nextYear) > 0 &&
+        String(nextPhone).trim() !== "" &&
+        String(nextPhone).trim().toLowerCase() !== "none";
+
+      await ref.update(update);
+      const updated = await ref.get();
+      res.locals.audit = { before: existing, after: updated.data() };
+      res.json(userJson(updated));
+    } catch (err) {
+      console.error("Update user error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
 /* =========================
-   FILE UPLOADS → Firebase Storage
+   EXAM ROUTES
 ========================= */
 
-const uploadPdf = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
-  fileFilter: (req, file, cb) => {
-    const isPdfMime = file.mimetype === "application/pdf";
-    const isPdfExt = /\.pdf$/i.test(file.originalname || "");
-    if (isPdfMime || isPdfExt) return cb(null, true);
-    cb(new Error("Only PDF files allowed"));
-  },
-});
+app.get(
+  "/exams",
+  userOnly,
+  validate({
+    query: pageQuery({ includeQuestions: s.boolean().default(true) }),
+  }),
+  async (req, res) => {
+    try {
+      const page = await listPage(examsCol, req.query, {
+        sorts: ["createdAt", "title", "questionPercentage"],
+        defaultSort: "createdAt",
+        defaultOrder: "asc",
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      const { includeQuestions } = req.query;
+      const exams = await Promise.all(
+        page.docs.map(async (d) => {
+          const exam = { id: d.id, ...d.data() };
+          if (!includeQuestions) return exam;
+          const qSnap = await d.ref.collection("questions").get();
+          exam.questions = qSnap.docs.map((q) => ({ id: q.id, ...q.data() }));
+          return examForViewer(req, exam);
+        }),
+      );
 
-const uploadImage = multer({
-  storage: multer.memoryStorage(),
-  fileFilter: (req, file, cb) => {
-    const allowed = /jpeg|jpg|png|gif|webp/;
-    const extOk = allowed.test(path.extname(file.originalname).toLowerCase());
-    const mimeOk = allowed.test((file.mimetype || "").toLowerCase());
-    if (extOk && mimeOk) return cb(null, true);
-    cb(new Error("Only image files are allowed (jpeg, jpg, png, gif, webp)"));
+      return res.json({ items: exams, nextCursor: page.nextCursor });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error fetching exams" });
+    }
   },
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
-});
+);
 
-// Upload PDF → Storage (returns note; mirrors public notes)
-app.post("/api/upload", uploadPdf.single("file"), async (req, res, next) => {
-  try {
-    const { noteName, isPublic, uploadedBy } = req.body;
-    if (!req.file)
-      return res.status(400).json({ message: "No file uploaded." });
-
-    const filename = makeFileName(req.file.originalname);
-    const storagePath = `notes/${filename}`;
-    const file = bucket.file(storagePath);
-
-    console.log(
-      "[UPLOAD] Saving to:",
-      storagePath,
-      "mimetype:",
-      req.file.mimetype,
-      "size:",
-      req.file.size,
-    );
+const examSchema = s.object({
+  title: s.string({ min: 1, max: 200 }),
+  questionPercentage: s.number({ min: 0, max: 100 }).default(0),
+});
 
-    await file.save(req.file.buffer, {
-      contentType: req.file.mimetype || "application/pdf",
-      metadata: { contentType: req.file.mimetype || "application/pdf" },
-      resumable: false,
-    });
+app.post(
+  "/exams",
+  adminOnly,
+  audit("exam.create", "exam"),
+  validate({ body: examSchema }),
+  async (req, res) => {
+    try {
+      const { title, questionPercentage } = req.body;
+      const doc = await examsCol.add(
+        defaults.exam({ title, questionPercentage }),
+      );
 
-    console.log("[UPLOAD] Saved to Storage. Getting signed URL…");
-    const downloadURL = await getReadUrl(file);
-    console.log(
-      "[UPLOAD] Signed URL:",
-      (downloadURL || "").slice(0, 72),
-      "...",
-    );
+      const snap = await doc.get();
+      res.locals.audit = { targetId: snap.id, after: snap.data() };
+      events.publish("chapter.created", { examId: snap.id, title });
+      return res
+        .status(201)
+        .json({ id: snap.id, questions: [], ...snap.data() });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error creating exam" });
+    }
+  },
+);
 
-    const payload = defaults.note({
-      noteName: noteName || req.file.originalname,
-      fileName: null, // legacy field no longer used, kept for compatibility
-      originalName: req.file.originalname,
-      isPublic: String(isPublic) === "true",
-      uploadedBy: uploadedBy || null,
-      downloadURL,
-      storagePath,
-    });
+app.put(
+  "/exams/:id",
+  adminOnly,
+  audit("exam.update", "exam"),
+  validate({ params: idParams("id"), body: examSchema.partial() }),
+  async (req, res) => {
+    try {
+      const ref = examsCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Exam not found" });
 
-    const mainRef = notesCol.doc();
-    const batch = db.batch();
-    batch.set(mainRef, payload);
+      await ref.update(req.body);
 
-    // Mirror to /public_notes if public
-    if (payload.isPublic) {
-      const mirrorRef = publicNotesCol.doc(mainRef.id);
-      batch.set(mirrorRef, payload);
+      const updated = await getExamWithQuestions(req.params.id);
+      res.locals.audit = { before: snap.data(), after: updated };
+      return res.json(updated);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error updating exam" });
     }
+  },
+);
 
-    await batch.commit();
+app.delete(
+  "/exams/:id",
+  adminOnly,
+  audit("exam.delete", "exam"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const ref = examsCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Exam not found" });
 
-    const saved = await mainRef.get();
-    return res.status(201).json({
-      message: "PDF uploaded successfully",
-      note: { id: saved.id, ...saved.data() },
-    });
-  } catch (err) {
-    console.error("Upload route error:", err);
-    next(err);
-  }
-});
+      const qSnap = await ref.collection("questions").get();
+      const trashId = await moveToTrash(req, {
+        kind: "exam",
+        snap,
+        title: snap.data().title,
+        children: qSnap.docs,
+        cleanup: qSnap.docs.flatMap((d) => [
+          (b) =>
+            addRevision(b, req, {
+              examId: req.params.id,
+              questionId: d.id,
+              action: "delete",
+              before: d.data(),
+            }),
+          (b) =>
+            b.delete(
+              searchIndexCol.doc(searchDocId("question", d.id, req.params.id)),
+            ),
+        ]),
+      });
+
+      res.locals.audit = {
+        before: { ...snap.data(), questions: qSnap.size },
+        after: { trashId },
+      };
+      return res.json({ message: "Exam deleted successfully", trashId });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error deleting exam" });
+    }
+  },
+);
 
 /* =========================
-   QUESTION UPLOAD (multipart) with Image to Storage
+   QUESTION ROUTES (JSON)
 ========================= */
 
 app.post(
-  "/exams/:examId/questions/upload",
-  uploadImage.single("image"),
+  "/exams/:examId/questions",
+  adminOnly,
+  audit("question.create", "question"),
+  validate({ params: idParams("examId"), body: questionSchema }),
   async (req, res) => {
     try {
       const { examId } = req.params;
-      const { text, correctAnswer, setId, setOrder } = req.body;
-      let { options } = req.body;
-
-      if (typeof options === "string") {
-        try {
-          options = JSON.parse(options);
-        } catch {
-          return res
-            .status(400)
-            .json({ message: "'options' must be a valid JSON array string" });
-        }
-      }
+      const { setOrder, ...fields } = req.body;
 
       const examRef = examsCol.doc(examId);
       const examSnap = await examRef.get();
       if (!examSnap.exists)
         return res.status(404).json({ message: "Exam not found" });
 
-      const errMsg = validateQuestionPayload({ text, options, correctAnswer });
-      if (errMsg) return res.status(400).json({ message: errMsg });
-
-      let imageUrl = null;
-      if (req.file) {
-        const filename = makeFileName(req.file.originalname);
-        const storagePath = `question-images/${filename}`;
-        const file = bucket.file(storagePath);
-
-        await file.save(req.file.buffer, {
-          contentType: req.file.mimetype,
-          metadata: { contentType: req.file.mimetype },
-          resumable: false,
-        });
-
-        imageUrl = await getReadUrl(file); // absolute signed URL
-      }
-
-      await examRef.collection("questions").add(
-        defaults.question({
-          text,
-          options,
-          correctAnswer: Number(correctAnswer),
-          image: imageUrl,
-          setId: setId || null,
-          setOrder: Number.isFinite(Number(setOrder)) ? Number(setOrder) : 0,
-        }),
-      );
+      const question = defaults.question({
+        ...fields,
+        setOrder: setOrder ?? 0,
+      });
+      const qRef = await examRef.collection("questions").add(question);
+      await syncSearchIndex("question", qRef.id, question, examId);
+      res.locals.audit = { targetId: qRef.id, after: { examId, ...question } };
+      chapterEvent(examId, { kind: "question", action: "added", count: 1 });
 
       const updatedExam = await getExamWithQuestions(examId);
       return res.json(updatedExam);
     } catch (err) {
       console.error(err);
-      if (err instanceof Error) {
-        return res.status(400).json({ message: err.message });
-      }
       return res.status(500).json({ message: "Error adding question" });
     }
   },
 );
 
 app.put(
-  "/exams/:examId/questions/:questionId/upload",
-  uploadImage.single("image"),
-  async (req, res) => {
+  "/exams/:examId/questions/:questionId",
+  adminOnly,
+  audit("question.update", "question", "questionId"),
+  validate({
+    params: idParams("examId", "questionId"),
+    body: questionPatchSchema,
+  }),
+  async (req, res, next) => {
     try {
       const { examId, questionId } = req.params;
-      const { text, correctAnswer, removeImage, setId, setOrder } = req.body;
-      let { options } = req.body;
-
-      if (typeof options === "string") {
-        try {
-          options = JSON.parse(options);
-        } catch {
-          return res
-            .status(400)
-            .json({ message: "'options' must be a valid JSON array string" });
-        }
-      }
 
       const qRef = examsCol.doc(examId).collection("questions").doc(questionId);
       const qSnap = await qRef.get();
       if (!qSnap.exists)
         return res.status(404).json({ message: "Question not found" });
 
-      const updates = {};
-      if (typeof text !== "undefined") updates.text = text;
-      if (typeof options !== "undefined") {
-        if (!Array.isArray(options) || options.length < 2) {
-          return res.status(400).json({
-            message: "'options' must be an array with at least 2 items",
-          });
-        }
-        updates.options = options;
-      }
-      if (typeof correctAnswer !== "undefined") {
-        const idx = Number(correctAnswer);
-        const current =
-          typeof updates.options !== "undefined"
-            ? updates.options
-            : qSnap.data().options;
-        if (!Number.isInteger(idx) || idx < 0 || idx >= current.length) {
-          return res
-            .status(400)
-            .json({ message: "Invalid 'correctAnswer' index" });
-        }
-        updates.correctAnswer = idx;
-      }
-
-      if (req.file) {
-        const filename = makeFileName(req.file.originalname);
-        const storagePath = `question-images/${filename}`;
-        const file = bucket.file(storagePath);
-        await file.save(req.file.buffer, {
-          contentType: req.file.mimetype,
-          metadata: { contentType: req.file.mimetype },
-          resumable: false,
-        });
-        updates.image = await getReadUrl(file);
-      } else if (removeImage === "true") {
-        updates.image = null;
+      const before = qSnap.data();
+      const updates = questionUpdates(req.body);
+      const rangeErr =
+        ("options" in updates || "correctAnswer" in updates) &&
+        correctAnswerInRange({ ...before, ...updates });
+      if (rangeErr) {
+        return next(
+          fieldError("body", rangeErr.field, rangeErr.message, rangeErr.code),
+        );
       }
 
-      if (typeof setId !== "undefined") updates.setId = setId || null;
-      if (typeof setOrder !== "undefined") {
-        const ord = Number(setOrder);
-        if (!Number.isFinite(ord)) {
-          return res
-            .status(400)
-            .json({ message: "'setOrder' must be a number" });
-        }
-        updates.setOrder = ord;
+      const batch = db.batch();
+      batch.update(qRef, updates);
+      addRevision(batch, req, {
+        examId,
+        questionId,
+        action: "update",
+        before,
+        after: { ...before, ...updates },
+      });
+      await batch.commit();
+      await syncSearchIndex(
+        "question",
+        questionId,
+        { ...before, ...updates },
+        examId,
+      );
+      if ("image" in updates && updates.image !== before.image) {
+        await releaseQuestionImages([before]);
       }
-
-      await qRef.update(updates);
+      res.locals.audit = { before, after: { ...before, ...updates } };
       const updatedExam = await getExamWithQuestions(examId);
       return res.json(updatedExam);
     } catch (err) {
       console.error(err);
-      if (err instanceof Error) {
-        return res.status(400).json({ message: err.message });
-      }
       return res.status(500).json({ message: "Error updating question" });
     }
   },
 );
 
-/* =========================
-   NOTES (no composite index needed)
-========================= */
+app.delete(
+  "/exams/:examId/questions/:questionId",
+  adminOnly,
+  audit("question.delete", "question", "questionId"),
+  validate({ params: idParams("examId", "questionId") }),
+  async (req, res) => {
+    try {
+      const { examId, questionId } = req.params;
 
-// Public: read from /public_notes (orderBy only)
-// Validated: read from /notes (orderBy only)
-// Fetch ALL notes (admin-style)
-app.get("/api/notes", async (req, res) => {
-  try {
-    const snap = await notesCol.get();
+      const qRef = examsCol.doc(examId).collection("questions").doc(questionId);
+      const qSnap = await qRef.get();
+      if (!qSnap.exists)
+        return res.status(404).json({ message: "Question not found" });
 
-    const notes = snap.docs
-      .map((d) => ({ id: d.id, ...d.data() }))
-      .sort((a, b) => {
-        const ta = a.createdAt?.toMillis?.() ?? 0;
-        const tb = b.createdAt?.toMillis?.() ?? 0;
-        return tb - ta; // newest first
+      const trashId = await moveToTrash(req, {
+        kind: "question",
+        snap: qSnap,
+        examId,
+        title: qSnap.data().text,
+        cleanup: [
+          (b) =>
+            addRevision(b, req, {
+              examId,
+              questionId,
+              action: "delete",
+              before: qSnap.data(),
+            }),
+          (b) =>
+            b.delete(
+              searchIndexCol.doc(searchDocId("question", questionId, examId)),
+            ),
+        ],
       });
+      res.locals.audit = {
+        before: { examId, ...qSnap.data() },
+        after: { trashId },
+      };
 
-    return res.json(notes);
-  } catch (err) {
-    console.error("GET /api/notes error:", err?.message || err);
-    return res.status(500).json({ message: "Failed to fetch notes" });
-  }
-});
-
-// Update a note & sync public mirror on isPublic changes or field edits
-app.patch("/api/notes/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { noteName, isPublic, uploadedBy } = req.body;
-
-    const ref = notesCol.doc(id);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "Note not found" });
-
-    const prev = snap.data();
-    const update = {
-      ...(typeof noteName === "string" ? { noteName } : {}),
-      ...(typeof uploadedBy === "string" ? { uploadedBy } : {}),
-      ...(typeof isPublic === "boolean" ? { isPublic } : {}),
-      updatedAt: nowTs(),
-    };
+      const updatedExam = await getExamWithQuestions(examId);
+      return res.json({
+        message: "Question deleted successfully",
+        trashId,
+        exam: updatedExam,
+      });
+    } catch (err) {
+      console.error(err);
+      return res
+        .status(500)
+        .json({ message: "Server error deleting question" });
+    }
+  },
+);
+
+/* =========================
+   FILE UPLOADS → Firebase Storage
+========================= */
+
+const uploadPdf = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+  fileFilter: (req, file, cb) => {
+    const isPdfMime = file.mimetype === "application/pdf";
+    const isPdfExt = /\.pdf$/i.test(file.originalname || "");
+    if (isPdfMime || isPdfExt) return cb(null, true);
+    cb(
+      new ApiError(400, "unsupported_file_type", "Only PDF files are allowed"),
+    );
+  },
+});
+
+const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowed = /jpeg|jpg|png|gif|webp/;
+    const extOk = allowed.test(path.extname(file.originalname).toLowerCase());
+    const mimeOk = allowed.test((file.mimetype || "").toLowerCase());
+    if (extOk && mimeOk) return cb(null, true);
+    cb(
+      new ApiError(
+        400,
+        "unsupported_file_type",
+        "Only image files are allowed (jpeg, jpg, png, gif, webp)",
+      ),
+    );
+  },
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+});
+
+const uploadImport = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    const extOk = /\.(csv|json|txt|gift|aiken)$/i.test(file.originalname || "");
+    if (extOk) return cb(null, true);
+    cb(
+      new ApiError(
+        400,
+        "unsupported_file_type",
+        "Only CSV, JSON, Aiken or GIFT files allowed",
+      ),
+    );
+  },
+});
+
+const MAX_NOTE_CATEGORIES = 10;
+
+// Note fields (multipart on upload, JSON on PATCH)
+const noteSchema = s.object({
+  noteName: s.string({ max: 200 }).optional(),
+  isPublic: s.boolean().default(false),
+  uploadedBy: s.string({ max: 128 }).optional(),
+  examIds: stringList({ max: 50, maxLength: 128 }).optional(), // chapters
+  categories: stringList({ max: MAX_NOTE_CATEGORIES }).optional(),
+});
+
+// Upload PDF → Storage (returns note; mirrors public notes)
+app.post(
+  "/api/upload",
+  adminOnly,
+  audit("note.create", "note"),
+  uploadPdf.single("file"),
+  validate({ body: noteSchema }),
+  async (req, res, next) => {
+    try {
+      const { noteName, isPublic, uploadedBy, ...meta } = req.body;
+      if (!req.file) return next(noFileError());
+
+      const missing = await missingExamIds(meta.examIds);
+      if (missing) return next(missing);
+
+      const filename = makeFileName(req.file.originalname);
+      const storagePath = `notes/${filename}`;
+      const file = bucket.file(storagePath);
+
+      console.log(
+        "[UPLOAD] Saving to:",
+        storagePath,
+        "mimetype:",
+        req.file.mimetype,
+        "size:",
+        req.file.size,
+      );
+
+      await file.save(req.file.buffer, {
+        contentType: req.file.mimetype || "application/pdf",
+        metadata: { contentType: req.file.mimetype || "application/pdf" },
+        resumable: false,
+      });
+
+      console.log("[UPLOAD] Saved to Storage.");
+
+      const payload = defaults.note({
+        noteName: noteName || req.file.originalname,
+        fileName: null, // legacy field no longer used, kept for compatibility
+        originalName: req.file.originalname,
+        isPublic,
+        uploadedBy: uploadedBy || req.auth.uid,
+        storagePath, // downloads go through GET /api/notes/:id/download
+        ...meta,
+      });
+
+      const mainRef = notesCol.doc();
+      const batch = db.batch();
+      batch.set(mainRef, payload);
+
+      // Mirror to /public_notes if public
+      if (payload.isPublic) {
+        const mirrorRef = publicNotesCol.doc(mainRef.id);
+        batch.set(mirrorRef, payload);
+      }
+
+      await batch.commit();
+      await syncSearchIndex("note", mainRef.id, payload);
+      res.locals.audit = { targetId: mainRef.id, after: payload };
+      payload.examIds.forEach((examId) =>
+        chapterEvent(examId, {
+          kind: "note",
+          action: "added",
+          noteId: mainRef.id,
+          title: payload.noteName,
+        }),
+      );
+
+      const saved = await mainRef.get();
+      return res.status(201).json({
+        message: "PDF uploaded successfully",
+        note: noteJson(saved),
+      });
+    } catch (err) {
+      console.error("Upload route error:", err);
+      next(err);
+    }
+  },
+);
+
+/* =========================
+   QUESTION UPLOAD (multipart) with Image to Storage
+========================= */
+
+// multipart: image?, plus the question fields as form fields ('options'
+// as a JSON array string)
+app.post(
+  "/exams/:examId/questions/upload",
+  adminOnly,
+  audit("question.create", "question"),
+  uploadImage.single("image"),
+  validate({ params: idParams("examId"), body: questionSchema }),
+  async (req, res) => {
+    try {
+      const { examId } = req.params;
+      const { setOrder, image, ...fields } = req.body;
+
+      const examRef = examsCol.doc(examId);
+      const examSnap = await examRef.get();
+      if (!examSnap.exists)
+        return res.status(404).json({ message: "Exam not found" });
+
+      let imageUrl = null;
+      if (req.file) {
+        const filename = makeFileName(req.file.originalname);
+        const storagePath = `question-images/${filename}`;
+        const file = bucket.file(storagePath);
+
+        await file.save(req.file.buffer, {
+          contentType: req.file.mimetype,
+          metadata: { contentType: req.file.mimetype },
+          resumable: false,
+        });
+
+        imageUrl = await getReadUrl(file); // absolute signed URL
+      }
+
+      const question = defaults.question({
+        ...fields,
+        image: imageUrl,
+        setOrder: setOrder ?? 0,
+      });
+      const qRef = await examRef.collection("questions").add(question);
+      await syncSearchIndex("question", qRef.id, question, examId);
+      res.locals.audit = { targetId: qRef.id, after: { examId, ...question } };
+      chapterEvent(examId, { kind: "question", action: "added", count: 1 });
+
+      const updatedExam = await getExamWithQuestions(examId);
+      return res.json(updatedExam);
+    } catch (err) {
+      console.error(err);
+      if (err instanceof Error) {
+        return res.status(400).json({ message: err.message });
+      }
+      return res.status(500).json({ message: "Error adding question" });
+    }
+  },
+);
+
+// multipart: image? (replaces), removeImage? ("true"), any question fields
+app.put(
+  "/exams/:examId/questions/:questionId/upload",
+  adminOnly,
+  audit("question.update", "question", "questionId"),
+  uploadImage.single("image"),
+  validate({
+    params: idParams("examId", "questionId"),
+    body: questionPatchSchema.extend({ removeImage: s.boolean().optional() }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { examId, questionId } = req.params;
+      // the image only comes as a file here
+      const { removeImage, image, ...fields } = req.body;
+
+      const qRef = examsCol.doc(examId).collection("questions").doc(questionId);
+      const qSnap = await qRef.get();
+      if (!qSnap.exists)
+        return res.status(404).json({ message: "Question not found" });
+
+      const before = qSnap.data();
+      const updates = questionUpdates(fields);
+      const rangeErr =
+        ("options" in updates || "correctAnswer" in updates) &&
+        correctAnswerInRange({ ...before, ...updates });
+      if (rangeErr) {
+        return next(
+          fieldError("body", rangeErr.field, rangeErr.message, rangeErr.code),
+        );
+      }
+
+      if (req.file) {
+        const filename = makeFileName(req.file.originalname);
+        const storagePath = `question-images/${filename}`;
+        const file = bucket.file(storagePath);
+        await file.save(req.file.buffer, {
+          contentType: req.file.mimetype,
+          metadata: { contentType: req.file.mimetype },
+          resumable: false,
+        });
+        updates.image = await getReadUrl(file);
+      } else if (removeImage === true) {
+        updates.image = null;
+      }
+
+      const batch = db.batch();
+      batch.update(qRef, updates);
+      addRevision(batch, req, {
+        examId,
+        questionId,
+        action: "update",
+        before,
+        after: { ...before, ...updates },
+      });
+      await batch.commit();
+      await syncSearchIndex(
+        "question",
+        questionId,
+        { ...before, ...updates },
+        examId,
+      );
+      if ("image" in updates && updates.image !== before.image) {
+        await releaseQuestionImages([before]);
+      }
+      res.locals.audit = { before, after: { ...before, ...updates } };
+      const updatedExam = await getExamWithQuestions(examId);
+      return res.json(updatedExam);
+    } catch (err) {
+      console.error(err);
+      if (err instanceof Error) {
+        return res.status(400).json({ message: err.message });
+      }
+      return res.status(500).json({ message: "Error updating question" });
+    }
+  },
+);
+
+/* =========================
+   QUESTION REVISIONS (history, diff, restore)
+========================= */
+
+// Fields compared for diffs; `data` on a revision keeps the whole doc
+const REVISION_FIELDS = [
+  "text",
+  "options",
+  "correctAnswer",
+  "image",
+  "setId",
+  "setOrder",
+  "tags",
+  "difficulty",
+  "topic",
+];
+
+// Field-level changes between two question states (null = no question)
+function diffQuestion(before, after) {
+  const changes = [];
+  for (const field of REVISION_FIELDS) {
+    const from = before ? (before[field] ?? null) : null;
+    const to = after ? (after[field] ?? null) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// Queue a revision on `batch` so it commits with the change it describes.
+// Updates that change nothing are not recorded.
+function addRevision(
+  batch,
+  req,
+  { examId, questionId, action, before = null, after = null, restoredFrom },
+) {
+  const changes = diffQuestion(before, after);
+  if (action === "update" && !changes.length) return null;
+  const ref = revisionsCol.doc();
+  batch.set(
+    ref,
+    defaults.revision({
+      examId,
+      questionId,
+      action,
+      data: before,
+      changes,
+      restoredFrom: restoredFrom || null,
+      by: {
+        uid: req.auth.uid,
+        email: req.auth.email || req.user?.email || null,
+      },
+    }),
+  );
+  return ref;
+}
+
+// Revision by id, only if it belongs to this exam/question
+async function getRevision(examId, questionId, revisionId) {
+  const snap = await revisionsCol.doc(revisionId).get();
+  if (!snap.exists) return null;
+  const rev = snap.data();
+  if (rev.examId !== examId || rev.questionId !== questionId) return null;
+  return { id: snap.id, ...rev };
+}
+
+const REVISION_ACTIONS = ["update", "delete", "restore"];
+const revisionsQuery = pageQuery({
+  action: s.enum(REVISION_ACTIONS).optional(),
+});
+
+const revisionPage = async (req, res, scope) => {
+  const page = await listPage(
+    revisionsCol,
+    { ...req.query, ...scope },
+    {
+      filters: {
+        examId: "string",
+        questionId: "string",
+        action: "string",
+      },
+    },
+  );
+  if (page.error) return res.status(400).json({ message: page.error });
+  return res.json({
+    items: page.docs.map((d) => ({ id: d.id, ...d.data() })),
+    nextCursor: page.nextCursor,
+  });
+};
+
+// Newest first; works for deleted questions too
+app.get(
+  "/exams/:examId/questions/:questionId/revisions",
+  adminOnly,
+  validate({
+    params: idParams("examId", "questionId"),
+    query: revisionsQuery,
+  }),
+  async (req, res) => {
+    try {
+      const { examId, questionId } = req.params;
+      return await revisionPage(req, res, { examId, questionId });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error fetching revisions" });
+    }
+  },
+);
+
+// Whole exam, e.g. ?action=delete to find questions that can be undeleted
+app.get(
+  "/exams/:examId/revisions",
+  adminOnly,
+  validate({ params: idParams("examId"), query: revisionsQuery }),
+  async (req, res) => {
+    try {
+      return await revisionPage(req, res, { examId: req.params.examId });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error fetching revisions" });
+    }
+  },
+);
+
+// ?from=<revisionId>&to=<revisionId|current> (to defaults to current).
+// A revision's state is the question as it was before that change.
+app.get(
+  "/exams/:examId/questions/:questionId/revisions/diff",
+  adminOnly,
+  validate({
+    params: idParams("examId", "questionId"),
+    query: s.object({ from: docId(), to: docId().default("current") }),
+  }),
+  async (req, res) => {
+    try {
+      const { examId, questionId } = req.params;
+      const { from: fromId, to: toId } = req.query;
+
+      const stateOf = async (id) => {
+        if (id === "current") {
+          const snap = await examsCol
+            .doc(examId)
+            .collection("questions")
+            .doc(questionId)
+            .get();
+          return {
+            ref: { id: "current", createdAt: null },
+            data: snap.exists ? snap.data() : null,
+          };
+        }
+        const rev = await getRevision(examId, questionId, id);
+        return rev && { ref: { id, createdAt: rev.createdAt }, data: rev.data };
+      };
+
+      const [from, to] = await Promise.all([stateOf(fromId), stateOf(toId)]);
+      if (!from || !to)
+        return res.status(404).json({ message: "Revision not found" });
+
+      return res.json({
+        from: { ...from.ref, exists: !!from.data },
+        to: { ...to.ref, exists: !!to.data },
+        changes: diffQuestion(from.data, to.data),
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error building diff" });
+    }
+  },
+);
+
+// Put the question back the way it was before the given revision; this
+// also undeletes it. The restore itself is recorded as a revision.
+app.post(
+  "/exams/:examId/questions/:questionId/revisions/:revisionId/restore",
+  adminOnly,
+  audit("question.restore", "question", "questionId"),
+  validate({ params: idParams("examId", "questionId", "revisionId") }),
+  async (req, res) => {
+    try {
+      const { examId, questionId, revisionId } = req.params;
+
+      const examSnap = await examsCol.doc(examId).get();
+      if (!examSnap.exists)
+        return res.status(404).json({ message: "Exam not found" });
+
+      const rev = await getRevision(examId, questionId, revisionId);
+      if (!rev) return res.status(404).json({ message: "Revision not found" });
+      if (!rev.data) {
+        return res
+          .status(400)
+          .json({ message: "Revision has no earlier version to restore" });
+      }
+
+      const qRef = examsCol.doc(examId).collection("questions").doc(questionId);
+      const qSnap = await qRef.get();
+      const current = qSnap.exists ? qSnap.data() : null;
+
+      // Undeleting consumes the question's trash entry, so a later trash
+      // restore can't clash with it and a purge can't release its images
+      const trashed = current
+        ? []
+        : (
+            await trashCol
+              .where("kind", "==", "question")
+              .where("originalId", "==", questionId)
+              .get()
+          ).docs.filter((d) => d.data().examId === examId);
+
+      // The image object is removed once no question uses it; restore
+      // without it rather than bring back a dead link.
+      const data = { ...rev.data };
+      const imagePath = questionImagePath(data);
+      let imageDropped = false;
+      if (imagePath) {
+        const [exists] = await bucket.file(imagePath).exists();
+        if (!exists) {
+          data.image = null;
+          imageDropped = true;
+        }
+      }
+
+      const batch = db.batch();
+      batch.set(qRef, data);
+      addRevision(batch, req, {
+        examId,
+        questionId,
+        action: "restore",
+        before: current,
+        after: data,
+        restoredFrom: revisionId,
+      });
+      trashed.forEach((d) => batch.delete(d.ref));
+      await batch.commit();
+      await syncSearchIndex("question", questionId, data, examId);
+      if (current && current.image !== data.image) {
+        await releaseQuestionImages([current]);
+      }
+      res.locals.audit = { before: current, after: data };
+
+      const updatedExam = await getExamWithQuestions(examId);
+      return res.json({
+        message: current ? "Question restored" : "Question undeleted",
+        question: { id: questionId, ...data },
+        imageDropped,
+        exam: updatedExam,
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Error restoring question" });
+    }
+  },
+);
+
+/* =========================
+   QUESTION IMPORT (CSV / JSON / Aiken / GIFT)
+========================= */
+
+// Firestore batches cap at 500 writes. Chunks that already committed are
+// deleted again if a later chunk fails, so callers get all-or-nothing.
+const BATCH_LIMIT = 450;
+
+async function setDocsAllOrNothing(writes) {
+  const committed = [];
+  try {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+      const chunk = writes.slice(i, i + BATCH_LIMIT);
+      const batch = db.batch();
+      chunk.forEach(({ ref, data }) => batch.set(ref, data));
+      await batch.commit();
+      committed.push(...chunk.map((w) => w.ref));
+    }
+  } catch (err) {
+    for (let i = 0; i < committed.length; i += BATCH_LIMIT) {
+      const batch = db.batch();
+      committed.slice(i, i + BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+      await batch
+        .commit()
+        .catch((e) => console.error("[BATCH] Rollback failed:", e?.message));
+    }
+    throw err;
+  }
+}
+
+function validateImportRows(rows) {
+  const errors = [];
+  const valid = [];
+  for (const { row, question, error } of rows) {
+    const errMsg = error || validateFullQuestion(question);
+    if (errMsg) errors.push({ row, message: errMsg });
+    else valid.push({ row, question });
+  }
+  return { valid, errors };
+}
+
+// createdAt steps 1ms per row so exports keep the file's order
+const importedQuestion = (q, index, baseMillis) => {
+  const { setOrder, ...fields } = check(questionSchema, q).value;
+  return defaults.question({
+    createdAt: Timestamp.fromMillis(baseMillis + index),
+    ...fields,
+    setOrder: setOrder ?? 0,
+  });
+};
+
+// multipart form fields of the import routes (besides the file)
+const importFields = (formats) =>
+  s.object({
+    format: s.enum(formats, { lowercase: true }).optional(),
+    dryRun: s.boolean().default(false),
+  });
+
+// Whole bank (see GET /exams/export): creates one new exam per entry.
+// multipart: file, format? (json|csv), dryRun? ("true")
+app.post(
+  "/exams/import",
+  adminOnly,
+  audit("bank.import", "exam"),
+  uploadImport.single("file"),
+  validate({ body: importFields(["json", "csv"]) }),
+  async (req, res, next) => {
+    try {
+      const { dryRun } = req.body;
+      if (!req.file) return next(noFileError());
+
+      const content = req.file.buffer.toString("utf8");
+      const format = detectFormat(
+        req.body.format,
+        req.file.originalname,
+        content,
+      );
+      const bank = parseBank(content, format);
+      if (bank.error) return res.status(400).json({ message: bank.error });
+
+      const exams = bank.exams.map((e) => {
+        const { valid, errors } = validateImportRows(e.rows);
+        if (!e.title) {
+          errors.unshift({ row: 0, message: "Exam 'title' is required" });
+        }
+        return { ...e, valid, errors };
+      });
+      const summary = {
+        format,
+        dryRun,
+        exams: exams.map((e) => ({
+          title: e.title,
+          total: e.rows.length,
+          valid: e.valid.length,
+          invalid: e.errors.length,
+          errors: e.errors,
+        })),
+      };
+      const hasErrors = exams.some((e) => e.errors.length);
+
+      if (dryRun) {
+        res.locals.audit = false;
+        return res.json(summary);
+      }
+      if (!exams.length || hasErrors) {
+        return res.status(400).json({
+          ...summary,
+          message: exams.length
+            ? "Import rejected: fix the listed rows and retry"
+            : "No exams found",
+        });
+      }
+
+      const writes = [];
+      const indexed = [];
+      const created = [];
+      const startedAt = Date.now();
+      for (const e of exams) {
+        const examRef = examsCol.doc();
+        created.push({
+          id: examRef.id,
+          title: e.title,
+          questions: e.valid.length,
+        });
+        writes.push({
+          ref: examRef,
+          data: defaults.exam({
+            title: e.title,
+            questionPercentage: e.questionPercentage,
+          }),
+        });
+        e.valid.forEach(({ question }, i) => {
+          const ref = examRef.collection("questions").doc();
+          const data = importedQuestion(question, i, startedAt);
+          writes.push({ ref, data });
+          indexed.push({
+            kind: "question",
+            id: ref.id,
+            data,
+            examId: examRef.id,
+          });
+        });
+      }
+      await setDocsAllOrNothing(writes);
+      await writeSearchEntries(indexed).catch(warnBulkIndex);
+      created.forEach((c) =>
+        events.publish("chapter.created", { examId: c.id, title: c.title }),
+      );
+      res.locals.audit = {
+        after: {
+          format,
+          exams: created.map((c) => c.id),
+          questions: indexed.length,
+        },
+      };
+
+      return res.status(201).json({ ...summary, created });
+    } catch (err) {
+      console.error("Import bank error:", err);
+      return res.status(500).json({ message: "Error importing question bank" });
+    }
+  },
+);
+
+// multipart: file, format? (csv|json|aiken|gift), dryRun? ("true")
+app.post(
+  "/exams/:examId/questions/import",
+  adminOnly,
+  audit("question.import", "exam", "examId"),
+  uploadImport.single("file"),
+  validate({ params: idParams("examId"), body: importFields(IMPORT_FORMATS) }),
+  async (req, res, next) => {
+    try {
+      const { examId } = req.params;
+      const { dryRun } = req.body;
+      if (!req.file) return next(noFileError());
+
+      const examRef = examsCol.doc(examId);
+      const examSnap = await examRef.get();
+      if (!examSnap.exists)
+        return res.status(404).json({ message: "Exam not found" });
+
+      const content = req.file.buffer.toString("utf8");
+      const format = detectFormat(
+        req.body.format,
+        req.file.originalname,
+        content,
+      );
+      if (!format) {
+        return res.status(400).json({
+          message: "Unknown format. Pass 'format' as csv, json, aiken or gift.",
+        });
+      }
+
+      const rows = parseQuestions(content, format);
+      const { valid, errors } = validateImportRows(rows);
+
+      const summary = {
+        format,
+        dryRun,
+        total: rows.length,
+        valid: valid.length,
+        invalid: errors.length,
+        errors,
+      };
+
+      if (dryRun) {
+        res.locals.audit = false;
+        return res.json(summary);
+      }
+      if (!rows.length) {
+        return res
+          .status(400)
+          .json({ ...summary, message: "No questions found" });
+      }
+      if (errors.length) {
+        return res.status(400).json({
+          ...summary,
+          message: "Import rejected: fix the listed rows and retry",
+        });
+      }
+
+      const questionsCol = examRef.collection("questions");
+      const startedAt = Date.now();
+      const writes = valid.map(({ question }, i) => ({
+        ref: questionsCol.doc(),
+        data: importedQuestion(question, i, startedAt),
+      }));
+      await setDocsAllOrNothing(writes);
+      await writeSearchEntries(
+        writes.map((w) => ({
+          kind: "question",
+          id: w.ref.id,
+          data: w.data,
+          examId,
+        })),
+      ).catch(warnBulkIndex);
+      res.locals.audit = { after: { format, imported: valid.length } };
+      chapterEvent(examId, {
+        kind: "question",
+        action: "imported",
+        count: valid.length,
+      });
+
+      const updatedExam = await getExamWithQuestions(examId);
+      return res.status(201).json({
+        ...summary,
+        imported: valid.length,
+        exam: updatedExam,
+      });
+    } catch (err) {
+      console.error("Import questions error:", err);
+      return res.status(500).json({ message: "Error importing questions" });
+    }
+  },
+);
+
+/* =========================
+   EXPORT (JSON / CSV / printable PDF)
+========================= */
+
+const EXPORT_FORMATS = ["json", "csv", "pdf"];
+
+const millis = (ts) => ts?.toMillis?.() ?? (ts ? new Date(ts).getTime() : 0);
+
+// Questions in authoring order; a set is emitted whole (by setOrder)
+// where its first question appears.
+function orderedBlocks(questions) {
+  const sorted = [...questions].sort(
+    (a, b) =>
+      millis(a.createdAt) - millis(b.createdAt) ||
+      String(a.id).localeCompare(String(b.id)),
+  );
+  const sets = new Map();
+  for (const q of sorted) {
+    if (!q.setId) continue;
+    if (!sets.has(q.setId)) sets.set(q.setId, []);
+    sets.get(q.setId).push(q);
+  }
+
+  const blocks = [];
+  const emitted = new Set();
+  for (const q of sorted) {
+    if (!q.setId) {
+      blocks.push([q]);
+    } else if (!emitted.has(q.setId)) {
+      emitted.add(q.setId);
+      blocks.push(
+        [...sets.get(q.setId)].sort(
+          (a, b) => (Number(a.setOrder) || 0) - (Number(b.setOrder) || 0),
+        ),
+      );
+    }
+  }
+  return blocks;
+}
+
+const exportFileName = (title, ext) =>
+  `${
+    String(title || "export")
+      .trim()
+      .replace(/[\\/:*?"<>|]+/g, "")
+      .replace(/\s+/g, "-") || "export"
+  }.${ext}`;
+
+const exportQuery = s.object({
+  format: s.enum(EXPORT_FORMATS, { lowercase: true }).default("json"),
+  answerKey: s.boolean().default(false),
+});
+
+function sendExport(req, res, { title, exams, single }) {
+  const { format, answerKey } = req.query;
+  const exportedAt = new Date().toISOString();
+
+  const prepared = exams.map((e) => ({
+    ...e,
+    questions: orderedBlocks(e.questions || []).flat(),
+  }));
+
+  if (format === "json") {
+    const examJson = (e) => ({
+      title: e.title,
+      questionPercentage: Number(e.questionPercentage) || 0,
+      questions: e.questions.map(exportQuestion),
+    });
+    res.attachment(exportFileName(title, "json"));
+    return res.json(
+      single
+        ? { version: 1, exportedAt, ...examJson(prepared[0]) }
+        : { version: 1, exportedAt, exams: prepared.map(examJson) },
+    );
+  }
+
+  if (format === "csv") {
+    const rows = prepared.flatMap((e) =>
+      e.questions.map((q) => ({ ...q, _exam: e })),
+    );
+    const extra = single
+      ? []
+      : [
+          { name: "examTitle", value: (q) => q._exam.title },
+          {
+            name: "examQuestionPercentage",
+            value: (q) => Number(q._exam.questionPercentage) || 0,
+          },
+        ];
+    res.attachment(exportFileName(title, "csv"));
+    res.type("text/csv; charset=utf-8");
+    return res.send(questionsToCsv(rows, { extra }));
+  }
+
+  res.attachment(exportFileName(title, "pdf"));
+  res.type("application/pdf");
+  writeQuestionPaper(res, {
+    title,
+    subtitle: `Generated ${exportedAt.slice(0, 10)}`,
+    answerKey,
+    sections: prepared.map((e) => ({
+      title: single ? null : e.title,
+      blocks: orderedBlocks(e.questions),
+    })),
+  });
+}
+
+// Whole bank: ?format=json|csv|pdf&answerKey=true (PDF: append the answer key)
+app.get(
+  "/exams/export",
+  adminOnly,
+  validate({ query: exportQuery }),
+  async (req, res) => {
+    try {
+      const exams = await getAllExamsWithQuestions();
+      exams.sort((a, b) => millis(a.createdAt) - millis(b.createdAt));
+      return sendExport(req, res, { title: "Question Bank", exams });
+    } catch (err) {
+      console.error("Export bank error:", err);
+      return res.status(500).json({ message: "Error exporting question bank" });
+    }
+  },
+);
+
+app.get(
+  "/exams/:id/export",
+  adminOnly,
+  validate({ params: idParams("id"), query: exportQuery }),
+  async (req, res) => {
+    try {
+      const exam = await getExamWithQuestions(req.params.id);
+      if (!exam) return res.status(404).json({ message: "Exam not found" });
+      return sendExport(req, res, {
+        title: exam.title,
+        exams: [exam],
+        single: true,
+      });
+    } catch (err) {
+      console.error("Export exam error:", err);
+      return res.status(500).json({ message: "Error exporting exam" });
+    }
+  },
+);
+
+/* =========================
+   NOTES (no composite index needed)
+========================= */
+
+// Legacy docs may still carry a long-lived downloadURL; never expose it
+const noteJson = (snap) => ({
+  id: snap.id,
+  ...snap.data(),
+  downloadURL: null,
+});
+
+// Public notes: any registered user. Private notes: validated users
+// (active subscription) and admins.
+const canSeePrivateNotes = (user) =>
+  user?.is_validated === true || user?.is_Admin === true;
+const canDownloadNote = (note, user) =>
+  note.isPublic === true || canSeePrivateNotes(user);
+
+// Users without access to private notes only ever list public ones
+app.get(
+  "/api/notes",
+  userOnly,
+  validate({
+    query: pageQuery({
+      isPublic: s.boolean().optional(),
+      uploadedBy: s.string({ max: 128 }).optional(),
+      examId: docId().optional(),
+      category: s.string({ max: 50 }).optional(),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      if (req.query.examId && req.query.category) {
+        return res
+          .status(400)
+          .json({ message: "Filter by either 'examId' or 'category'" });
+      }
+      const query = canSeePrivateNotes(req.user)
+        ? req.query
+        : { ...req.query, isPublic: true };
+      if (req.query.isPublic === false && query.isPublic) {
+        return res.json({ items: [], nextCursor: null });
+      }
+      const page = await listPage(notesCol, query, {
+        filters: {
+          isPublic: "boolean",
+          uploadedBy: "string",
+          examId: { type: "string", field: "examIds", op: "array-contains" },
+          category: {
+            type: "string",
+            field: "categories",
+            op: "array-contains",
+          },
+        },
+        sorts: ["createdAt", "noteName"],
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      return res.json({
+        items: page.docs.map(noteJson),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      console.error("GET /api/notes error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to fetch notes" });
+    }
+  },
+);
+
+// Older files live in notes/{id}/versions/{version}; the note itself
+// always points at the current one.
+const noteVersionsCol = (id) => notesCol.doc(id).collection("versions");
+const NOTE_FILE_MODES = ["url", "stream"];
+const noteFileQuery = s.object({
+  mode: s.enum(NOTE_FILE_MODES, { lowercase: true }).default("url"),
+});
+
+// A note's examIds must all exist: validation error naming the unknown
+// ones, or null
+async function missingExamIds(examIds) {
+  if (!examIds?.length) return null;
+  const snaps = await db.getAll(...examIds.map((id) => examsCol.doc(id)));
+  const missing = snaps.filter((d) => !d.exists).map((d) => d.id);
+  return missing.length
+    ? fieldError(
+        "body",
+        "examIds",
+        `Unknown exam id(s): ${missing.join(", ")}`,
+        "not_found",
+      )
+    : null;
+}
+
+// Note the caller may download, or { status, message }
+async function readableNote(req) {
+  const snap = await notesCol.doc(req.params.id).get();
+  if (!snap.exists) return { status: 404, message: "Note not found" };
+  const note = snap.data();
+  if (!canDownloadNote(note, req.user)) {
+    return { status: 403, message: "An active subscription is required" };
+  }
+  return { note };
+}
+
+// ?mode=url (default): { url, expiresAt } signed for NOTE_URL_TTL_MINUTES
+// ?mode=stream: the PDF itself, proxied through this server
+async function sendNoteFile(req, res, { storagePath, filename }) {
+  const { mode } = req.query;
+  if (!storagePath) {
+    return res.status(404).json({ message: "Note file not available" });
+  }
+
+  const file = bucket.file(storagePath);
+  const [exists] = await file.exists();
+  if (!exists) {
+    return res.status(404).json({ message: "Note file not available" });
+  }
+
+  if (mode === "url") {
+    const signed = await getShortLivedUrl(file, { filename });
+    res.set("Cache-Control", "no-store");
+    return res.json(signed);
+  }
+
+  const [meta] = await file.getMetadata();
+  res.type(meta.contentType || "application/pdf");
+  if (meta.size) res.set("Content-Length", String(meta.size));
+  res.set("Cache-Control", "private, no-store");
+  res.attachment(filename);
+  file
+    .createReadStream()
+    .on("error", (e) => {
+      console.error("[DOWNLOAD] Stream error:", e?.message || e);
+      if (!res.headersSent) {
+        res.status(500).json({ message: "Failed to read note file" });
+      } else {
+        res.destroy(e);
+      }
+    })
+    .pipe(res);
+}
+
+const noteFileName = (note) =>
+  note.originalName || `${note.noteName || "note"}.pdf`;
+
+app.get(
+  "/api/notes/:id/download",
+  userOnly,
+  validate({ params: idParams("id"), query: noteFileQuery }),
+  async (req, res) => {
+    try {
+      const { note, status, message } = await readableNote(req);
+      if (!note) return res.status(status).json({ message });
+      return await sendNoteFile(req, res, {
+        storagePath: note.storagePath,
+        filename: noteFileName(note),
+      });
+    } catch (err) {
+      console.error("GET /api/notes/:id/download error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to download note" });
+    }
+  },
+);
+
+// Current file first, then older versions newest first (storage paths
+// stay server-side; fetch a file via .../versions/:version/download)
+app.get(
+  "/api/notes/:id/versions",
+  userOnly,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const { note, status, message } = await readableNote(req);
+      if (!note) return res.status(status).json({ message });
+
+      const snap = await noteVersionsCol(req.params.id)
+        .orderBy("version", "desc")
+        .get();
+      return res.json({
+        items: [
+          {
+            version: note.version || 1,
+            current: true,
+            originalName: note.originalName,
+            uploadedAt: note.fileUpdatedAt || note.createdAt,
+            uploadedBy: note.uploadedBy,
+          },
+          ...snap.docs.map((d) => {
+            const v = d.data();
+            return {
+              version: v.version,
+              current: false,
+              originalName: v.originalName,
+              uploadedAt: v.uploadedAt,
+              uploadedBy: v.uploadedBy,
+              replacedAt: v.replacedAt,
+              replacedBy: v.replacedBy,
+            };
+          }),
+        ],
+        nextCursor: null,
+      });
+    } catch (err) {
+      console.error("GET /api/notes/:id/versions error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to fetch note versions" });
+    }
+  },
+);
+
+// Same modes as /download, for any version (the current one included)
+app.get(
+  "/api/notes/:id/versions/:version/download",
+  userOnly,
+  validate({
+    params: s.object({ id: docId(), version: s.int({ min: 1 }) }),
+    query: noteFileQuery,
+  }),
+  async (req, res) => {
+    try {
+      const { note, status, message } = await readableNote(req);
+      if (!note) return res.status(status).json({ message });
+
+      const { version } = req.params;
+      if (version === (note.version || 1)) {
+        return await sendNoteFile(req, res, {
+          storagePath: note.storagePath,
+          filename: noteFileName(note),
+        });
+      }
+      const vSnap = await noteVersionsCol(req.params.id)
+        .doc(String(version))
+        .get();
+      if (!vSnap.exists)
+        return res.status(404).json({ message: "Version not found" });
+
+      const v = vSnap.data();
+      return await sendNoteFile(req, res, {
+        storagePath: v.storagePath,
+        filename: v.originalName || noteFileName(note),
+      });
+    } catch (err) {
+      console.error("Note version download error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to download note" });
+    }
+  },
+);
+
+// Replace the PDF but keep the note id: the old file becomes a version
+app.put(
+  "/api/notes/:id/file",
+  adminOnly,
+  audit("note.file", "note"),
+  uploadPdf.single("file"),
+  validate({ params: idParams("id") }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      if (!req.file) return next(noFileError());
+
+      const ref = notesCol.doc(id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Note not found" });
+      const prev = snap.data();
+      const prevVersion = prev.version || 1;
+
+      const storagePath = `notes/${makeFileName(req.file.originalname)}`;
+      await bucket.file(storagePath).save(req.file.buffer, {
+        contentType: req.file.mimetype || "application/pdf",
+        metadata: { contentType: req.file.mimetype || "application/pdf" },
+        resumable: false,
+      });
+
+      const update = {
+        storagePath,
+        originalName: req.file.originalname,
+        version: prevVersion + 1,
+        fileUpdatedAt: nowTs(),
+        updatedAt: nowTs(),
+      };
+
+      const batch = db.batch();
+      batch.set(noteVersionsCol(id).doc(String(prevVersion)), {
+        version: prevVersion,
+        storagePath: prev.storagePath || null,
+        originalName: prev.originalName || null,
+        uploadedBy: prev.uploadedBy || null,
+        uploadedAt: prev.fileUpdatedAt || prev.createdAt || null,
+        replacedAt: nowTs(),
+        replacedBy: req.auth.uid,
+      });
+      batch.update(ref, update);
+      // Older public notes may have no mirror yet: write it whole
+      if (prev.isPublic) {
+        batch.set(
+          publicNotesCol.doc(id),
+          { ...prev, ...update },
+          { merge: true },
+        );
+      }
+      try {
+        await batch.commit();
+      } catch (err) {
+        // Nothing references the new object yet
+        await bucket
+          .file(storagePath)
+          .delete({ ignoreNotFound: true })
+          .catch(() => {});
+        throw err;
+      }
+      await syncSearchIndex("note", id, { ...prev, ...update });
+
+      res.locals.audit = { before: prev, after: { ...prev, ...update } };
+      (prev.examIds || []).forEach((examId) =>
+        chapterEvent(examId, {
+          kind: "note",
+          action: "updated",
+          noteId: id,
+          title: prev.noteName,
+        }),
+      );
+      const updated = await ref.get();
+      return res.json({
+        message: "File replaced",
+        note: noteJson(updated),
+      });
+    } catch (err) {
+      console.error("PUT /api/notes/:id/file error:", err);
+      next(err);
+    }
+  },
+);
+
+// Distinct categories with note counts, for building filters
+app.get("/api/notes/categories", userOnly, async (req, res) => {
+  try {
+    const snap = await notesCol.get();
+    const counts = new Map();
+    snap.docs.forEach((d) =>
+      (d.data().categories || []).forEach((c) =>
+        counts.set(c, (counts.get(c) || 0) + 1),
+      ),
+    );
+    return res.json({
+      items: [...counts]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    });
+  } catch (err) {
+    console.error("GET /api/notes/categories error:", err?.message || err);
+    return res.status(500).json({ message: "Failed to fetch categories" });
+  }
+});
+
+// One-off migration: clear the long-lived signed URLs that older uploads
+// stored on notes/public_notes. Safe to re-run. body: { dryRun? }
+app.post(
+  "/api/notes/migrations/strip-download-urls",
+  adminOnly,
+  audit("note.migrate", "note"),
+  validate(dryRunSchemas),
+  async (req, res) => {
+    try {
+      const dryRun = isDryRun(req);
+      const [notesSnap, mirrorSnap] = await Promise.all([
+        notesCol.get(),
+        publicNotesCol.get(),
+      ]);
+      const stale = [...notesSnap.docs, ...mirrorSnap.docs].filter(
+        (d) => d.data().downloadURL,
+      );
+
+      if (!dryRun) {
+        for (let i = 0; i < stale.length; i += BATCH_LIMIT) {
+          const batch = db.batch();
+          stale
+            .slice(i, i + BATCH_LIMIT)
+            .forEach((d) => batch.update(d.ref, { downloadURL: null }));
+          await batch.commit();
+        }
+      }
+
+      const summary = {
+        dryRun,
+        notes: stale.filter((d) => d.ref.parent.id === "notes").length,
+        publicNotes: stale.filter((d) => d.ref.parent.id === "public_notes")
+          .length,
+      };
+      res.locals.audit = dryRun ? false : { after: summary };
+      return res.json(summary);
+    } catch (err) {
+      console.error("Strip download URLs error:", err?.message || err);
+      return res.status(500).json({ message: "Migration failed" });
+    }
+  },
+);
+
+// Update a note & sync public mirror on isPublic changes or field edits
+app.patch(
+  "/api/notes/:id",
+  adminOnly,
+  audit("note.update", "note"),
+  validate({ params: idParams("id"), body: noteSchema.partial() }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { isPublic } = req.body;
+
+      const ref = notesCol.doc(id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Note not found" });
+
+      const missing = await missingExamIds(req.body.examIds);
+      if (missing) return next(missing);
+
+      const prev = snap.data();
+      const update = { ...req.body, updatedAt: nowTs() };
+
+      const batch = db.batch();
+      batch.update(ref, update);
+
+      const newIsPublic =
+        typeof isPublic === "boolean" ? isPublic : prev.isPublic;
+      const mirrorRef = publicNotesCol.doc(id);
+
+      if (newIsPublic && !prev.isPublic) {
+        // Became public → add to mirror
+        batch.set(mirrorRef, { ...prev, ...update });
+      } else if (!newIsPublic && prev.isPublic) {
+        // Became private → remove from mirror
+        batch.delete(mirrorRef);
+      } else if (newIsPublic && prev.isPublic) {
+        // Stays public → update mirror fields (whole, if it is missing)
+        batch.set(mirrorRef, { ...prev, ...update }, { merge: true });
+      }
+
+      await batch.commit();
+      await syncSearchIndex("note", id, { ...prev, ...update });
+      res.locals.audit = { before: prev, after: { ...prev, ...update } };
+
+      const updated = await ref.get();
+      return res.json(noteJson(updated));
+    } catch (err) {
+      console.error("PATCH /api/notes/:id error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to update note" });
+    }
+  },
+);
+
+// Move note (with its versions) to the trash; files stay until purge
+app.delete(
+  "/api/notes/:id",
+  adminOnly,
+  audit("note.delete", "note"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const ref = notesCol.doc(id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Note not found" });
+
+      const data = snap.data();
+      const versionsSnap = await noteVersionsCol(id).get();
+
+      const trashId = await moveToTrash(req, {
+        kind: "note",
+        snap,
+        title: data.noteName || data.originalName,
+        children: versionsSnap.docs,
+        cleanup: [
+          (b) => b.delete(publicNotesCol.doc(id)),
+          (b) => b.delete(searchIndexCol.doc(searchDocId("note", id))),
+        ],
+      });
+
+      res.locals.audit = { before: data, after: { trashId } };
+      return res.json({ ok: true, trashId });
+    } catch (err) {
+      console.error("DELETE /api/notes/:id error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to delete note" });
+    }
+  },
+);
+
+/* =========================
+   PLANS & SUBSCRIPTIONS
+========================= */
+
+// Board/ExamYEar: null (or "") means any
+const planSchema = s.object({
+  name: s.string({ min: 1, max: 100 }),
+  price: s.number({ min: 0 }),
+  currency: s
+    .string({
+      uppercase: true,
+      pattern: /^[A-Z]{3}$/,
+      patternMessage: "must be a 3-letter code",
+    })
+    .optional(),
+  durationDays: s.int({ min: 1, max: 3650 }),
+  Board: optionalText(100),
+  ExamYEar: s.int({ min: 1 }).nullable().optional(),
+  active: s.boolean().optional(),
+});
+
+// null Board/ExamYEar on a plan means "any"
+const planAppliesTo = (plan, user) =>
+  (!plan.Board || plan.Board === user?.Board) &&
+  (!plan.ExamYEar || Number(plan.ExamYEar) === Number(user?.ExamYEar));
+
+const planSnapshot = (id, p) => ({
+  id,
+  name: p.name,
+  price: p.price,
+  currency: p.currency,
+  durationDays: p.durationDays,
+});
+
+// Renewals extend from the current expiry if it is still in the future
+function extendSubscription(current, plan, requestId, now = Date.now()) {
+  const start = Math.max(now, millis(current?.validUntil));
+  return {
+    planId: plan.id,
+    planName: plan.name,
+    validFrom: Timestamp.fromMillis(start),
+    validUntil: Timestamp.fromMillis(start + plan.durationDays * DAY_MS),
+    requestId,
+  };
+}
+
+// Students see active plans for their Board/ExamYEar; admins see all
+// (?active=true|false to filter).
+app.get(
+  "/api/plans",
+  userOnly,
+  validate({ query: s.object({ active: s.boolean().optional() }) }),
+  async (req, res) => {
+    try {
+      const snap = await plansCol.orderBy("createdAt", "asc").get();
+      let items = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+      if (req.user.is_Admin === true) {
+        const { active } = req.query;
+        if (typeof active === "boolean") {
+          items = items.filter((p) => p.active === active);
+        }
+      } else {
+        items = items.filter((p) => p.active && planAppliesTo(p, req.user));
+      }
+
+      return res.json({ items, nextCursor: null });
+    } catch (err) {
+      console.error("GET /api/plans error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to fetch plans" });
+    }
+  },
+);
+
+app.post(
+  "/api/plans",
+  adminOnly,
+  audit("plan.create", "plan"),
+  validate({ body: planSchema }),
+  async (req, res) => {
+    try {
+      const ref = await plansCol.add(defaults.plan(req.body));
+      const snap = await ref.get();
+      res.locals.audit = { targetId: snap.id, after: snap.data() };
+      return res.status(201).json({ id: snap.id, ...snap.data() });
+    } catch (err) {
+      console.error("POST /api/plans error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to create plan" });
+    }
+  },
+);
+
+// Price/duration changes apply to new requests; pending ones keep the
+// snapshot they were created with.
+app.put(
+  "/api/plans/:id",
+  adminOnly,
+  audit("plan.update", "plan"),
+  validate({ params: idParams("id"), body: planSchema.partial() }),
+  async (req, res) => {
+    try {
+      const ref = plansCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Plan not found" });
+
+      await ref.update({ ...req.body, updatedAt: nowTs() });
+      const updated = await ref.get();
+      res.locals.audit = { before: snap.data(), after: updated.data() };
+      return res.json({ id: updated.id, ...updated.data() });
+    } catch (err) {
+      console.error("PUT /api/plans/:id error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to update plan" });
+    }
+  },
+);
+
+// Plans are retired rather than deleted: requests reference them
+app.delete(
+  "/api/plans/:id",
+  adminOnly,
+  audit("plan.retire", "plan"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const ref = plansCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Plan not found" });
+
+      await ref.update({ active: false, updatedAt: nowTs() });
+      res.locals.audit = { before: snap.data(), after: { active: false } };
+      return res.json({ message: "Plan retired" });
+    } catch (err) {
+      console.error("DELETE /api/plans/:id error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to retire plan" });
+    }
+  },
+);
+
+// Subscriptions ending within ?days= (default 7), soonest first.
+// Also takes Board/ExamYEar filters and the usual limit/cursor.
+app.get(
+  "/api/subscriptions/expiring",
+  adminOnly,
+  validate({
+    query: s.object({
+      days: s.number({ min: 1, max: 365 }).default(7),
+      Board: s.string({ max: 100 }).optional(),
+      ExamYEar: s.int({ min: 1 }).optional(),
+      limit: s.int({ min: 1 }).optional(),
+      cursor: docId().optional(),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { days } = req.query;
+
+      const now = Date.now();
+      const page = await listPage(
+        usersCol,
+        {
+          ...req.query,
+          from: new Date(now).toISOString(),
+          to: new Date(now + days * DAY_MS).toISOString(),
+          sort: "subscription.validUntil",
+          order: "asc",
+        },
+        {
+          filters: { Board: "string", ExamYEar: "number" },
+          sorts: ["subscription.validUntil"],
+          dateField: "subscription.validUntil",
+        },
+      );
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      return res.json({
+        items: page.docs.map((d) => {
+          const u = d.data();
+          const until = millis(u.subscription.validUntil);
+          return {
+            uid: d.id,
+            displayName: u.displayName || null,
+            email: u.email || null,
+            phone: u.phone || null,
+            Board: u.Board,
+            ExamYEar: u.ExamYEar,
+            subscription: u.subscription,
+            daysLeft: Math.max(0, Math.ceil((until - now) / DAY_MS)),
+          };
+        }),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      console.error(
+        "GET /api/subscriptions/expiring error:",
+        err?.message || err,
+      );
+      return res
+        .status(500)
+        .json({ message: "Failed to fetch expiring subscriptions" });
+    }
+  },
+);
+
+/* =========================
+   REQUEST ROUTES (payment verification lifecycle)
+========================= */
+
+// pending → approved | rejected | cancelled. Reviewed requests are kept;
+// users.request_sent stays true only while a request is pending. Each
+// request buys a plan; approving it grants or renews the subscription.
+const REQUEST_STATUSES = ["pending", "approved", "rejected", "cancelled"];
+const MAX_REJECTION_REASON = 500;
+
+// bKash/Nagad TrxIDs: compared case-insensitively, without spaces
+const normalizeTransactionId = (raw) =>
+  String(raw ?? "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+const TRANSACTION_ID_RE = /^[A-Z0-9_-]{4,64}$/;
+
+// Legacy docs (before statuses) only existed while pending
+const requestStatus = (r) => r.status || "pending";
+
+// uid is optional: it must match the token when sent
+const requestSchema = s.object({
+  uid: docId().optional(),
+  transactionId: s.string({ min: 1, max: 128 }).refine((raw) =>
+    TRANSACTION_ID_RE.test(normalizeTransactionId(raw))
+      ? null
+      : {
+          code: "invalid_format",
+          message:
+            "'transactionId' must be 4-64 letters, digits, '-' or '_' characters",
+        },
+  ),
+  planId: docId(),
+});
+
+const requestStatusFilter = {
+  status: s.enum(REQUEST_STATUSES).optional(),
+};
+
+const reviewer = (req) => ({
+  uid: req.auth.uid,
+  email: req.auth.email || req.user?.email || null,
+});
+
+app.post(
+  "/api/requests",
+  userOnly,
+  validate({ body: requestSchema }),
+  async (req, res, next) => {
+    try {
+      const uid = req.auth.uid;
+      if (req.body.uid && req.body.uid !== uid) {
+        return res.status(403).json({ message: "uid does not match token" });
+      }
+
+      const { planId } = req.body;
+      const transactionId = normalizeTransactionId(req.body.transactionId);
+      const planSnap = await plansCol.doc(planId).get();
+      if (!planSnap.exists || planSnap.data().active !== true) {
+        return res.status(400).json({ message: "Plan not found or retired" });
+      }
+      if (!planAppliesTo(planSnap.data(), req.user)) {
+        return res
+          .status(400)
+          .json({ message: "Plan is not offered for your Board/ExamYEar" });
+      }
+
+      // Requests from before transaction claims existed (stored as typed)
+      const rawId = req.body.transactionId;
+      const legacy = await requestsCol
+        .where("transactionId", "in", [...new Set([transactionId, rawId])])
+        .limit(1)
+        .get();
+      if (!legacy.empty) {
+        return res
+          .status(409)
+          .json({ message: "This transaction ID has already been submitted" });
+      }
+
+      const userRef = usersCol.doc(uid);
+      const claimRef = requestTransactionsCol.doc(transactionId);
+      const reqRef = requestsCol.doc();
+
+      const result = await db.runTransaction(async (tx) => {
+        const [userSnap, claimSnap] = await Promise.all([
+          tx.get(userRef),
+          tx.get(claimRef),
+        ]);
+        if (!userSnap.exists) return { status: 404, message: "User not found" };
+
+        // Subscribed users may request again: approval renews
+        const user = userSnap.data();
+        if (user.request_sent) {
+          return { status: 400, message: "Request already sent" };
+        }
+        if (claimSnap.exists) {
+          return {
+            status: 409,
+            message: "This transaction ID has already been submitted",
+          };
+        }
+
+        tx.set(
+          reqRef,
+          defaults.request({
+            uid,
+            transactionId,
+            plan: planSnapshot(planSnap.id, planSnap.data()),
+          }),
+        );
+        tx.set(claimRef, { requestId: reqRef.id, uid, createdAt: nowTs() });
+        tx.update(userRef, { request_sent: true });
+        return { status: 201 };
+      });
+
+      if (result.status !== 201) {
+        return res.status(result.status).json({ message: result.message });
+      }
+      const created = await reqRef.get();
+      events.publish(
+        "request.created",
+        { id: created.id, uid, plan: created.data().plan },
+        { admins: true },
+      );
+      res.status(201).json({ id: created.id, ...created.data() });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+app.get(
+  "/api/requests",
+  adminOnly,
+  validate({
+    query: pageQuery({
+      uid: docId().optional(),
+      transactionId: s.string({ max: 128 }).optional(),
+      ...requestStatusFilter,
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const page = await listPage(requestsCol, req.query, {
+        filters: { uid: "string", transactionId: "string", status: "string" },
+        sorts: ["createdAt", "reviewedAt"],
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      // One batched read for all users on the page
+      const uids = [...new Set(page.docs.map((d) => d.data().uid))].filter(
+        Boolean,
+      );
+      const userSnaps = uids.length
+        ? await db.getAll(...uids.map((uid) => usersCol.doc(uid)))
+        : [];
+      const usersById = new Map(
+        userSnaps
+          .filter((u) => u.exists)
+          .map((u) => [
+            u.id,
+            {
+              displayName: u.data().displayName || null,
+              email: u.data().email || null,
+              uid: u.id,
+            },
+          ]),
+      );
+
+      const requests = page.docs.map((d) => {
+        const r = d.data();
+        return { id: d.id, ...r, user: usersById.get(r.uid) || null };
+      });
+
+      res.json({ items: requests, nextCursor: page.nextCursor });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// One-off migration for requests from before statuses and transaction
+// claims: stores status "pending" where it is missing (so ?status=pending
+// finds them) and reserves each transactionId in request_transactions.
+// The oldest request keeps a shared ID. Safe to re-run. body: { dryRun? }
+app.post(
+  "/api/requests/migrations/backfill-status",
+  adminOnly,
+  audit("request.migrate", "request"),
+  validate(dryRunSchemas),
+  async (req, res, next) => {
+    try {
+      const dryRun = isDryRun(req);
+      const snap = await requestsCol.get();
+      const docs = [...snap.docs].sort(
+        (a, b) => millis(a.data().createdAt) - millis(b.data().createdAt),
+      );
+
+      const ops = docs
+        .filter((d) => !d.data().status)
+        .map((d) => (batch) => batch.update(d.ref, { status: "pending" }));
+
+      // First request per normalized ID; IDs that can't be doc IDs are skipped
+      const owners = new Map();
+      let skipped = 0;
+      for (const d of docs) {
+        const transactionId = normalizeTransactionId(d.data().transactionId);
+        if (!TRANSACTION_ID_RE.test(transactionId)) skipped++;
+        else if (!owners.has(transactionId)) owners.set(transactionId, d);
+      }
+      const ids = [...owners.keys()];
+      let claims = 0;
+      for (let i = 0; i < ids.length; i += BATCH_LIMIT) {
+        const chunk = ids.slice(i, i + BATCH_LIMIT);
+        const snaps = await db.getAll(
+          ...chunk.map((id) => requestTransactionsCol.doc(id)),
+        );
+        snaps.forEach((claim, j) => {
+          if (claim.exists) return;
+          const d = owners.get(chunk[j]);
+          claims++;
+          ops.push((batch) =>
+            batch.set(claim.ref, {
+              requestId: d.id,
+              uid: d.data().uid ?? null,
+              createdAt: d.data().createdAt ?? nowTs(),
+            }),
+          );
+        });
+      }
+
+      if (!dryRun) await commitOps(ops);
+
+      const summary = {
+        dryRun,
+        statuses: ops.length - claims,
+        claims,
+        skipped,
+      };
+      res.locals.audit = dryRun ? false : { after: summary };
+      res.json(summary);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Move a pending request to `to` and clear users.request_sent, atomically
+// so two admins can't review the same request twice. `userUpdate` may be
+// a function of (user, request) for updates that depend on current state.
+// `notify(user, request)` returns outbox docs (see notificationDocs) that
+// are written in the same transaction, so a review always notifies.
+async function transitionRequest(
+  id,
+  to,
+  { fields = {}, userUpdate = {}, canAct = () => true, notify = () => [] } = {},
+) {
+  const ref = requestsCol.doc(id);
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return { status: 404, message: "Request not found" };
+
+    const before = snap.data();
+    if (!canAct(before)) return { status: 403, message: "Forbidden" };
+    const from = requestStatus(before);
+    if (from !== "pending") {
+      return { status: 409, message: `Request is already ${from}` };
+    }
+
+    const userRef = usersCol.doc(before.uid);
+    const userSnap = await tx.get(userRef);
+    if (!userSnap.exists) return { status: 404, message: "User not found" };
+    const userExtra =
+      typeof userUpdate === "function"
+        ? userUpdate(userSnap.data(), { id, ...before })
+        : userUpdate;
+
+    const update = { status: to, ...fields, updatedAt: nowTs() };
+    const outbox = notify(
+      { ...userSnap.data(), ...userExtra, uid: userSnap.id },
+      { id, ...before, ...update },
+    );
+    const existing = outbox.length
+      ? await tx.getAll(...outbox.map((d) => d.ref))
+      : [];
+
+    tx.update(ref, update);
+    tx.update(userRef, { request_sent: false, ...userExtra });
+    const fresh = outbox.filter((_, i) => !existing[i].exists);
+    fresh.forEach((d) => tx.create(d.ref, d.data));
+    return {
+      status: 200,
+      before,
+      after: { ...before, ...update },
+      user: { ...userSnap.data(), ...userExtra },
+      queued: fresh.length,
+    };
+  });
+  if (result.queued) setTimeout(runNotificationWorker, 0);
+  return result;
+}
+
+app.put(
+  "/api/requests/approve/:id",
+  adminOnly,
+  audit("request.approve", "request"),
+  validate({
+    params: idParams("id"),
+    body: s.object({ planId: docId().optional() }),
+  }),
+  async (req, res, next) => {
+    try {
+      // Requests from before plans need one picked now: body { planId }
+      const reqSnap = await requestsCol.doc(req.params.id).get();
+      if (!reqSnap.exists)
+        return res.status(404).json({ message: "Request not found" });
+      let plan = reqSnap.data().plan;
+      if (!plan) {
+        const planSnap = req.body.planId
+          ? await plansCol.doc(req.body.planId).get()
+          : null;
+        if (!planSnap?.exists) {
+          return res
+            .status(400)
+            .json({ message: "Request has no plan; pass a valid 'planId'" });
+        }
+        plan = planSnapshot(planSnap.id, planSnap.data());
+      }
+
+      const result = await transitionRequest(req.params.id, "approved", {
+        fields: { reviewedBy: reviewer(req), reviewedAt: nowTs(), plan },
+        userUpdate: (user, request) => ({
+          is_validated: true,
+          subscription: extendSubscription(user.subscription, plan, request.id),
+        }),
+        notify: (user, request) =>
+          notificationDocs(
+            user,
+            "request_approved",
+            {
+              name: user.displayName,
+              planName: plan.name,
+              transactionId: request.transactionId,
+              validUntil: toIso(user.subscription.validUntil),
+            },
+            {
+              data: { requestId: request.id },
+              key: `request_${request.id}_approved`,
+            },
+          ),
+      });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      const { subscription } = result.user;
+      res.locals.audit = {
+        before: result.before,
+        after: {
+          ...result.after,
+          planId: plan.id,
+          validUntil: subscription.validUntil,
+        },
+      };
+      events.publish(
+        "request.approved",
+        {
+          id: req.params.id,
+          status: "approved",
+          validUntil: toIso(subscription.validUntil),
+        },
+        { uid: result.before.uid },
+      );
+      res.json({ message: "Approved successfully", subscription });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// body: { reason } — shown to the student in their request history
+app.put(
+  "/api/requests/reject/:id",
+  adminOnly,
+  audit("request.reject", "request"),
+  validate({
+    params: idParams("id"),
+    body: s.object({
+      reason: s.string({ min: 1, max: MAX_REJECTION_REASON }),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { reason } = req.body;
+
+      const result = await transitionRequest(req.params.id, "rejected", {
+        fields: {
+          reviewedBy: reviewer(req),
+          reviewedAt: nowTs(),
+          rejectionReason: reason,
+        },
+        notify: (user, request) =>
+          notificationDocs(
+            user,
+            "request_rejected",
+            {
+              name: user.displayName,
+              transactionId: request.transactionId,
+              reason,
+            },
+            {
+              data: { requestId: request.id },
+              key: `request_${request.id}_rejected`,
+            },
+          ),
+      });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      res.locals.audit = { before: result.before, after: result.after };
+      events.publish(
+        "request.rejected",
+        { id: req.params.id, status: "rejected", reason },
+        { uid: result.before.uid },
+      );
+      res.json({ message: "Rejected successfully" });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Owner (or an admin) withdraws a pending request. The transaction ID
+// stays reserved, like every other submitted one.
+app.put(
+  "/api/requests/:id/cancel",
+  userOnly,
+  audit("request.cancel", "request"),
+  validate({ params: idParams("id") }),
+  async (req, res, next) => {
+    try {
+      const result = await transitionRequest(req.params.id, "cancelled", {
+        fields: { cancelledAt: nowTs(), cancelledBy: req.auth.uid },
+        canAct: (r) => r.uid === req.auth.uid || req.user.is_Admin === true,
+      });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      res.locals.audit = { before: result.before, after: result.after };
+      events.publish(
+        "request.cancelled",
+        { id: req.params.id, status: "cancelled" },
+        { uid: result.before.uid },
+      );
+      res.json({ message: "Request cancelled" });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// A student's own requests (any status), newest first
+app.get(
+  "/api/users/:uid/requests",
+  selfOrAdmin("uid"),
+  validate({
+    params: idParams("uid"),
+    query: pageQuery(requestStatusFilter),
+  }),
+  async (req, res, next) => {
+    try {
+      const page = await listPage(
+        requestsCol,
+        { ...req.query, uid: req.params.uid },
+        { filters: { uid: "string", status: "string" }, defaultLimit: 20 },
+      );
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      res.json({
+        items: page.docs.map((d) => ({
+          id: d.id,
+          ...d.data(),
+          status: requestStatus(d.data()),
+        })),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+/* =========================
+   Announcement ROUTES
+========================= */
+
+// publishAt: null (or omitted on create) means "now"; expiresAt: null
+// means "never". An audience key left out (or null) matches everyone.
+const announcementSchema = s.object({
+  title: s.string({ min: 1, max: 500 }),
+  content: s.string({ min: 1, max: 20000 }),
+  publishAt: s.date().nullable().optional(),
+  expiresAt: s.date().nullable().optional(),
+  draft: s.boolean().optional(),
+  pinned: s.boolean().optional(),
+  audience: s
+    .object({
+      Board: optionalText(100),
+      ExamYEar: s.int({ min: 1 }).nullable().optional(),
+      validated: s.boolean().nullable().optional(),
+    })
+    .nullable()
+    .optional(),
+});
+
+// Parsed body → stored fields (Timestamps, full audience)
+function announcementFields(body, { create = false } = {}) {
+  const a = { ...body };
+  if ("publishAt" in a || create) {
+    a.publishAt = a.publishAt
+      ? Timestamp.fromDate(a.publishAt)
+      : Timestamp.now();
+  }
+  if ("expiresAt" in a) {
+    a.expiresAt = a.expiresAt ? Timestamp.fromDate(a.expiresAt) : null;
+  }
+  if ("audience" in a) {
+    const {
+      Board = null,
+      ExamYEar = null,
+      validated = null,
+    } = a.audience ?? {};
+    a.audience = { Board, ExamYEar, validated };
+  }
+  return a;
+}
+
+const expiresBeforePublish = (a) =>
+  a.expiresAt && millis(a.expiresAt) <= millis(a.publishAt ?? a.createdAt);
+
+const expiresError = () =>
+  fieldError(
+    "body",
+    "expiresAt",
+    "'expiresAt' must be after 'publishAt'",
+    "out_of_range",
+  );
+
+// Older announcements have no publishAt/audience: live for everyone
+function announcementState(a, now = Date.now()) {
+  if (a.draft) return "draft";
+  if (millis(a.publishAt ?? a.createdAt) > now) return "scheduled";
+  if (a.expiresAt && millis(a.expiresAt) <= now) return "expired";
+  return "live";
+}
+
+// `user` is req.user, whose is_validated already reflects hasAccess
+function announcementVisibleTo(a, user, now = Date.now()) {
+  if (announcementState(a, now) !== "live") return false;
+  const { Board, ExamYEar, validated } = a.audience || {};
+  if (Board && Board !== user?.Board) return false;
+  if (ExamYEar && Number(ExamYEar) !== Number(user?.ExamYEar)) return false;
+  if (typeof validated === "boolean" && validated !== !!user?.is_validated)
+    return false;
+  return true;
+}
+
+const byPublishDesc = (a, b) =>
+  millis(b.data().publishAt) - millis(a.data().publishAt);
+
+// Read receipts: announcement_reads/{announcementId}_{uid} holds readAt.
+// users.lastNotified doubles as "read everything up to here" (read-all).
+const readDocId = (announcementId, uid) => `${announcementId}_${uid}`;
+
+const announcementVersion = (a) =>
+  Math.max(millis(a.publishAt ?? a.createdAt), millis(a.editedAt));
+
+const isAnnouncementRead = (a, user, read) =>
+  Math.max(millis(read?.readAt), millis(user?.lastNotified)) >=
+  announcementVersion(a);
+
+// announcementId → read doc data, for one user
+async function loadReads(uid, ids) {
+  if (!ids.length) return new Map();
+  const snaps = await db.getAll(
+    ...ids.map((id) => announcementReadsCol.doc(readDocId(id, uid))),
+  );
+  return new Map(
+    snaps
+      .filter((s) => s.exists)
+      .map((s) => [s.data().announcementId, s.data()]),
+  );
+}
+
+// Docs plus `unread` for the caller
+async function withUnread(docs, user) {
+  const reads = await loadReads(
+    user.id,
+    docs.map((d) => d.id),
+  );
+  return docs.map((d) => ({
+    id: d.id,
+    ...d.data(),
+    unread: !isAnnouncementRead(d.data(), user, reads.get(d.id)),
+  }));
+}
+
+// Cap on docs read per feed page when most of them target other users
+const ANNOUNCEMENT_SCAN_MAX = 500;
+
+app.post(
+  "/api/announcements/",
+  adminOnly,
+  audit("announcement.create", "announcement"),
+  validate({ body: announcementSchema }),
+  async (req, res, next) => {
+    try {
+      const announcement = announcementFields(req.body, { create: true });
+      if (expiresBeforePublish(announcement)) return next(expiresError());
+
+      const dhakaTime = new Date(Date.now());
+
+      const doc = await announcementsCol.add(
+        defaults.announcement({
+          ...announcement,
+          createdAt: dhakaTime,
+        }),
+      );
+
+      const snap = await doc.get();
+      await syncSearchIndex("announcement", snap.id, snap.data());
+      res.locals.audit = { targetId: snap.id, after: snap.data() };
+      // scheduled ones are announced by the publish watcher (see EVENTS)
+      if (announcementState(snap.data()) === "live") {
+        announcementEvent("announcement.published", snap.id, snap.data());
+      }
+
+      res.status(201).json({ id: snap.id, ...snap.data() });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Live announcements targeted at the caller, newest first. Pinned ones
+// lead the first page. ?limit=&cursor=<doc id>
+app.get(
+  "/api/announcements/",
+  userOnly,
+  validate({
+    query: s.object({
+      limit: s.int({ min: 1 }).optional(),
+      cursor: docId().optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const limit = parseLimit(req.query.limit, 50, 200);
+      const visible = (d) => announcementVisibleTo(d.data(), req.user, now);
+
+      let q = announcementsCol
+        .where("publishAt", "<=", Timestamp.fromMillis(now))
+        .orderBy("publishAt", "desc");
+      if (req.query.cursor) {
+        const cursorSnap = await announcementsCol.doc(req.query.cursor).get();
+        if (!cursorSnap.exists)
+          return res.status(400).json({ message: "Invalid cursor" });
+        q = q.startAfter(cursorSnap);
+      }
+
+      const pinned = req.query.cursor
+        ? []
+        : (await announcementsCol.where("pinned", "==", true).get()).docs
+            .filter(visible)
+            .sort(byPublishDesc);
+
+      // Targeting is checked here, so keep reading until the page is full
+      const docs = [];
+      let last = null;
+      let more = true;
+      let scanned = 0;
+      while (more && docs.length < limit && scanned < ANNOUNCEMENT_SCAN_MAX) {
+        const snap = await (last ? q.startAfter(last) : q).limit(limit).get();
+        scanned += snap.size;
+        more = snap.size === limit;
+        for (const d of snap.docs) {
+          last = d;
+          if (d.data().pinned || !visible(d)) continue;
+          docs.push(d);
+          if (docs.length === limit) break;
+        }
+      }
+
+      res.json({
+        items: await withUnread([...pinned, ...docs], req.user),
+        nextCursor: last && (more || docs.length === limit) ? last.id : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Admin view: everything incl. drafts, scheduled and expired, with `state`.
+// ?draft=&pinned=&sort=publishAt|createdAt|updatedAt&from=&to= (publishAt)
+app.get(
+  "/api/announcements/admin",
+  adminOnly,
+  validate({
+    query: pageQuery(
+      { draft: s.boolean().optional(), pinned: s.boolean().optional() },
+      { dates: true },
+    ),
+  }),
+  async (req, res, next) => {
+    try {
+      const page = await listPage(announcementsCol, req.query, {
+        filters: { draft: "boolean", pinned: "boolean" },
+        sorts: ["publishAt", "createdAt", "updatedAt"],
+        defaultSort: "publishAt",
+        dateField: "publishAt",
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      const now = Date.now();
+      res.json({
+        items: page.docs.map((d) => ({
+          id: d.id,
+          ...d.data(),
+          state: announcementState(d.data(), now),
+        })),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Mark everything read: moves the caller's lastNotified to now
+app.post("/api/announcements/read-all", userOnly, async (req, res, next) => {
+  try {
+    const readAt = Timestamp.now();
+    await usersCol.doc(req.auth.uid).update({ lastNotified: readAt });
+    res.json({
+      message: "All announcements marked as read",
+      readAt: toIso(readAt),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post(
+  "/api/announcements/:id/read",
+  userOnly,
+  validate({ params: idParams("id") }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const snap = await announcementsCol.doc(id).get();
+      if (!snap.exists || !announcementVisibleTo(snap.data(), req.user)) {
+        return res.status(404).json({ message: "Announcement not found" });
+      }
+
+      const readAt = Timestamp.now();
+      await announcementReadsCol
+        .doc(readDocId(id, req.auth.uid))
+        .set({ announcementId: id, uid: req.auth.uid, readAt });
+      res.json({ id, unread: false, readAt: toIso(readAt) });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Non-admin users an announcement's `audience` matches (uid included)
+async function announcementAudience(a) {
+  const { Board, ExamYEar, validated } = a.audience || {};
+  let usersQuery = usersCol;
+  if (Board) usersQuery = usersQuery.where("Board", "==", Board);
+  if (ExamYEar)
+    usersQuery = usersQuery.where("ExamYEar", "==", Number(ExamYEar));
+  const usersSnap = await usersQuery.get();
+  return usersSnap.docs
+    .map((d) => ({ ...d.data(), uid: d.id }))
+    .filter(
+      (u) =>
+        u.is_Admin !== true &&
+        (typeof validated !== "boolean" || hasAccess(u) === validated),
+    );
+}
+
+// How much of the target audience has read the current version of an
+// announcement
+app.get(
+  "/api/announcements/:id/reads",
+  adminOnly,
+  validate({ params: idParams("id") }),
+  async (req, res, next) => {
+    try {
+      const snap = await announcementsCol.doc(req.params.id).get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Announcement not found" });
+      const a = snap.data();
+      const [audience, readsSnap] = await Promise.all([
+        announcementAudience(a),
+        announcementReadsCol.where("announcementId", "==", snap.id).get(),
+      ]);
+      const reads = new Map(
+        readsSnap.docs.map((d) => [d.data().uid, d.data()]),
+      );
+
+      const read = audience.filter((u) =>
+        isAnnouncementRead(a, u, reads.get(u.uid)),
+      ).length;
+
+      res.json({
+        id: snap.id,
+        state: announcementState(a),
+        version: new Date(announcementVersion(a)).toISOString(),
+        audience: audience.length,
+        read,
+        unread: audience.length - read,
+        readRate: audience.length
+          ? Math.round((read / audience.length) * 1000) / 10
+          : 0,
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Older announcements lack the scheduling fields, so the feed and count
+// (which query publishAt) would skip them. This runs at boot; the route
+// below is kept for re-running it by hand. Safe to re-run.
+async function backfillAnnouncementSchedule({ dryRun = false } = {}) {
+  const snap = await announcementsCol.get();
+  const stale = snap.docs.filter((d) => !d.data().publishAt);
+  if (dryRun) return stale.length;
+
+  const base = defaults.announcement();
+  await commitOps(
+    stale.map((d) => (batch) => {
+      const a = d.data();
+      batch.update(d.ref, {
+        publishAt: a.createdAt || Timestamp.now(),
+        expiresAt: a.expiresAt ?? null,
+        draft: a.draft ?? false,
+        pinned: a.pinned ?? false,
+        audience: a.audience ?? base.audience,
+      });
+    }),
+  );
+  return stale.length;
+}
+
+backfillAnnouncementSchedule()
+  .then((n) => n && console.log(`[BOOT] Scheduled ${n} older announcement(s)`))
+  .catch((e) =>
+    console.error("[BOOT] Announcement backfill failed:", e?.message || e),
+  );
+
+// body: { dryRun? }
+app.post(
+  "/api/announcements/migrations/backfill-schedule",
+  adminOnly,
+  audit("announcement.migrate", "announcement"),
+  validate(dryRunSchemas),
+  async (req, res, next) => {
+    try {
+      const dryRun = isDryRun(req);
+      const updated = await backfillAnnouncementSchedule({ dryRun });
+      const summary = { dryRun, updated };
+      res.locals.audit = dryRun ? false : { after: summary };
+      res.json(summary);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+app.put(
+  "/api/announcements/:id",
+  adminOnly,
+  audit("announcement.update", "announcement"),
+  validate({ params: idParams("id"), body: announcementSchema.partial() }),
+  async (req, res, next) => {
+    try {
+      const ref = announcementsCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Announcement not found" });
+
+      const announcement = announcementFields(req.body);
+      if (expiresBeforePublish({ ...snap.data(), ...announcement })) {
+        return next(expiresError());
+      }
+
+      const before = snap.data();
+      const edited = ["title", "content"].some(
+        (k) => k in announcement && announcement[k] !== before[k],
+      );
+      await ref.update({
+        ...announcement,
+        ...(edited ? { editedAt: Timestamp.now() } : {}),
+        updatedAt: nowTs(),
+      });
+
+      const updated = await ref.get();
+      await syncSearchIndex("announcement", updated.id, updated.data());
+      res.locals.audit = { before: snap.data(), after: updated.data() };
+      if (announcementState(updated.data()) === "live") {
+        announcementEvent(
+          announcementState(before) === "live"
+            ? "announcement.updated"
+            : "announcement.published",
+          updated.id,
+          updated.data(),
+        );
+      }
+      res.json({ id: updated.id, ...updated.data() });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+app.delete(
+  "/api/announcements/:id",
+  adminOnly,
+  audit("announcement.delete", "announcement"),
+  validate({ params: idParams("id") }),
+  async (req, res, next) => {
+    try {
+      const ref = announcementsCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Announcement not found" });
+
+      const trashId = await moveToTrash(req, {
+        kind: "announcement",
+        snap,
+        title: snap.data().title,
+        cleanup: [
+          (b) =>
+            b.delete(
+              searchIndexCol.doc(searchDocId("announcement", req.params.id)),
+            ),
+        ],
+      });
+      res.locals.audit = { before: snap.data(), after: { trashId } };
+      res.json({ message: "Announcement deleted", trashId });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+/* =========================
+   Chapters by IDs (returns exams; keeps naming)
+========================= */
+app.post(
+  "/chapters/byIds",
+  userOnly,
+  validate({ body: s.object({ ids: s.array(docId(), { min: 1, max: 100 }) }) }),
+  async (req, res, next) => {
+    try {
+      const { ids } = req.body; // exam IDs
+
+      const docs = await Promise.all(
+        ids.map(async (id) => {
+          const exam = await getExamWithQuestions(id);
+          return exam; // null filtered below
+        }),
+      );
+
+      res.json(docs.filter(Boolean).map((e) => examForViewer(req, e)));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+/* =========================
+   Update User Last Notified
+========================= */
+app.put(
+  "/api/users/:uid/last-notified",
+  selfOrAdmin("uid"),
+  validate({ params: idParams("uid") }),
+  async (req, res) => {
+    try {
+      const { uid } = req.params;
+
+      // ✅ Use authoritative server time (ignore client body)
+      const userRef = usersCol.doc(uid);
+      const snap = await userRef.get();
+      if (!snap.exists) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      // Write server timestamp; prevents client clock drift issues
+      await userRef.update({
+        lastNotified: nowTs(),
+      });
+
+      // Read back the updated doc
+      const updated = await userRef.get();
+      const data = updated.data() || {};
+      // Convert Firestore Timestamp -> ISO string for the frontend
+      const iso =
+        data.lastNotified && typeof data.lastNotified.toDate === "function"
+          ? data.lastNotified.toDate().toISOString()
+          : null;
+
+      return res.status(200).json({
+        message: "lastNotified updated",
+        uid: updated.id,
+        lastNotified: iso, // ✅ frontend-friendly
+      });
+    } catch (err) {
+      console.error("Update lastNotified error:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+/* =========================
+   Count Announcements After Date
+========================= */
+// Without ?after= this counts the caller's unread announcements instead
+app.get(
+  "/api/announcements/count",
+  userOnly,
+  validate({ query: s.object({ after: s.date().optional() }) }),
+  async (req, res) => {
+    try {
+      const { after: afterDate } = req.query;
+      if (!afterDate) {
+        // Only announcements published or edited after lastNotified can
+        // be unread, so those are all that need reading
+        const now = Date.now();
+        const published = announcementsCol.where(
+          "publishAt",
+          "<=",
+          Timestamp.fromMillis(now),
+        );
+        const since = req.user.lastNotified
+          ? Timestamp.fromMillis(millis(req.user.lastNotified))
+          : null;
+        const snaps = await Promise.all(
+          since
+            ? [
+                published.where("publishAt", ">", since).get(),
+                announcementsCol.where("editedAt", ">", since).get(),
+              ]
+            : [published.get()],
+        );
+        const docs = new Map(
+          snaps.flatMap((snap) => snap.docs).map((d) => [d.id, d]),
+        );
+        const live = [...docs.values()].filter((d) =>
+          announcementVisibleTo(d.data(), req.user, now),
+        );
+        const items = await withUnread(live, req.user);
+        return res.json({ unread: items.filter((i) => i.unread).length });
+      }
+
+      // Published since `after` (not created), live and aimed at the caller
+      const now = Date.now();
+      const q = await announcementsCol
+        .where("publishAt", ">", Timestamp.fromDate(afterDate))
+        .where("publishAt", "<=", Timestamp.fromMillis(now))
+        .get();
+      const count = q.docs.filter((d) =>
+        announcementVisibleTo(d.data(), req.user, now),
+      ).length;
+
+      return res.json({ count, after: afterDate.toISOString() });
+    } catch (err) {
+      console.error("Count announcements error:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+/* =========================
+   Exam Assembly (block-aware, no-split sets)
+========================= */
+
+// Group an exam's questions into blocks: each setId is one ordered block,
+// every standalone question is a block of one.
+function buildBlocksForExam(exam) {
+  const groups = new Map();
+  const singles = [];
+
+  for (const raw of exam.questions || []) {
+    const q = { ...raw, examId: exam.id };
+    if (q?.setId) {
+      if (!groups.has(q.setId)) groups.set(q.setId, []);
+      groups.get(q.setId).push(q);
+    } else {
+      singles.push([q]);
+    }
+  }
+
+  const blocks = [];
+  for (const [, arr] of groups.entries()) {
+    arr.sort(
+      (a, b) =>
+        (Number.isFinite(a.setOrder) ? a.setOrder : 0) -
+        (Number.isFinite(b.setOrder) ? b.setOrder : 0),
+    );
+    blocks.push(arr);
+  }
+  blocks.push(...singles);
+  return blocks;
+}
+
+// Blocks are shuffled within priority tiers (lower tier first), so
+// preferred blocks fill the quota before the rest are considered. With
+// allowOverflow, one oversized block is taken when nothing else fits.
+function pickBlocks(
+  blocks,
+  target,
+  rng,
+  priorityOf = () => 0,
+  allowOverflow = true,
+) {
+  if (target <= 0) return [];
+  const tiers = new Map();
+  for (const block of blocks) {
+    const p = priorityOf(block);
+    if (!tiers.has(p)) tiers.set(p, []);
+    tiers.get(p).push(block);
+  }
+  const pool = [...tiers.keys()]
+    .sort((a, b) => a - b)
+    .flatMap((p) => shuffle(tiers.get(p), rng));
+  const picked = [];
+  let count = 0;
+
+  for (const block of pool) {
+    if (count + block.length <= target) {
+      picked.push(block);
+      count += block.length;
+    }
+  }
+
+  if (allowOverflow && picked.length === 0 && pool.length && target > 0) {
+    const smallest = [...pool].sort((a, b) => a.length - b.length)[0];
+    picked.push(smallest);
+  }
+  return picked;
+}
+
+/* ---- Difficulty mix + tag filters ---- */
+
+// easy = 1-2, medium = 3, hard = 4-5 (block = rounded mean of rated questions)
+const DIFFICULTY_BUCKETS = ["easy", "medium", "hard"];
+
+function difficultyBucket(block) {
+  const rated = block
+    .map((q) => Number(q.difficulty))
+    .filter((d) => Number.isInteger(d) && d >= 1 && d <= 5);
+  if (!rated.length) return null;
+  const avg = Math.round(rated.reduce((a, b) => a + b, 0) / rated.length);
+  return avg <= 2 ? "easy" : avg === 3 ? "medium" : "hard";
+}
+
+// Split `target` by mix weights (largest remainder, so it sums exactly)
+function splitTarget(target, mix) {
+  const total = Object.values(mix).reduce((a, b) => a + b, 0);
+  const raw = Object.entries(mix).map(([k, w]) => [k, (target * w) / total]);
+  const out = Object.fromEntries(raw.map(([k, v]) => [k, Math.floor(v)]));
+  let left = target - Object.values(out).reduce((a, b) => a + b, 0);
+  raw
+    .sort((a, b) => (b[1] % 1) - (a[1] % 1))
+    .forEach(([k]) => {
+      if (left-- > 0) out[k] += 1;
+    });
+  return out;
+}
+
+// Per-bucket quotas first; any shortfall is topped up from the remaining
+// blocks (other buckets or unrated) so questionPercentage still holds.
+function pickBlocksByDifficulty(blocks, target, mix, rng, priorityOf) {
+  if (target <= 0) return [];
+  const targets = splitTarget(target, mix);
+  const picked = [];
+  let count = 0;
+
+  for (const bucket of DIFFICULTY_BUCKETS) {
+    if (!targets[bucket]) continue;
+    const pool = blocks.filter((b) => difficultyBucket(b) === bucket);
+    for (const block of pickBlocks(
+      pool,
+      targets[bucket],
+      rng,
+      priorityOf,
+      false,
+    )) {
+      picked.push(block);
+      count += block.length;
+    }
+  }
+
+  const rest = blocks.filter((b) => !picked.includes(b));
+  picked.push(
+    ...pickBlocks(rest, target - count, rng, priorityOf, picked.length === 0),
+  );
+  return picked;
+}
+
+// A block matches when any of its questions does (sets stay whole)
+function blockHasTags(block, tags, mode) {
+  return block.some((q) => {
+    const own = new Set((q.tags || []).map((t) => t.toLowerCase()));
+    return mode === "all"
+      ? tags.every((t) => own.has(t))
+      : tags.some((t) => own.has(t));
+  });
+}
+
+// "easy:30,medium:50,hard:20" → { easy: 30, ... }, or null if malformed
+function parseDifficultyMix(raw) {
+  const mix = {};
+  for (const part of raw.split(",")) {
+    const [key, value] = part.split(":").map((x) => x.trim());
+    const weight = Number(value);
+    if (!DIFFICULTY_BUCKETS.includes(key) || !(weight >= 0)) return null;
+    mix[key] = weight;
+  }
+  return mix;
+}
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Hash of everything that can change a paper for a given seed
+const bankContentVersion = (exams) =>
+  shortHash(
+    exams.map((e) => [
+      e.id,
+      Number(e.questionPercentage) || 0,
+      (e.questions || []).map((q) => [
+        q.id,
+        q.text,
+        q.options,
+        Number(q.correctAnswer),
+        q.image || null,
+        q.setId || null,
+        Number(q.setOrder) || 0,
+        q.tags || [],
+        q.difficulty ?? null,
+      ]),
+    ]),
+  );
+
+// Reorder options with rng; optionOrder[displayed] = original index
+function shuffleQuestionOptions(q, rng) {
+  const optionOrder = shuffle(
+    (q.options || []).map((_, i) => i),
+    rng,
+  );
+  return {
+    ...q,
+    options: optionOrder.map((i) => q.options[i]),
+    correctAnswer: optionOrder.indexOf(Number(q.correctAnswer)),
+    optionOrder,
+  };
+}
+
+const newSeed = () => crypto.randomBytes(8).toString("hex");
+
+/* ---- Per-user seen questions (users/{uid}/seen/{examId_questionId}) ---- */
+
+const SEEN_COOLDOWN_DAYS = Number(process.env.SEEN_COOLDOWN_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seenColFor = (uid) => usersCol.doc(uid).collection("seen");
+const seenKey = (examId, questionId) => `${examId}_${questionId}`;
+
+async function loadSeenHistory(uid) {
+  const snap = await seenColFor(uid).get();
+  return new Map(snap.docs.map((d) => [d.id, d.data()]));
+}
+
+async function recordServed(uid, questions) {
+  for (let i = 0; i < questions.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    for (const q of questions.slice(i, i + BATCH_LIMIT)) {
+      batch.set(
+        seenColFor(uid).doc(seenKey(q.examId, q.id)),
+        {
+          examId: q.examId,
+          questionId: q.id,
+          lastServedAt: nowTs(),
+          timesServed: FieldValue.increment(1),
+        },
+        { merge: true },
+      );
+    }
+    await batch.commit();
+  }
+}
+
+// What assembly needs from a user's history, frozen at one moment:
+// { wrong: [seenKey], recent: [seenKey] } (last answered wrong / served
+// within the cooldown). Stored on attempts so their paper can be rebuilt.
+function seenSnapshot(history, cooldownMs, now = Date.now()) {
+  const wrong = [];
+  const recent = [];
+  for (const [key, seen] of history) {
+    if (seen.lastCorrect === false) wrong.push(key);
+    else if (now - millis(seen.lastServedAt) < cooldownMs) recent.push(key);
+  }
+  return { wrong: wrong.sort(), recent: recent.sort() };
+}
+
+// 0 = last answered wrong, 1 = unseen or cooled down, 2 = seen recently
+function seenPriority(seen) {
+  const wrong = new Set(seen.wrong);
+  const recent = new Set(seen.recent);
+  return (block) => {
+    let priority = 1;
+    for (const q of block) {
+      const key = seenKey(q.examId, q.id);
+      if (wrong.has(key)) return 0;
+      if (recent.has(key)) priority = 2;
+    }
+    return priority;
+  };
+}
+
+// Build a paper: each exam contributes ~questionPercentage% of `base`,
+// then blocks are shuffled and capped at `max` questions. The same seed
+// and contentVersion always give the same paper (and fingerprint), as
+// long as the `seen` snapshot passed in (if any) is the same too; its hash
+// is part of the fingerprint.
+async function assembleQuestions({
+  base,
+  max,
+  seed = newSeed(),
+  shuffleOptions = false,
+  seen = null,
+  difficultyMix = null,
+  tags = null,
+  tagMode = "any",
+}) {
+  // Stable input order so the rng sees the same sequence every time
+  const exams = (await getAllExamsWithQuestions())
+    .map((e) => ({ ...e, questions: [...(e.questions || [])].sort(byId) }))
+    .sort(byId);
+  const contentVersion = bankContentVersion(exams);
+  const rng = createRng(`${seed}:${base}:${max}`);
+  const priorityOf = seen ? seenPriority(seen) : undefined;
+  const seenVersion = seen ? shortHash(seen) : null;
+
+  let allBlocks = [];
+  for (const exam of exams) {
+    let blocks = buildBlocksForExam(exam);
+    if (tags) blocks = blocks.filter((b) => blockHasTags(b, tags, tagMode));
+    const targetCount = Math.round(
+      (base * (exam.questionPercentage || 0)) / 100,
+    );
+    const chosenBlocks = difficultyMix
+      ? pickBlocksByDifficulty(
+          blocks,
+          targetCount,
+          difficultyMix,
+          rng,
+          priorityOf,
+        )
+      : pickBlocks(blocks, targetCount, rng, priorityOf);
+    allBlocks.push(...chosenBlocks);
+  }
+
+  allBlocks = shuffle(allBlocks, rng);
+
+  let finalQuestions = [];
+  let used = 0;
+  for (const block of allBlocks) {
+    if (used + block.length <= max) {
+      finalQuestions.push(...block);
+      used += block.length;
+    } else if (used === 0) {
+      finalQuestions.push(...block);
+      break;
+    }
+  }
+
+  if (shuffleOptions) {
+    finalQuestions = finalQuestions.map((q) => shuffleQuestionOptions(q, rng));
+  }
+
+  const fingerprint = shortHash([
+    contentVersion,
+    finalQuestions.map((q) => [q.examId, q.id, q.optionOrder || null]),
+    ...(seenVersion ? [seenVersion] : []),
+  ]);
+
+  const difficultyCounts = { easy: 0, medium: 0, hard: 0, unrated: 0 };
+  for (const q of finalQuestions) {
+    difficultyCounts[difficultyBucket([q]) || "unrated"] += 1;
+  }
+
+  return {
+    questions: finalQuestions,
+    seed: String(seed),
+    contentVersion,
+    seenVersion,
+    fingerprint,
+    difficultyCounts,
+  };
+}
+
+// Paper options shared by GET /exams/assembled (query) and POST /attempts
+// (body). A missing or blank seed gets a fresh one.
+const assemblyFields = {
+  base: s.int({ min: 1 }).default(25),
+  max: s.int({ min: 1 }).default(100),
+  absoluteImages: s.boolean().default(true),
+  seed: s
+    .string({ max: 64, trim: false })
+    .transform((seed) => seed || newSeed())
+    .default(newSeed),
+  shuffleOptions: s.boolean().default(false),
+  difficultyMix: s
+    .string({ max: 200 })
+    .refine((raw) =>
+      parseDifficultyMix(raw)
+        ? null
+        : "'difficultyMix' must look like easy:30,medium:50,hard:20",
+    )
+    .transform(parseDifficultyMix)
+    .refine((mix) =>
+      Object.values(mix).some((w) => w > 0)
+        ? null
+        : "'difficultyMix' needs at least one positive weight",
+    )
+    .optional(),
+  tags: stringList({ max: MAX_TAGS })
+    .transform((tags) => tags.map((t) => t.toLowerCase()))
+    .optional(),
+  tagMode: s.enum(["any", "all"], { lowercase: true }).default("any"),
+  cooldownDays: s.number({ min: 0, max: 365 }).default(SEEN_COOLDOWN_DAYS),
+};
+
+// The filter part of a parsed paper request, as stored on attempts
+const assemblyFilters = ({ difficultyMix, tags, tagMode }) => ({
+  difficultyMix: difficultyMix ?? null,
+  tags: tags?.length ? tags : null,
+  tagMode,
+});
+
+// Question as served to students (no answer key)
+const publicQuestion = ({ correctAnswer, ...q }) => q;
+
+// Non-admins never receive correctAnswer from read routes
+const questionsForViewer = (req, questions) =>
+  req.user?.is_Admin === true ? questions : questions.map(publicQuestion);
+
+const examForViewer = (req, exam) =>
+  exam && { ...exam, questions: questionsForViewer(req, exam.questions || []) };
+
+app.get(
+  "/exams/assembled",
+  userOnly,
+  validate({
+    query: s.object({ ...assemblyFields, uid: docId().optional() }),
+  }),
+  async (req, res) => {
+    try {
+      const { base, max, absoluteImages, seed, shuffleOptions, cooldownDays } =
+        req.query;
+      const filters = assemblyFilters(req.query);
+
+      // ?uid= personalizes the paper for that user. Read-only: only
+      // POST /attempts records what was served.
+      const uid = req.query.uid ?? null;
+      if (uid && uid !== req.auth.uid && req.user.is_Admin !== true) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      const seen = uid
+        ? seenSnapshot(await loadSeenHistory(uid), cooldownDays * DAY_MS)
+        : null;
 
-    const batch = db.batch();
-    batch.update(ref, update);
+      const paper = await assembleQuestions({
+        base,
+        max,
+        seed,
+        shuffleOptions,
+        seen,
+        ...filters,
+      });
 
-    const newIsPublic =
-      typeof isPublic === "boolean" ? isPublic : prev.isPublic;
-    const mirrorRef = publicNotesCol.doc(id);
+      const normalized = questionsForViewer(req, paper.questions).map((q) => {
+        const json = q; // already plain object
+        if (absoluteImages) {
+          json.image = toAbsoluteImageUrl(req, json.image);
+        }
+        return json;
+      });
 
-    if (newIsPublic && !prev.isPublic) {
-      // Became public → add to mirror
-      batch.set(mirrorRef, { ...prev, ...update });
-    } else if (!newIsPublic && prev.isPublic) {
-      // Became private → remove from mirror
-      batch.delete(mirrorRef);
-    } else if (newIsPublic && prev.isPublic) {
-      // Stays public → update mirror fields
-      batch.update(mirrorRef, update);
+      res.json({
+        base,
+        max,
+        seed: paper.seed,
+        shuffleOptions,
+        uid,
+        ...filters,
+        contentVersion: paper.contentVersion,
+        seenVersion: paper.seenVersion,
+        fingerprint: paper.fingerprint,
+        difficultyCounts: paper.difficultyCounts,
+        count: normalized.length,
+        questions: normalized,
+      });
+    } catch (err) {
+      console.error("Assemble exam error:", err);
+      res.status(500).json({ message: "Server error assembling exam" });
     }
+  },
+);
 
-    await batch.commit();
+/* =========================
+   ATTEMPTS (server-side grading)
+========================= */
 
-    const updated = await ref.get();
-    return res.json({ id: updated.id, ...updated.data() });
-  } catch (err) {
-    console.error("PATCH /api/notes/:id error:", err?.message || err);
-    return res.status(500).json({ message: "Failed to update note" });
+// Load questions for stored {examId, questionId} refs, in the same order.
+// Missing (deleted) questions come back as null.
+async function loadQuestionRefs(refs) {
+  if (!refs.length) return [];
+  const snaps = await db.getAll(
+    ...refs.map((r) =>
+      examsCol.doc(r.examId).collection("questions").doc(r.questionId),
+    ),
+  );
+  return snaps.map((s, i) =>
+    s.exists ? { id: s.id, examId: refs[i].examId, ...s.data() } : null,
+  );
+}
+
+// Accepts either an array aligned with the served order, or a map
+// { [questionId]: optionIndex }. Anything else counts as unanswered.
+function chosenIndexFor(answers, questionId, position) {
+  const raw = Array.isArray(answers)
+    ? answers[position]
+    : answers && typeof answers === "object"
+      ? answers[questionId]
+      : undefined;
+  if (raw === null || typeof raw === "undefined" || raw === "") return null;
+  const idx = Number(raw);
+  return Number.isInteger(idx) ? idx : null;
+}
+
+// { [examId]: title } for the given exam IDs (deduped)
+async function loadExamTitles(examIds) {
+  const ids = [...new Set(examIds.filter(Boolean))];
+  if (!ids.length) return {};
+  const snaps = await db.getAll(...ids.map((id) => examsCol.doc(id)));
+  return Object.fromEntries(
+    snaps.map((s) => [s.id, s.exists ? s.data().title || "" : null]),
+  );
+}
+
+// Per-exam (chapter) correct/total counts for a graded attempt
+function chapterBreakdown(graded, examTitles = {}) {
+  const byExam = new Map();
+  for (const g of graded) {
+    if (!byExam.has(g.examId)) {
+      byExam.set(g.examId, {
+        examId: g.examId,
+        title: examTitles[g.examId] ?? null,
+        correct: 0,
+        total: 0,
+      });
+    }
+    const row = byExam.get(g.examId);
+    row.total += 1;
+    if (g.correct) row.correct += 1;
   }
+  return [...byExam.values()];
+}
+
+const canViewAttempt = (req, attempt) =>
+  req.user?.is_Admin === true || attempt.uid === req.auth.uid;
+
+// Submit grades in one transaction (≤500 writes), so papers are capped
+const ATTEMPT_MAX_QUESTIONS = 200;
+
+app.post(
+  "/attempts",
+  userOnly,
+  validate({
+    body: s.object({ ...assemblyFields, avoidSeen: s.boolean().default(true) }),
+  }),
+  async (req, res) => {
+    try {
+      const { base, absoluteImages, seed, shuffleOptions, cooldownDays } =
+        req.body;
+      const max = Math.min(req.body.max, ATTEMPT_MAX_QUESTIONS);
+      const filters = assemblyFilters(req.body);
+
+      // Prefer unseen / previously-wrong questions unless avoidSeen=false
+      const { avoidSeen } = req.body;
+      const seen = avoidSeen
+        ? seenSnapshot(
+            await loadSeenHistory(req.auth.uid),
+            cooldownDays * DAY_MS,
+          )
+        : null;
+
+      const paper = await assembleQuestions({
+        base,
+        max,
+        seed,
+        shuffleOptions,
+        seen,
+        ...filters,
+      });
+      const { questions } = paper;
+      if (!questions.length) {
+        return res.status(400).json({ message: "No questions available" });
+      }
+
+      const ref = attemptsCol.doc();
+      await ref.set(
+        defaults.attempt({
+          uid: req.auth.uid,
+          base,
+          max,
+          seed: paper.seed,
+          shuffleOptions,
+          filters,
+          contentVersion: paper.contentVersion,
+          seen,
+          fingerprint: paper.fingerprint,
+          questions: questions.map((q) => ({
+            examId: q.examId,
+            questionId: q.id,
+            optionOrder: q.optionOrder || null,
+          })),
+        }),
+      );
+      await recordServed(req.auth.uid, questions);
+
+      const served = questions.map((q) => {
+        const json = publicQuestion(q);
+        if (absoluteImages) json.image = toAbsoluteImageUrl(req, json.image);
+        return json;
+      });
+
+      return res.status(201).json({
+        id: ref.id,
+        status: "in_progress",
+        base,
+        max,
+        seed: paper.seed,
+        shuffleOptions,
+        contentVersion: paper.contentVersion,
+        seenVersion: paper.seenVersion,
+        fingerprint: paper.fingerprint,
+        difficultyCounts: paper.difficultyCounts,
+        count: served.length,
+        questions: served,
+      });
+    } catch (err) {
+      console.error("Create attempt error:", err);
+      return res.status(500).json({ message: "Server error creating attempt" });
+    }
+  },
+);
+
+// answers: [optionIndex, ...] in served order, or { [questionId]: index }
+const submitSchema = s.object({
+  answers: s
+    .any()
+    .refine((a) =>
+      a && typeof a === "object"
+        ? null
+        : "'answers' must be an array or an object",
+    )
+    .optional(),
 });
 
-// Delete note & mirror (and optionally the file)
-app.delete("/api/notes/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+app.post(
+  "/attempts/:id/submit",
+  userOnly,
+  validate({ params: idParams("id"), body: submitSchema }),
+  async (req, res) => {
+    try {
+      const { answers } = req.body;
+      const ref = attemptsCol.doc(req.params.id);
 
-    const ref = notesCol.doc(id);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "Note not found" });
+      const result = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return { status: 404, message: "Attempt not found" };
 
-    const data = snap.data();
+        const attempt = snap.data();
+        if (attempt.uid !== req.auth.uid) {
+          return { status: 403, message: "Forbidden" };
+        }
+        if (attempt.status !== "in_progress") {
+          return { status: 409, message: "Attempt already submitted" };
+        }
 
-    const batch = db.batch();
-    batch.delete(ref);
-    batch.delete(publicNotesCol.doc(id));
-    await batch.commit();
+        const userRef = usersCol.doc(attempt.uid);
+        const userSnap = await tx.get(userRef);
+        const refs = attempt.questions || [];
+        const questions = await loadQuestionRefs(refs);
+        const examTitles = await loadExamTitles(refs.map((r) => r.examId));
+
+        // chosen/correctAnswer are in the option order the student saw
+        const graded = refs.map((r, i) => {
+          const q = questions[i];
+          const chosen = chosenIndexFor(answers, r.questionId, i);
+          const original = q ? Number(q.correctAnswer) : null;
+          const correctAnswer =
+            q && r.optionOrder ? r.optionOrder.indexOf(original) : original;
+          return {
+            examId: r.examId,
+            questionId: r.questionId,
+            optionOrder: r.optionOrder || null,
+            chosen,
+            correctAnswer,
+            correct: q !== null && chosen !== null && chosen === correctAnswer,
+          };
+        });
 
-    // Optional: delete GCS file
-    if (data?.storagePath) {
-      try {
-        await bucket.file(data.storagePath).delete({ ignoreNotFound: true });
-      } catch (e) {
-        console.warn("[DELETE] Storage cleanup warning:", e?.message || e);
+        const total = graded.length;
+        const correct = graded.filter((g) => g.correct).length;
+        const score = total ? Math.round((correct / total) * 100) : 0;
+
+        tx.update(ref, {
+          status: "submitted",
+          graded,
+          correct,
+          total,
+          score,
+          submittedAt: nowTs(),
+        });
+        // Users the stats backfill hasn't reached yet are left to it
+        const { scoreStats } = userSnap.data() || {};
+        tx.update(userRef, {
+          last_score: score,
+          ...(scoreStats ? { scoreStats: addScore(scoreStats, score) } : {}),
+        });
+        for (const g of graded) {
+          tx.set(
+            seenColFor(attempt.uid).doc(seenKey(g.examId, g.questionId)),
+            {
+              examId: g.examId,
+              questionId: g.questionId,
+              lastCorrect: g.correct,
+              lastAnsweredAt: nowTs(),
+              ...(g.correct ? {} : { timesWrong: FieldValue.increment(1) }),
+            },
+            { merge: true },
+          );
+        }
+        tx.set(
+          usersCol.doc(attempt.uid).collection("results").doc(ref.id),
+          defaults.result({
+            attemptId: ref.id,
+            correct,
+            total,
+            score,
+            chapters: chapterBreakdown(graded, examTitles),
+          }),
+        );
+
+        return { status: 200, body: { id: ref.id, correct, total, score } };
+      });
+
+      if (result.status !== 200) {
+        return res.status(result.status).json({ message: result.message });
       }
+      return res.json(result.body);
+    } catch (err) {
+      console.error("Submit attempt error:", err);
+      return res
+        .status(500)
+        .json({ message: "Server error submitting attempt" });
     }
+  },
+);
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /api/notes/:id error:", err?.message || err);
-    return res.status(500).json({ message: "Failed to delete note" });
-  }
-});
+app.get(
+  "/attempts/:id/result",
+  userOnly,
+  validate({
+    params: idParams("id"),
+    query: s.object({ absoluteImages: s.boolean().default(true) }),
+  }),
+  async (req, res) => {
+    try {
+      const snap = await attemptsCol.doc(req.params.id).get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Attempt not found" });
+
+      const attempt = snap.data();
+      if (!canViewAttempt(req, attempt)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      if (attempt.status !== "submitted") {
+        return res.status(409).json({ message: "Attempt not submitted yet" });
+      }
+
+      const { absoluteImages } = req.query;
+      const graded = attempt.graded || [];
+      const questions = await loadQuestionRefs(graded);
+
+      // correctAnswer/correct are the values graded at submit time
+      const items = graded.map((g, i) => {
+        const q = questions[i];
+        return {
+          ...g,
+          text: q?.text ?? null,
+          options:
+            q && g.optionOrder
+              ? g.optionOrder.map((idx) => q.options[idx])
+              : (q?.options ?? []),
+          image: absoluteImages
+            ? toAbsoluteImageUrl(req, q?.image)
+            : (q?.image ?? null),
+          setId: q?.setId ?? null,
+          deleted: !q,
+        };
+      });
+
+      return res.json({
+        id: snap.id,
+        uid: attempt.uid,
+        score: attempt.score,
+        correct: attempt.correct,
+        total: attempt.total,
+        seed: attempt.seed,
+        shuffleOptions: attempt.shuffleOptions,
+        contentVersion: attempt.contentVersion,
+        fingerprint: attempt.fingerprint,
+        createdAt: attempt.createdAt,
+        submittedAt: attempt.submittedAt,
+        questions: items,
+      });
+    } catch (err) {
+      console.error("Attempt result error:", err);
+      return res.status(500).json({ message: "Server error loading result" });
+    }
+  },
+);
 
 /* =========================
-   REQUEST ROUTES
+   SCORE HISTORY (users/{uid}/results)
 ========================= */
 
-app.post("/api/requests", async (req, res) => {
-  try {
-    const { uid, transactionId } = req.body;
+const resultsColFor = (uid) => usersCol.doc(uid).collection("results");
 
-    const userRef = usersCol.doc(uid);
-    const userSnap = await userRef.get();
-    if (!userSnap.exists)
-      return res.status(404).json({ message: "User not found" });
+const resultJson = (d) => {
+  const r = d.data();
+  return { id: d.id, ...r, createdAt: toIso(r.createdAt) };
+};
 
-    const user = userSnap.data();
-    if (user.request_sent)
-      return res.status(400).json({ message: "Request already sent" });
+// Newest first by default; see listPage for query params
+app.get(
+  "/api/users/:uid/results",
+  selfOrAdmin("uid"),
+  validate({ params: idParams("uid"), query: pageQuery() }),
+  async (req, res) => {
+    try {
+      const page = await listPage(resultsColFor(req.params.uid), req.query, {
+        sorts: ["createdAt", "score"],
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
 
-    const batch = db.batch();
-    const reqRef = requestsCol.doc();
+      return res.json({
+        items: page.docs.map(resultJson),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      console.error("List results error:", err);
+      return res.status(500).json({ message: "Server error listing results" });
+    }
+  },
+);
 
-    batch.set(
-      reqRef,
-      defaults.request({
-        uid,
-        transactionId,
-      }),
-    );
-    batch.update(userRef, { request_sent: true });
+// Aggregates over the most recent results (capped)
+const SUMMARY_MAX_RESULTS = 500;
+
+app.get(
+  "/api/users/:uid/results/summary",
+  selfOrAdmin("uid"),
+  validate({
+    params: idParams("uid"),
+    query: s.object({
+      last: s.int({ min: 1 }).optional(),
+      weakest: s.int({ min: 1 }).optional(),
+      minQuestions: s.int({ min: 1 }).optional(),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const last = parseLimit(req.query.last, 10, 50);
+      const weakest = parseLimit(req.query.weakest, 5, 50);
+      const minQuestions = parseLimit(req.query.minQuestions, 3, 1000);
+
+      const snap = await resultsColFor(req.params.uid)
+        .orderBy("createdAt", "desc")
+        .limit(SUMMARY_MAX_RESULTS)
+        .get();
+      const results = snap.docs.map(resultJson);
+
+      const count = results.length;
+      const scores = results.map((r) => Number(r.score) || 0);
+      const average = count
+        ? Math.round((scores.reduce((a, b) => a + b, 0) / count) * 10) / 10
+        : 0;
+      const best = count ? Math.max(...scores) : 0;
+
+      // Oldest → newest so the client can plot it directly
+      const trend = results
+        .slice(0, last)
+        .reverse()
+        .map((r) => ({ id: r.id, score: r.score, createdAt: r.createdAt }));
+      const change =
+        trend.length > 1 ? trend[trend.length - 1].score - trend[0].score : 0;
+
+      const chapters = new Map();
+      for (const r of results) {
+        for (const c of r.chapters || []) {
+          if (!chapters.has(c.examId)) {
+            chapters.set(c.examId, {
+              examId: c.examId,
+              title: c.title ?? null,
+              correct: 0,
+              total: 0,
+            });
+          }
+          const row = chapters.get(c.examId);
+          row.correct += Number(c.correct) || 0;
+          row.total += Number(c.total) || 0;
+        }
+      }
+      const weakestChapters = [...chapters.values()]
+        .filter((c) => c.total >= minQuestions)
+        .map((c) => ({
+          ...c,
+          accuracy: Math.round((c.correct / c.total) * 1000) / 10,
+        }))
+        .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+        .slice(0, weakest);
+
+      return res.json({
+        count,
+        average,
+        best,
+        trend: { last, change, points: trend },
+        weakestChapters,
+      });
+    } catch (err) {
+      console.error("Results summary error:", err);
+      return res
+        .status(500)
+        .json({ message: "Server error summarizing results" });
+    }
+  },
+);
 
-    await batch.commit();
+/* =========================
+   LEADERBOARDS (validated users, by Board / ExamYEar)
+========================= */
+
+const LEADERBOARD_WINDOWS = {
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+const LEADERBOARD_METRICS = ["best", "average"];
+
+// "Rahim Uddin" → "R***m U***n"
+const maskName = (name) =>
+  String(name || "Anonymous")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => (w.length <= 2 ? `${w[0]}*` : `${w[0]}***${w[w.length - 1]}`))
+    .join(" ");
+
+// users.scoreStats with one more score
+const addScore = (stats, score) => ({
+  best: Math.max(stats?.best ?? 0, score),
+  sum: (stats?.sum ?? 0) + score,
+  attempts: (stats?.attempts ?? 0) + 1,
+});
+
+// Users from before scoreStats get it from their results, each in a
+// transaction so a submit racing it is counted once. Runs at boot; the
+// route below re-runs it by hand. Safe to re-run.
+async function backfillScoreStats({ dryRun = false } = {}) {
+  const snap = await usersCol.get();
+  const stale = snap.docs.filter((d) => !d.data().scoreStats);
+  if (dryRun) return stale.length;
+
+  for (const d of stale) {
+    await db.runTransaction(async (tx) => {
+      const user = await tx.get(d.ref);
+      if (!user.exists || user.data().scoreStats) return;
+      const results = await tx.get(resultsColFor(d.id));
+      tx.update(d.ref, {
+        scoreStats: results.docs.reduce(
+          (stats, r) => addScore(stats, Number(r.data().score) || 0),
+          { best: 0, sum: 0, attempts: 0 },
+        ),
+      });
+    });
+  }
+  return stale.length;
+}
+
+backfillScoreStats()
+  .then(
+    (n) => n && console.log(`[BOOT] Backfilled score stats for ${n} user(s)`),
+  )
+  .catch((e) =>
+    console.error("[BOOT] Score stats backfill failed:", e?.message || e),
+  );
+
+// body: { dryRun? }
+app.post(
+  "/api/leaderboard/migrations/backfill-stats",
+  adminOnly,
+  audit("user.migrate", "user"),
+  validate(dryRunSchemas),
+  async (req, res, next) => {
+    try {
+      const dryRun = isDryRun(req);
+      const updated = await backfillScoreStats({ dryRun });
+      const summary = { dryRun, updated };
+      res.locals.audit = dryRun ? false : { after: summary };
+      res.json(summary);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Ranks validated users. "all" reads users.scoreStats; weekly/monthly
+// aggregate only the results inside the window (collection-group index on
+// results.createdAt). Returns { ranked: [{ uid, score, attempts, rank }],
+// users: uid → user }.
+async function computeLeaderboard({ metric, window, board, year }) {
+  // Eligible users
+  let usersQuery = usersCol.where("is_validated", "==", true);
+  if (board) usersQuery = usersQuery.where("Board", "==", board);
+  if (year) usersQuery = usersQuery.where("ExamYEar", "==", year);
+  const usersSnap = await usersQuery.get();
+  const eligible = new Map(
+    usersSnap.docs
+      .filter((d) => hasAccess(d.data()))
+      .map((d) => [d.id, d.data()]),
+  );
+
+  const stats = new Map();
+  const span = LEADERBOARD_WINDOWS[window];
+  if (!span) {
+    for (const [uid, u] of eligible) {
+      if (u.scoreStats?.attempts) stats.set(uid, { uid, ...u.scoreStats });
+    }
+  } else {
+    const resultsSnap = await db
+      .collectionGroup("results")
+      .where("createdAt", ">=", Timestamp.fromMillis(Date.now() - span))
+      .get();
+    for (const d of resultsSnap.docs) {
+      const uid = d.ref.parent.parent?.id;
+      if (!uid || !eligible.has(uid)) continue;
+      const score = Number(d.data().score) || 0;
+      stats.set(uid, { uid, ...addScore(stats.get(uid), score) });
+    }
+  }
+
+  const ranked = [...stats.values()]
+    .map((r) => ({
+      uid: r.uid,
+      attempts: r.attempts,
+      score:
+        metric === "best" ? r.best : Math.round((r.sum / r.attempts) * 10) / 10,
+    }))
+    .sort((a, b) => b.score - a.score || b.attempts - a.attempts);
+
+  // Standard competition ranking (1, 2, 2, 4)
+  ranked.forEach((r, i) => {
+    r.rank =
+      i > 0 && ranked[i - 1].score === r.score ? ranked[i - 1].rank : i + 1;
+  });
+
+  const users = new Map(ranked.map((r) => [r.uid, eligible.get(r.uid)]));
+  return { ranked, users };
+}
+
+// Each ranking is computed at most once per LEADERBOARD_CACHE_SECONDS;
+// concurrent misses share one computation.
+const LEADERBOARD_TTL_MS =
+  (Number(process.env.LEADERBOARD_CACHE_SECONDS) || 60) * 1000;
+const leaderboardCache = new Map(); // key → { expiresAt, board: Promise }
+
+function cachedLeaderboard(params) {
+  const now = Date.now();
+  for (const [k, v] of leaderboardCache)
+    if (v.expiresAt <= now) leaderboardCache.delete(k);
+
+  const key = JSON.stringify(params);
+  let entry = leaderboardCache.get(key);
+  if (!entry) {
+    entry = {
+      expiresAt: now + LEADERBOARD_TTL_MS,
+      board: computeLeaderboard(params),
+    };
+    entry.board.catch(() => leaderboardCache.delete(key));
+    leaderboardCache.set(key, entry);
+  }
+  return entry.board;
+}
+
+// ?metric=best|average&window=weekly|monthly|all&Board=&ExamYEar=&limit=&mask=
+app.get(
+  "/api/leaderboard",
+  userOnly,
+  validate({
+    query: s.object({
+      metric: s.enum(LEADERBOARD_METRICS, { lowercase: true }).default("best"),
+      window: s
+        .enum(Object.keys(LEADERBOARD_WINDOWS), { lowercase: true })
+        .default("all"),
+      limit: s.int({ min: 1 }).optional(),
+      mask: s.boolean().default(false),
+      Board: s.string({ max: 100 }).optional(),
+      ExamYEar: s.int({ min: 1 }).optional(),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { metric, window, mask } = req.query;
+      const limit = parseLimit(req.query.limit, 10, 100);
+      const board = req.query.Board || null;
+      const year = req.query.ExamYEar ?? null;
+
+      const { ranked, users } = await cachedLeaderboard({
+        metric,
+        window,
+        board,
+        year,
+      });
+
+      const toEntry = (r) => {
+        const u = users.get(r.uid) || {};
+        const isMe = r.uid === req.auth.uid;
+        const hide = !isMe && (mask || u.leaderboardMasked === true);
+        return {
+          rank: r.rank,
+          displayName: hide ? maskName(u.displayName) : u.displayName || null,
+          Board: u.Board ?? null,
+          ExamYEar: u.ExamYEar ?? null,
+          score: r.score,
+          attempts: r.attempts,
+          isMe,
+        };
+      };
+
+      const mine = ranked.find((r) => r.uid === req.auth.uid);
+
+      return res.json({
+        metric,
+        window,
+        Board: board,
+        ExamYEar: year,
+        total: ranked.length,
+        entries: ranked.slice(0, limit).map(toEntry),
+        me: mine ? toEntry(mine) : null,
+      });
+    } catch (err) {
+      console.error("Leaderboard error:", err);
+      return res
+        .status(500)
+        .json({ message: "Server error loading leaderboard" });
+    }
+  },
+);
+
+/* =========================
+   EVENTS (Server-Sent Events: GET /api/events)
+========================= */
+// event: announcement.published | announcement.updated   (its audience)
+//        request.approved | request.rejected | request.cancelled (owner)
+//        request.created (admins) · chapter.created (everyone)
+//        chapter.content (streams subscribed via ?examIds=)
+// Reconnects send Last-Event-ID; an unreplayable gap gets `resync`.
+
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const SSE_MAX_PER_USER = 5;
+const SSE_MAX_CHAPTERS = 30;
+const SSE_TICKET_TTL_MS = 60 * 1000;
+const streams = new Map(); // uid → Set<stream>
+
+// EventSource can't send headers: POST /api/events/ticket (authenticated)
+// gives a one-time ticket for ?ticket= instead of a token in the URL.
+const streamTickets = new Map(); // ticket → { uid, email, expiresAt }
+
+app.post("/api/events/ticket", userOnly, (req, res) => {
+  const now = Date.now();
+  for (const [t, v] of streamTickets)
+    if (v.expiresAt <= now) streamTickets.delete(t);
+
+  const ticket = crypto.randomBytes(24).toString("hex");
+  const expiresAt = now + SSE_TICKET_TTL_MS;
+  streamTickets.set(ticket, {
+    uid: req.auth.uid,
+    email: req.auth.email || null,
+    expiresAt,
+  });
+  res.json({ ticket, expiresAt: new Date(expiresAt).toISOString() });
+});
 
-    const created = await reqRef.get();
-    res.status(201).json({ id: created.id, ...created.data() });
+async function streamAuth(req, res, next) {
+  if (typeof req.query.ticket === "undefined")
+    return authenticate(req, res, next);
+  try {
+    const entry = streamTickets.get(String(req.query.ticket));
+    streamTickets.delete(String(req.query.ticket));
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return res.status(401).json({ message: "Invalid or expired ticket" });
+    }
+    const snap = await usersCol.doc(entry.uid).get();
+    req.auth = { uid: entry.uid, email: entry.email };
+    req.user = snap.exists ? userJson(snap) : null;
+    next();
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
+}
+
+function streamReceives(stream, event) {
+  const { uid, admins, announcement, examId } = event.target || {};
+  if (uid) return uid === stream.uid;
+  if (admins) return stream.user.is_Admin === true;
+  if (announcement) return announcementVisibleTo(announcement, stream.user);
+  if (examId) return stream.examIds.has(examId);
+  return true;
+}
+
+// ?examIds=a,b (chapters to get chapter.content for) &ticket=
+const eventsQuery = s.object({
+  examIds: s
+    .array(docId(), {
+      max: SSE_MAX_CHAPTERS,
+      split: ",",
+      unique: true,
+      compact: true,
+    })
+    .default(() => []),
+  ticket: s.string({ max: 128 }).optional(),
+  lastEventId: s.string({ max: 128 }).optional(),
 });
 
-app.get("/api/requests", async (req, res) => {
+app.get(
+  "/api/events",
+  streamAuth,
+  requireUser,
+  validate({ query: eventsQuery }),
+  (req, res) => {
+    const uid = req.auth.uid;
+    const { examIds } = req.query;
+    const open = streams.get(uid) || new Set();
+    if (open.size >= SSE_MAX_PER_USER) {
+      return res.status(429).json({ message: "Too many open event streams" });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // no proxy buffering
+    });
+    res.flushHeaders();
+
+    const stream = { uid, user: req.user, examIds: new Set(examIds) };
+    const write = (type, data, id) =>
+      res.write(
+        `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`,
+      );
+    const deliver = (event) => {
+      if (!streamReceives(stream, event)) return;
+      write(event.type, { ...event.data, at: event.at }, event.id);
+      // Approval changes who this user is (validated, subscription)
+      if (event.target?.uid === uid && event.type.startsWith("request.")) {
+        usersCol
+          .doc(uid)
+          .get()
+          .then((snap) => {
+            if (snap.exists) stream.user = userJson(snap);
+          })
+          .catch(() => {});
+      }
+    };
+
+    res.write(`retry: 5000\n\n`);
+    const lastId = req.get("last-event-id") || req.query.lastEventId;
+    if (lastId) {
+      const missed = events.since(lastId);
+      if (missed) missed.forEach(deliver);
+      else write("resync", { reason: "Missed events are no longer available" });
+    }
+    write("ready", { examIds });
+
+    const unsubscribe = events.subscribe(deliver);
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      SSE_HEARTBEAT_MS,
+    );
+    open.add(stream);
+    streams.set(uid, open);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      open.delete(stream);
+      if (!open.size) streams.delete(uid);
+    });
+  },
+);
+
+// Scheduled announcements go live without a request: look for publishAt
+// values that just passed (feeds streams and notifications alike).
+let publishWatchFrom = Date.now();
+setInterval(async () => {
+  const until = Date.now();
   try {
-    const snap = await requestsCol.orderBy("createdAt", "desc").get();
+    const snap = await announcementsCol
+      .where("publishAt", ">", Timestamp.fromMillis(publishWatchFrom))
+      .where("publishAt", "<=", Timestamp.fromMillis(until))
+      .get();
+    publishWatchFrom = until;
+    snap.docs
+      .map((d) => ({ id: d.id, a: d.data() }))
+      // saved before it went live = scheduled (routes announce the rest)
+      .filter(
+        ({ a }) => millis(a.updatedAt ?? a.createdAt) < millis(a.publishAt),
+      )
+      .filter(({ a }) => announcementState(a, until) === "live")
+      .forEach(({ id, a }) =>
+        announcementEvent("announcement.published", id, a),
+      );
+  } catch (e) {
+    console.warn("[EVENTS] Publish watch failed:", e?.message || e);
+  }
+}, 30 * 1000).unref();
 
-    const requests = await Promise.all(
-      snap.docs.map(async (d) => {
-        const r = d.data();
-        let user = null;
-        if (r.uid) {
-          const userSnap = await usersCol.doc(r.uid).get();
-          if (userSnap.exists) {
-            const u = userSnap.data();
-            user = {
-              displayName: u.displayName || null,
-              email: u.email || null,
-              uid: r.uid,
-            };
-          }
-        }
-        return { id: d.id, ...r, user };
+/* =========================
+   NOTIFICATIONS (outbox + delivery worker + preferences)
+========================= */
+// Request reviews write their notifications/{id} outbox entries (one per
+// channel) in the review transaction; other routes publish events (see
+// EVENTS) and the handlers below turn them into entries. The worker
+// delivers pending entries through notify/ transports, retrying with
+// exponential backoff. Needs a composite index on notifications
+// (status, nextAttemptAt).
+
+const transports = await createTransports();
+
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const NOTIFY_BACKOFF_BASE_MS = 60 * 1000;
+const NOTIFY_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const NOTIFY_WORKER_BATCH = 20;
+// A "sending" entry untouched this long was abandoned (crash/restart)
+const NOTIFY_SENDING_LEASE_MS =
+  (Number(process.env.NOTIFY_SENDING_LEASE_SECONDS) || 10 * 60) * 1000;
+const NOTIFY_WORKER_INTERVAL_MS =
+  (Number(process.env.NOTIFY_WORKER_INTERVAL_SECONDS) || 15) * 1000;
+const NOTIFY_EXPIRY_DAYS = Number(process.env.NOTIFY_EXPIRY_DAYS) || 3;
+const NOTIFY_CHANNEL_DEFAULTS = { email: true, sms: false, push: true };
+const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "failed"];
+const MAX_PUSH_TOKENS = 10;
+
+function notificationPrefs(user) {
+  const p = user?.notificationPrefs || {};
+  return {
+    channels: Object.fromEntries(
+      CHANNELS.map((c) => [c, p.channels?.[c] ?? NOTIFY_CHANNEL_DEFAULTS[c]]),
+    ),
+    types: Object.fromEntries(
+      NOTIFICATION_TYPES.map((t) => [t, p.types?.[t] ?? true]),
+    ),
+  };
+}
+
+// Where `channel` reaches this user, or null
+function channelAddress(user, channel) {
+  if (channel === "email") return user.email || null;
+  if (channel === "sms")
+    return user.phone && user.phone !== "none" ? user.phone : null;
+  return user.pushTokens?.length ? user.pushTokens : null;
+}
+
+// Outbox docs for one user: each enabled, configured and reachable
+// channel. With `key`, ids are "<key>_<channel>" so repeats are skipped.
+function notificationDocs(user, type, vars, { data = {}, key = null } = {}) {
+  const prefs = notificationPrefs(user);
+  if (!prefs.types[type]) return [];
+  return CHANNELS.filter((c) => transports[c] && prefs.channels[c])
+    .map((channel) => ({ channel, to: channelAddress(user, channel) }))
+    .filter(({ to }) => to)
+    .map(({ channel, to }) => ({
+      ref: key
+        ? notificationsCol.doc(`${key}_${channel}`)
+        : notificationsCol.doc(),
+      data: defaults.notification({
+        uid: user.uid,
+        type,
+        channel,
+        to,
+        ...renderNotification(type, channel, vars),
+        data: { type, ...data },
+        nextAttemptAt: Timestamp.now(),
       }),
+    }));
+}
+
+// create(), not set(): a repeated key must never reset an entry that is
+// already sending or sent
+const ALREADY_EXISTS = 6; // gRPC code
+async function enqueueNotifications(docs) {
+  let fresh = 0;
+  for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+    const created = await Promise.all(
+      docs.slice(i, i + BATCH_LIMIT).map(({ ref, data }) =>
+        ref.create(data).then(
+          () => true,
+          (e) => {
+            if (e?.code === ALREADY_EXISTS) return false;
+            throw e;
+          },
+        ),
+      ),
     );
+    fresh += created.filter(Boolean).length;
+  }
+  if (fresh) setTimeout(runNotificationWorker, 0);
+  return fresh;
+}
 
-    res.json(requests);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+const NOTIFY_ON_EVENT = {
+  "announcement.published": async ({ data, target }) => {
+    const a = target.announcement;
+    const audience = await announcementAudience(a);
+    const version = announcementVersion(a);
+    await enqueueNotifications(
+      audience.flatMap((user) =>
+        notificationDocs(
+          user,
+          "announcement",
+          { title: a.title, content: a.content },
+          {
+            data: { announcementId: data.id },
+            key: `announcement_${data.id}_${version}_${user.uid}`,
+          },
+        ),
+      ),
+    );
+  },
+};
+
+events.subscribe((event) => {
+  const handler = NOTIFY_ON_EVENT[event.type];
+  if (!handler) return;
+  handler(event).catch((e) =>
+    console.warn(`[NOTIFY] ${event.type} enqueue failed:`, e?.message || e),
+  );
+});
+
+// Students whose subscription ends within NOTIFY_EXPIRY_DAYS; one reminder
+// per subscription period (keyed by validUntil).
+async function enqueueExpiryReminders() {
+  const now = Date.now();
+  const snap = await usersCol
+    .where("subscription.validUntil", ">", Timestamp.fromMillis(now))
+    .where(
+      "subscription.validUntil",
+      "<=",
+      Timestamp.fromMillis(now + NOTIFY_EXPIRY_DAYS * DAY_MS),
+    )
+    .get();
+  return enqueueNotifications(
+    snap.docs.flatMap((d) => {
+      const user = { ...d.data(), uid: d.id };
+      const until = millis(user.subscription.validUntil);
+      return notificationDocs(
+        user,
+        "subscription_expiry",
+        {
+          name: user.displayName,
+          planName: user.subscription.planName,
+          validUntil: new Date(until).toISOString(),
+          daysLeft: Math.ceil((until - now) / DAY_MS),
+        },
+        { key: `expiry_${d.id}_${until}` },
+      );
+    }),
+  );
+}
+
+const notifyBackoff = (attempts) =>
+  Math.min(
+    NOTIFY_BACKOFF_BASE_MS * 2 ** (attempts - 1),
+    NOTIFY_BACKOFF_MAX_MS,
+  ) *
+  (0.9 + Math.random() * 0.2);
+
+async function dropPushTokens(uid, tokens) {
+  if (!tokens?.length) return;
+  await usersCol
+    .doc(uid)
+    .update({ pushTokens: FieldValue.arrayRemove(...tokens) })
+    .catch(() => {});
+}
+
+async function deliverNotification(ref) {
+  // Claim it, so an overlapping run can't send it twice
+  const n = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== "pending") return null;
+    tx.update(ref, { status: "sending", updatedAt: nowTs() });
+    return snap.data();
+  });
+  if (!n) return;
+
+  const attempts = (n.attempts || 0) + 1;
+  try {
+    const transport = transports[n.channel];
+    if (!transport)
+      throw permanentError(`No ${n.channel} transport configured`);
+    const result = await transport.send({
+      channel: n.channel,
+      to: n.to,
+      subject: n.subject,
+      body: n.body,
+      data: n.data,
+    });
+    await ref.update({
+      status: "sent",
+      attempts,
+      sentAt: nowTs(),
+      providerId: result?.providerId ?? null,
+      lastError: null,
+      updatedAt: nowTs(),
+    });
+    await dropPushTokens(n.uid, result?.invalidTokens);
+  } catch (e) {
+    const failed = e?.permanent === true || attempts >= NOTIFY_MAX_ATTEMPTS;
+    await ref.update({
+      status: failed ? "failed" : "pending",
+      attempts,
+      lastError: clip(e?.message || String(e), 500),
+      ...(failed
+        ? {}
+        : {
+            nextAttemptAt: Timestamp.fromMillis(
+              Date.now() + notifyBackoff(attempts),
+            ),
+          }),
+      updatedAt: nowTs(),
+    });
+    await dropPushTokens(n.uid, e?.invalidTokens);
+    console.warn(
+      `[NOTIFY] ${n.channel} ${ref.id} attempt ${attempts} failed${failed ? " (giving up)" : ""}:`,
+      e?.message || e,
+    );
+  }
+}
+
+let notifyWorkerBusy = false;
+async function runNotificationWorker() {
+  if (notifyWorkerBusy) return;
+  notifyWorkerBusy = true;
+  try {
+    const snap = await notificationsCol
+      .where("status", "==", "pending")
+      .where("nextAttemptAt", "<=", Timestamp.now())
+      .orderBy("nextAttemptAt")
+      .limit(NOTIFY_WORKER_BATCH)
+      .get();
+    for (const d of snap.docs) await deliverNotification(d.ref);
+  } catch (e) {
+    console.error("[NOTIFY] Worker run failed:", e?.message || e);
+  } finally {
+    notifyWorkerBusy = false;
+  }
+}
+
+// Entries left "sending" past the lease by a crash or restart go back to
+// pending. Younger ones may still be in flight on another instance.
+async function recoverStaleSending() {
+  const cutoff = Date.now() - NOTIFY_SENDING_LEASE_MS;
+  const snap = await notificationsCol.where("status", "==", "sending").get();
+  const isStale = (n) =>
+    n?.status === "sending" && millis(n.updatedAt) < cutoff;
+  let requeued = 0;
+  for (const d of snap.docs.filter((d) => isStale(d.data()))) {
+    // Re-checked in a transaction: the worker may have finished it since
+    const reset = await db.runTransaction(async (tx) => {
+      const cur = await tx.get(d.ref);
+      if (!isStale(cur.data())) return false;
+      tx.update(d.ref, { status: "pending", updatedAt: nowTs() });
+      return true;
+    });
+    if (reset) requeued++;
   }
+  return requeued;
+}
+
+const sweepSending = () =>
+  recoverStaleSending()
+    .then((n) => n && console.log(`[NOTIFY] Requeued ${n} stale entry(s)`))
+    .catch((e) => console.warn("[NOTIFY] Recovery failed:", e?.message || e));
+sweepSending();
+setInterval(sweepSending, NOTIFY_SENDING_LEASE_MS).unref();
+
+setInterval(runNotificationWorker, NOTIFY_WORKER_INTERVAL_MS).unref();
+const sweepExpiry = () =>
+  enqueueExpiryReminders()
+    .then((n) => n && console.log(`[NOTIFY] Queued ${n} expiry reminder(s)`))
+    .catch((e) =>
+      console.warn("[NOTIFY] Expiry sweep failed:", e?.message || e),
+    );
+setTimeout(sweepExpiry, 60 * 1000).unref();
+setInterval(sweepExpiry, 6 * 60 * 60 * 1000).unref();
+
+// { channels: { email, sms, push }, types: { <type>: bool }, available }
+app.get(
+  "/api/users/:uid/notification-preferences",
+  selfOrAdmin("uid"),
+  validate({ params: idParams("uid") }),
+  async (req, res) => {
+    try {
+      const snap = await usersCol.doc(req.params.uid).get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "User not found" });
+      const user = snap.data();
+      return res.json({
+        ...notificationPrefs(user),
+        available: CHANNELS.filter((c) => transports[c]),
+        pushTokens: (user.pushTokens || []).length,
+      });
+    } catch (err) {
+      console.error("GET notification-preferences error:", err?.message || err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+const booleanFlags = (keys) =>
+  s.object(Object.fromEntries(keys.map((k) => [k, s.boolean().optional()])));
+
+const notificationPrefsSchema = s.object({
+  channels: booleanFlags(CHANNELS).optional(),
+  types: booleanFlags(NOTIFICATION_TYPES).optional(),
 });
 
-app.put("/api/requests/approve/:id", async (req, res) => {
-  try {
-    const reqRef = requestsCol.doc(req.params.id);
-    const reqSnap = await reqRef.get();
-    if (!reqSnap.exists)
-      return res.status(404).json({ message: "Request not found" });
+// Partial: body { channels?: { email?, sms?, push? }, types?: { ... } }
+app.put(
+  "/api/users/:uid/notification-preferences",
+  selfOrAdmin("uid"),
+  audit("user.notifications", "user", "uid"),
+  validate({ params: idParams("uid"), body: notificationPrefsSchema }),
+  async (req, res) => {
+    try {
+      const ref = usersCol.doc(req.params.uid);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "User not found" });
+
+      const prefs = notificationPrefs(snap.data());
+      Object.assign(prefs.channels, req.body.channels);
+      Object.assign(prefs.types, req.body.types);
+
+      await ref.update({ notificationPrefs: prefs });
+      res.locals.audit = {
+        before: { notificationPrefs: snap.data().notificationPrefs ?? null },
+        after: { notificationPrefs: prefs },
+      };
+      return res.json({
+        ...prefs,
+        available: CHANNELS.filter((c) => transports[c]),
+      });
+    } catch (err) {
+      console.error("PUT notification-preferences error:", err?.message || err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  },
+);
 
-    const { uid } = reqSnap.data();
-    const userRef = usersCol.doc(uid);
+const pushToken = () => s.string({ min: 1, max: 4096 });
 
-    const batch = db.batch();
-    batch.update(userRef, { is_validated: true, request_sent: false });
-    batch.delete(reqRef);
-    await batch.commit();
+// Register this device for push; body { token }
+app.post(
+  "/api/users/:uid/push-tokens",
+  selfOrAdmin("uid"),
+  validate({ params: idParams("uid"), body: s.object({ token: pushToken() }) }),
+  async (req, res) => {
+    try {
+      const { token } = req.body;
+      const ref = usersCol.doc(req.params.uid);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "User not found" });
+
+      // Newest last; the oldest devices drop off past MAX_PUSH_TOKENS
+      const pushTokens = [
+        ...(snap.data().pushTokens || []).filter((t) => t !== token),
+        token,
+      ].slice(-MAX_PUSH_TOKENS);
+      await ref.update({ pushTokens });
+      return res.status(201).json({ pushTokens: pushTokens.length });
+    } catch (err) {
+      console.error("POST push-tokens error:", err?.message || err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  },
+);
 
-    res.json({ message: "Approved successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+app.delete(
+  "/api/users/:uid/push-tokens/:token",
+  selfOrAdmin("uid"),
+  validate({ params: s.object({ uid: docId(), token: pushToken() }) }),
+  async (req, res) => {
+    try {
+      const ref = usersCol.doc(req.params.uid);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "User not found" });
+      await ref.update({
+        pushTokens: FieldValue.arrayRemove(req.params.token),
+      });
+      return res.json({ message: "Device removed" });
+    } catch (err) {
+      console.error("DELETE push-tokens error:", err?.message || err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  },
+);
 
-app.put("/api/requests/reject/:id", async (req, res) => {
-  try {
-    const reqRef = requestsCol.doc(req.params.id);
-    const reqSnap = await reqRef.get();
-    if (!reqSnap.exists)
-      return res.status(404).json({ message: "Request not found" });
+// Outbox (admin): ?status=&type=&channel=&uid=&sort=createdAt|nextAttemptAt
+app.get(
+  "/api/notifications",
+  adminOnly,
+  validate({
+    query: pageQuery(
+      {
+        status: s.enum(NOTIFICATION_STATUSES).optional(),
+        type: s.enum(NOTIFICATION_TYPES).optional(),
+        channel: s.enum(CHANNELS).optional(),
+        uid: docId().optional(),
+      },
+      { dates: true },
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const page = await listPage(notificationsCol, req.query, {
+        filters: {
+          status: "string",
+          type: "string",
+          channel: "string",
+          uid: "string",
+        },
+        sorts: ["createdAt", "nextAttemptAt"],
+        dateField: "createdAt",
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
 
-    const { uid } = reqSnap.data();
-    const userRef = usersCol.doc(uid);
+      return res.json({
+        items: page.docs.map((d) => ({ id: d.id, ...d.data() })),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      console.error("GET /api/notifications error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to list notifications" });
+    }
+  },
+);
 
-    const batch = db.batch();
-    batch.update(userRef, { request_sent: false });
-    batch.delete(reqRef);
-    await batch.commit();
+// Give a failed entry a fresh set of attempts
+app.post(
+  "/api/notifications/:id/retry",
+  adminOnly,
+  audit("notification.retry", "notification"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const ref = notificationsCol.doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Notification not found" });
+      if (snap.data().status !== "failed") {
+        return res
+          .status(409)
+          .json({ message: `Notification is ${snap.data().status}` });
+      }
 
-    res.json({ message: "Rejected successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+      await ref.update({
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: Timestamp.now(),
+        updatedAt: nowTs(),
+      });
+      setTimeout(runNotificationWorker, 0);
+      res.locals.audit = {
+        before: { status: "failed", lastError: snap.data().lastError },
+        after: { status: "pending" },
+      };
+      return res.json({ message: "Notification queued for retry" });
+    } catch (err) {
+      console.error("Notification retry error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to retry notification" });
+    }
+  },
+);
 
 /* =========================
-   Announcement ROUTES
+   SEARCH (questions, notes, announcements)
 ========================= */
 
-app.post("/api/announcements/", async (req, res) => {
-  try {
-    const { title, content } = req.body;
+const SEARCH_MAX_CANDIDATES = 500;
 
-    if (!title || !content) {
-      return res
-        .status(400)
-        .json({ message: "Title and content are required" });
-    }
+const searchSource = (entry, examTitles) =>
+  entry.kind === "question"
+    ? {
+        collection: "exams",
+        examId: entry.examId,
+        examTitle: examTitles[entry.examId] ?? null,
+      }
+    : { collection: entry.kind === "note" ? "notes" : "announcements" };
+
+// GET /api/search?q=&types=question,note,announcement&examId=&limit=
+// Every word matches whole tokens or their prefixes; results are ranked by
+// field weight (titles above bodies) and by how many words matched.
+// Questions are admin-only; other users search notes and announcements.
+const searchQuery = s.object({
+  q: s.string({ min: 1, max: 200 }),
+  types: s
+    .array(s.enum(SEARCH_KINDS), { split: ",", unique: true, compact: true })
+    .optional(),
+  examId: docId().optional(),
+  limit: s.int({ min: 1 }).optional(),
+});
 
-    const dhakaTime = new Date(Date.now());
+app.get(
+  "/api/search",
+  userOnly,
+  validate({ query: searchQuery }),
+  async (req, res, next) => {
+    try {
+      const terms = queryTerms(req.query.q);
+      if (!terms.length) {
+        return next(
+          fieldError("query", "q", "'q' must contain at least one word"),
+        );
+      }
 
-    const doc = await announcementsCol.add(
-      defaults.announcement({
-        title,
-        content,
-        createdAt: dhakaTime,
-      }),
-    );
+      const isAdmin = req.user?.is_Admin === true;
+      const allowed = isAdmin
+        ? SEARCH_KINDS
+        : SEARCH_KINDS.filter((k) => k !== "question");
+      const types = req.query.types?.length ? req.query.types : allowed;
+      if (types.some((t) => !allowed.includes(t))) {
+        return next(
+          fieldError(
+            "query",
+            "types",
+            `'types' must be a subset of: ${allowed.join(", ")}`,
+          ),
+        );
+      }
+      const examId = req.query.examId ?? null;
+      const limit = parseLimit(req.query.limit, 20, 100);
+
+      // array-contains-any can't be combined with `in`, so narrow by kind
+      // in the query only when a single type was asked for.
+      let q = searchIndexCol.where("terms", "array-contains-any", terms);
+      if (examId) q = q.where("examId", "==", examId);
+      else if (types.length === 1) q = q.where("kind", "==", types[0]);
+      const snap = await q.limit(SEARCH_MAX_CANDIDATES).get();
+
+      const hits = snap.docs
+        .map((d) => d.data())
+        .filter((e) => types.includes(e.kind))
+        .filter(
+          (e) =>
+            isAdmin ||
+            (e.kind === "announcement"
+              ? announcementVisibleTo(e.gate || {}, req.user)
+              : e.kind !== "note" ||
+                e.gate?.isPublic === true ||
+                canSeePrivateNotes(req.user)),
+        )
+        .map((e) => ({
+          entry: e,
+          ...scoreEntry(terms, e.tokens, SEARCH_SOURCES[e.kind].weights),
+        }))
+        .filter((h) => h.score > 0)
+        .sort(
+          (a, b) =>
+            b.score - a.score ||
+            b.matched - a.matched ||
+            millis(b.entry.updatedAt) - millis(a.entry.updatedAt),
+        );
 
-    const snap = await doc.get();
+      const page = hits.slice(0, limit);
+      const examTitles = await loadExamTitles(
+        page.map((h) => h.entry.examId).filter(Boolean),
+      );
 
-    res.status(201).json({ id: snap.id, ...snap.data() });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+      return res.json({
+        q: req.query.q,
+        terms,
+        total: hits.length,
+        truncated: snap.size >= SEARCH_MAX_CANDIDATES,
+        items: page.map(({ entry, score, matched }) => ({
+          kind: entry.kind,
+          id: entry.refId,
+          title: entry.title,
+          snippet: entry.snippet,
+          score: Math.round(score * 100) / 100,
+          matched,
+          source: searchSource(entry, examTitles),
+        })),
+      });
+    } catch (err) {
+      console.error("GET /api/search error:", err?.message || err);
+      return res.status(500).json({ message: "Search failed" });
+    }
+  },
+);
 
-app.get("/api/announcements/", async (req, res) => {
-  try {
-    const snap = await announcementsCol.orderBy("createdAt", "desc").get();
-    const announcements = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-    res.json(announcements);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Rebuild search_index from scratch (first deploy, or after drift)
+app.post(
+  "/api/search/reindex",
+  adminOnly,
+  audit("search.reindex", "search_index"),
+  async (req, res) => {
+    try {
+      const stale = await searchIndexCol.get();
+      for (let i = 0; i < stale.docs.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        stale.docs
+          .slice(i, i + BATCH_LIMIT)
+          .forEach((d) => batch.delete(d.ref));
+        await batch.commit();
+      }
 
-app.put("/api/announcements/:id", async (req, res) => {
-  try {
-    const { title, content } = req.body;
-    const ref = announcementsCol.doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "Announcement not found" });
+      const entries = [];
+      const exams = await getAllExamsWithQuestions();
+      for (const exam of exams) {
+        for (const { id, ...data } of exam.questions) {
+          entries.push({ kind: "question", id, data, examId: exam.id });
+        }
+      }
+      const [notesSnap, annSnap] = await Promise.all([
+        notesCol.get(),
+        announcementsCol.get(),
+      ]);
+      notesSnap.docs.forEach((d) =>
+        entries.push({ kind: "note", id: d.id, data: d.data() }),
+      );
+      annSnap.docs.forEach((d) =>
+        entries.push({ kind: "announcement", id: d.id, data: d.data() }),
+      );
+      await writeSearchEntries(entries);
 
-    await ref.update({
-      ...(typeof title !== "undefined" ? { title } : {}),
-      ...(typeof content !== "undefined" ? { content } : {}),
-      updatedAt: nowTs(),
-    });
+      const counts = Object.fromEntries(
+        SEARCH_KINDS.map((k) => [
+          k,
+          entries.filter((e) => e.kind === k).length,
+        ]),
+      );
+      res.locals.audit = { after: { removed: stale.size, ...counts } };
+      return res.json({ removed: stale.size, indexed: counts });
+    } catch (err) {
+      console.error("POST /api/search/reindex error:", err?.message || err);
+      return res.status(500).json({ message: "Reindex failed" });
+    }
+  },
+);
 
-    const updated = await ref.get();
-    res.json({ id: updated.id, ...updated.data() });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+/* =========================
+   AUDIT LOG (read + CSV export; entries are written by audit())
+========================= */
 
-app.delete("/api/announcements/:id", async (req, res) => {
-  try {
-    const ref = announcementsCol.doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists)
-      return res.status(404).json({ message: "Announcement not found" });
+const AUDIT_QUERY = {
+  filters: {
+    actorUid: "string",
+    action: "string",
+    targetType: "string",
+    targetId: "string",
+  },
+  sorts: ["createdAt"],
+  dateField: "createdAt",
+};
+const auditQuery = pageQuery(
+  {
+    actorUid: docId().optional(),
+    action: s.string({ max: 100 }).optional(),
+    targetType: s.string({ max: 100 }).optional(),
+    targetId: s.string({ max: 1500 }).optional(),
+  },
+  { dates: true },
+);
+const AUDIT_EXPORT_MAX = 5000;
 
-    await ref.delete();
-    res.json({ message: "Announcement deleted" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+const auditItem = (d) => ({ id: d.id, ...d.data() });
 
-/* =========================
-   Chapters by IDs (returns exams; keeps naming)
-========================= */
-app.post("/chapters/byIds", async (req, res) => {
-  try {
-    const { ids } = req.body; // expects array of exam IDs (strings)
-    if (!ids || !ids.length) {
-      return res.status(400).json({ message: "No IDs provided" });
+// ?actorUid=&action=&targetType=&targetId=&from=&to=&limit=&cursor=
+app.get(
+  "/api/audit",
+  adminOnly,
+  validate({ query: auditQuery }),
+  async (req, res) => {
+    try {
+      const page = await listPage(auditCol, req.query, AUDIT_QUERY);
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      return res.json({
+        items: page.docs.map(auditItem),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      console.error("GET /api/audit error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to fetch audit log" });
     }
+  },
+);
 
-    const docs = await Promise.all(
-      ids.map(async (id) => {
-        const exam = await getExamWithQuestions(id);
-        return exam; // null filtered below
-      }),
-    );
+// Same filters as GET /api/audit; oldest first unless ?order=desc.
+// Stops at AUDIT_EXPORT_MAX rows (X-Truncated: true) — narrow from/to.
+app.get(
+  "/api/audit/export",
+  adminOnly,
+  validate({ query: auditQuery }),
+  async (req, res) => {
+    try {
+      const items = [];
+      let cursor;
+      do {
+        const page = await listPage(
+          auditCol,
+          { ...req.query, limit: 500, cursor },
+          { ...AUDIT_QUERY, defaultOrder: "asc", maxLimit: 500 },
+        );
+        if (page.error) return res.status(400).json({ message: page.error });
+        items.push(...page.docs.map(auditItem));
+        cursor = page.nextCursor;
+      } while (cursor && items.length < AUDIT_EXPORT_MAX);
+
+      const json = (v) => (v ? JSON.stringify(v) : "");
+      const csv = toReportCsv(items.slice(0, AUDIT_EXPORT_MAX), [
+        { name: "time", value: (e) => toIso(e.createdAt) },
+        { name: "actorUid", value: (e) => e.actorUid },
+        { name: "actorEmail", value: (e) => e.actorEmail },
+        { name: "action", value: (e) => e.action },
+        { name: "targetType", value: (e) => e.targetType },
+        { name: "targetId", value: (e) => e.targetId },
+        { name: "ip", value: (e) => e.ip },
+        { name: "method", value: (e) => e.method },
+        { name: "path", value: (e) => e.path },
+        { name: "before", value: (e) => json(e.before) },
+        { name: "after", value: (e) => json(e.after) },
+      ]);
+
+      res.set(
+        "X-Truncated",
+        String(items.length > AUDIT_EXPORT_MAX || !!cursor),
+      );
+      res.attachment(
+        exportFileName(
+          `audit-log-${new Date().toISOString().slice(0, 10)}`,
+          "csv",
+        ),
+      );
+      res.type("text/csv; charset=utf-8");
+      return res.send(csv);
+    } catch (err) {
+      console.error("GET /api/audit/export error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to export audit log" });
+    }
+  },
+);
 
-    res.json(docs.filter(Boolean));
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
-  }
-});
+/* --------------------
+   Local-backend objects (unused on Firebase): only the signed, unexpired
+   URLs LocalFile.getSignedUrl() issues, never a static directory
+-------------------- */
+if (backend.name === "local") {
+  app.get("/uploads/*", async (req, res) => {
+    try {
+      const name = req.params[0];
+      if (!bucket.verifySignedUrl(name, req.query)) {
+        return res.status(403).json({ message: "Invalid or expired URL" });
+      }
+      const file = bucket.file(name);
+      const [exists] = await file.exists();
+      if (!exists) return res.status(404).json({ message: "File not found" });
+
+      const [meta] = await file.getMetadata();
+      res.set("Content-Type", meta.contentType);
+      res.set("Cache-Control", "private, no-store");
+      if (req.query.disposition) {
+        res.set("Content-Disposition", String(req.query.disposition));
+      }
+      file.createReadStream().pipe(res);
+    } catch (err) {
+      console.error("GET /uploads error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to read file" });
+    }
+  });
+}
 
 /* =========================
-   Update User Last Notified
+   TRASH (list / restore / purge soft-deleted items)
 ========================= */
-app.put("/api/users/:uid/last-notified", async (req, res) => {
-  try {
-    const { uid } = req.params;
 
-    // ✅ Use authoritative server time (ignore client body)
-    const userRef = usersCol.doc(uid);
-    const snap = await userRef.get();
-    if (!snap.exists) {
-      return res.status(404).json({ message: "User not found" });
+const trashJson = (d) => ({ id: d.id, ...d.data() });
+
+// ?kind=exam|question|note|announcement&examId=&sort=deletedAt|purgeAt
+app.get(
+  "/api/trash",
+  adminOnly,
+  validate({
+    query: pageQuery(
+      {
+        kind: s.enum(TRASH_KINDS).optional(),
+        examId: docId().optional(),
+      },
+      { dates: true },
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const page = await listPage(trashCol, req.query, {
+        filters: { kind: "string", examId: "string" },
+        sorts: ["deletedAt", "purgeAt"],
+        defaultSort: "deletedAt",
+        dateField: "deletedAt",
+      });
+      if (page.error) return res.status(400).json({ message: page.error });
+
+      return res.json({
+        items: page.docs.map(trashJson),
+        nextCursor: page.nextCursor,
+        retentionDays: TRASH_RETENTION_DAYS,
+      });
+    } catch (err) {
+      console.error("GET /api/trash error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to list trash" });
     }
+  },
+);
 
-    // Write server timestamp; prevents client clock drift issues
-    await userRef.update({
-      lastNotified: admin.firestore.FieldValue.serverTimestamp(),
-    });
+// One item plus what travels with it (an exam's questions, a note's versions)
+app.get(
+  "/api/trash/:id",
+  adminOnly,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const snap = await trashCol.doc(req.params.id).get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Trash item not found" });
+
+      const childCol = TRASH_CHILDREN[snap.data().kind];
+      const children = childCol
+        ? (await snap.ref.collection(childCol).get()).docs.map((d) => ({
+            id: d.id,
+            ...d.data(),
+          }))
+        : [];
+      return res.json({ ...trashJson(snap), [childCol || "items"]: children });
+    } catch (err) {
+      console.error("GET /api/trash/:id error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to fetch trash item" });
+    }
+  },
+);
 
-    // Read back the updated doc
-    const updated = await userRef.get();
-    const data = updated.data() || {};
-    // Convert Firestore Timestamp -> ISO string for the frontend
-    const iso =
-      data.lastNotified && typeof data.lastNotified.toDate === "function"
-        ? data.lastNotified.toDate().toISOString()
-        : null;
+// Put the item back under its original id (an exam with all its questions)
+app.post(
+  "/api/trash/:id/restore",
+  adminOnly,
+  audit("trash.restore", "trash"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const snap = await trashCol.doc(req.params.id).get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Trash item not found" });
+      const item = snap.data();
+
+      const target = trashTargetRef(item);
+      if ((await target.get()).exists) {
+        return res.status(409).json({
+          message: `A live ${item.kind} with id ${item.originalId} already exists`,
+        });
+      }
+      if (item.kind === "question") {
+        const examSnap = await examsCol.doc(item.examId).get();
+        if (!examSnap.exists) {
+          return res
+            .status(409)
+            .json({ message: "Its exam is not live; restore the exam first" });
+        }
+      }
 
-    return res.status(200).json({
-      message: "lastNotified updated",
-      uid: updated.id,
-      lastNotified: iso, // ✅ frontend-friendly
-    });
-  } catch (err) {
-    console.error("Update lastNotified error:", err);
-    return res.status(500).json({ message: "Server error" });
-  }
-});
+      const childCol = TRASH_CHILDREN[item.kind];
+      const children = childCol
+        ? (await snap.ref.collection(childCol).get()).docs
+        : [];
+      const restoredRevision = (examId, questionId, data) => (b) =>
+        addRevision(b, req, {
+          examId,
+          questionId,
+          action: "restore",
+          after: data,
+        });
 
-/* =========================
-   Count Announcements After Date
-========================= */
-app.get("/api/announcements/count", async (req, res) => {
-  try {
-    const { after } = req.query;
-    if (!after) {
-      return res
-        .status(400)
-        .json({ message: "'after' query param is required" });
-    }
+      // Children first, the parent last: it only reappears once complete
+      await commitOps([
+        ...children.map(
+          (d) => (b) => b.set(target.collection(childCol).doc(d.id), d.data()),
+        ),
+        ...(item.kind === "exam"
+          ? children.map((d) =>
+              restoredRevision(item.originalId, d.id, d.data()),
+            )
+          : []),
+        ...(item.kind === "question"
+          ? [restoredRevision(item.examId, item.originalId, item.data)]
+          : []),
+        ...(item.kind === "note" && item.data.isPublic
+          ? [(b) => b.set(publicNotesCol.doc(item.originalId), item.data)]
+          : []),
+        (b) => b.set(target, item.data),
+      ]);
+      await commitOps([
+        ...children.map((d) => (b) => b.delete(d.ref)),
+        (b) => b.delete(snap.ref),
+      ]);
+
+      if (item.kind === "exam") {
+        await writeSearchEntries(
+          children.map((d) => ({
+            kind: "question",
+            id: d.id,
+            data: d.data(),
+            examId: item.originalId,
+          })),
+        ).catch(warnBulkIndex);
+      } else {
+        await syncSearchIndex(
+          item.kind,
+          item.originalId,
+          item.data,
+          item.examId,
+        );
+      }
 
-    const afterDate = new Date(after);
-    if (Number.isNaN(afterDate.getTime())) {
-      return res.status(400).json({ message: "Invalid 'after' date" });
+      res.locals.audit = {
+        before: { kind: item.kind, originalId: item.originalId },
+        after: { children: children.length },
+      };
+      return res.json({
+        message: `${item.kind[0].toUpperCase()}${item.kind.slice(1)} restored`,
+        kind: item.kind,
+        id: item.originalId,
+        examId: item.examId,
+        children: children.length,
+      });
+    } catch (err) {
+      console.error("Trash restore error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to restore item" });
     }
+  },
+);
 
-    const q = await announcementsCol
-      .where("createdAt", ">", admin.firestore.Timestamp.fromDate(afterDate))
-      .get();
+// Permanently delete, including the Storage objects nothing else uses
+app.delete(
+  "/api/trash/:id",
+  adminOnly,
+  audit("trash.purge", "trash"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const snap = await trashCol.doc(req.params.id).get();
+      if (!snap.exists)
+        return res.status(404).json({ message: "Trash item not found" });
+
+      await purgeTrash(snap);
+      const { kind, originalId, title, children } = snap.data();
+      res.locals.audit = { before: { kind, originalId, title, children } };
+      return res.json({ message: "Item permanently deleted" });
+    } catch (err) {
+      console.error("Trash purge error:", err?.message || err);
+      return res.status(500).json({ message: "Failed to purge item" });
+    }
+  },
+);
 
-    return res.json({ count: q.size, after: afterDate.toISOString() });
-  } catch (err) {
-    console.error("Count announcements error:", err);
-    return res.status(500).json({ message: "Server error" });
-  }
-});
+// Auto-purge past purgeAt (TRASH_RETENTION_DAYS); also shortly after boot
+// since free instances sleep through most intervals.
+const sweepTrash = () =>
+  purgeExpiredTrash()
+    .then((n) => n && console.log(`[TRASH] Purged ${n} expired item(s)`))
+    .catch((e) => console.error("[TRASH] Sweep failed:", e?.message || e));
+setTimeout(sweepTrash, 60 * 1000).unref();
+setInterval(sweepTrash, 60 * 60 * 1000).unref();
 
 /* =========================
-   Assembled Exam Endpoint (block-aware, no-split sets)
+   STORAGE GC (objects no Firestore doc references)
 ========================= */
-app.get("/exams/assembled", async (req, res) => {
-  try {
-    const base = Number(req.query.base) > 0 ? Number(req.query.base) : 25;
-    const max = Number(req.query.max) > 0 ? Number(req.query.max) : 100;
-    const absoluteImages =
-      String(req.query.absoluteImages ?? "true").toLowerCase() === "true";
-
-    const exams = await getAllExamsWithQuestions();
-
-    const buildBlocksForExam = (exam) => {
-      const groups = new Map();
-      const singles = [];
-
-      for (const q of exam.questions || []) {
-        if (q?.setId) {
-          if (!groups.has(q.setId)) groups.set(q.setId, []);
-          groups.get(q.setId).push(q);
-        } else {
-          singles.push([q]);
-        }
-      }
 
-      const blocks = [];
-      for (const [, arr] of groups.entries()) {
-        arr.sort(
-          (a, b) =>
-            (Number.isFinite(a.setOrder) ? a.setOrder : 0) -
-            (Number.isFinite(b.setOrder) ? b.setOrder : 0),
-        );
-        blocks.push(arr);
+const STORAGE_GC_PREFIXES = ["notes/", "question-images/"];
+const STORAGE_GC_GRACE_HOURS = Number(process.env.STORAGE_GC_GRACE_HOURS) || 24;
+const STORAGE_GC_REPORT_MAX = 500;
+
+// Every object path a live or trashed doc points at: note files (current +
+// older versions) and question images.
+async function referencedStoragePaths() {
+  const [notesSnap, versionsSnap, questionsSnap, trashSnap] = await Promise.all(
+    [
+      notesCol.get(),
+      db.collectionGroup("versions").get(),
+      db.collectionGroup("questions").get(), // includes trashed exams
+      trashCol.get(),
+    ],
+  );
+  const paths = new Set();
+  notesSnap.docs.forEach((d) => paths.add(d.data().storagePath));
+  versionsSnap.docs
+    .filter((d) => ["notes", "trash"].includes(d.ref.parent.parent?.parent?.id))
+    .forEach((d) => paths.add(d.data().storagePath));
+  questionsSnap.docs.forEach((d) => paths.add(questionImagePath(d.data())));
+  trashSnap.docs.forEach((d) => {
+    const { kind, data } = d.data();
+    if (kind === "note") paths.add(data?.storagePath);
+    if (kind === "question") paths.add(questionImagePath(data));
+  });
+  paths.delete(null);
+  paths.delete(undefined);
+  return paths;
+}
+
+// The grace period covers uploads whose doc is not written yet (the file
+// is saved first) and anything deleted by mistake a moment ago.
+async function collectStorageGarbage({ dryRun, graceHours }) {
+  const referenced = await referencedStoragePaths();
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+
+  const summary = {
+    dryRun,
+    graceHours,
+    scanned: 0,
+    referenced: 0,
+    orphaned: 0,
+    inGrace: 0,
+    deleted: 0,
+    failed: 0,
+    items: [],
+    truncated: false,
+  };
+
+  for (const prefix of STORAGE_GC_PREFIXES) {
+    const [files] = await bucket.getFiles({ prefix });
+    for (const file of files) {
+      summary.scanned++;
+      if (referenced.has(file.name)) {
+        summary.referenced++;
+        continue;
       }
-      blocks.push(...singles);
-      return blocks;
-    };
+      summary.orphaned++;
 
-    const pickBlocks = (blocks, target) => {
-      if (target <= 0) return [];
-      const pool = shuffle(blocks);
-      const picked = [];
-      let count = 0;
+      const meta = file.metadata?.timeCreated
+        ? file.metadata
+        : (await file.getMetadata())[0];
+      const createdAt = Date.parse(meta.timeCreated || meta.updated) || 0;
+      const expired = createdAt < cutoff;
+      if (!expired) summary.inGrace++;
 
-      for (const block of pool) {
-        if (count + block.length <= target) {
-          picked.push(block);
-          count += block.length;
+      let action = expired ? (dryRun ? "would-delete" : "deleted") : "kept";
+      if (expired && !dryRun) {
+        try {
+          await file.delete({ ignoreNotFound: true });
+          summary.deleted++;
+        } catch (e) {
+          console.warn(`[GC] Could not delete ${file.name}:`, e?.message || e);
+          summary.failed++;
+          action = "failed";
         }
       }
 
-      if (picked.length === 0 && pool.length && target > 0) {
-        const smallest = [...pool].sort((a, b) => a.length - b.length)[0];
-        picked.push(smallest);
+      if (summary.items.length < STORAGE_GC_REPORT_MAX) {
+        summary.items.push({
+          path: file.name,
+          size: Number(meta.size) || 0,
+          createdAt: createdAt ? new Date(createdAt).toISOString() : null,
+          action,
+        });
+      } else {
+        summary.truncated = true;
       }
-      return picked;
-    };
-
-    let allBlocks = [];
-    for (const exam of exams) {
-      const blocks = buildBlocksForExam(exam);
-      const targetCount = Math.round(
-        (base * (exam.questionPercentage || 0)) / 100,
-      );
-      const chosenBlocks = pickBlocks(blocks, targetCount);
-      allBlocks.push(...chosenBlocks);
     }
+  }
+  return summary;
+}
 
-    allBlocks = shuffle(allBlocks);
+// body (or query): { dryRun?, graceHours? } — run with dryRun first to
+// review the list
+const storageGcFields = { graceHours: s.number({ min: 1 }).optional() };
 
-    const finalQuestions = [];
-    let used = 0;
-    for (const block of allBlocks) {
-      if (used + block.length <= max) {
-        finalQuestions.push(...block);
-        used += block.length;
-      } else if (used === 0) {
-        finalQuestions.push(...block);
-        break;
-      }
+app.post(
+  "/api/storage/gc",
+  adminOnly,
+  audit("storage.gc", "storage"),
+  validate({
+    query: dryRunSchemas.query.extend(storageGcFields),
+    body: dryRunSchemas.body.extend(storageGcFields),
+  }),
+  async (req, res) => {
+    try {
+      const dryRun = isDryRun(req);
+      const graceHours =
+        req.body.graceHours ?? req.query.graceHours ?? STORAGE_GC_GRACE_HOURS;
+
+      const summary = await collectStorageGarbage({ dryRun, graceHours });
+      const { items, ...counts } = summary;
+      res.locals.audit = dryRun ? false : { after: counts };
+      return res.json(summary);
+    } catch (err) {
+      console.error("Storage GC error:", err?.message || err);
+      return res.status(500).json({ message: "Storage GC failed" });
     }
+  },
+);
 
-    const normalized = finalQuestions.map((q) => {
-      const json = q; // already plain object
-      if (absoluteImages) {
-        json.image = toAbsoluteImageUrl(req, json.image);
-      }
-      return json;
-    });
-
-    res.json({
-      base,
-      max,
-      count: normalized.length,
-      questions: normalized,
-    });
-  } catch (err) {
-    console.error("Assemble exam error:", err);
-    res.status(500).json({ message: "Server error assembling exam" });
-  }
-});
-
-/* --------------------
-   Legacy static (kept; not used by Firebase uploads)
--------------------- */
-app.use("/uploads", express.static("uploads"));
+// Optional background run (STORAGE_GC_INTERVAL_HOURS, off by default)
+const STORAGE_GC_INTERVAL_HOURS = Number(process.env.STORAGE_GC_INTERVAL_HOURS);
+if (STORAGE_GC_INTERVAL_HOURS > 0) {
+  setInterval(
+    () => {
+      collectStorageGarbage({
+        dryRun: false,
+        graceHours: STORAGE_GC_GRACE_HOURS,
+      })
+        .then(({ items, ...counts }) =>
+          console.log("[GC] Storage sweep:", JSON.stringify(counts)),
+        )
+        .catch((e) =>
+          console.error("[GC] Storage sweep failed:", e?.message || e),
+        );
+    },
+    STORAGE_GC_INTERVAL_HOURS * 60 * 60 * 1000,
+  ).unref();
+}
 
 /* =========================
    Global Error Handler
 ========================= */
+app.use((req, res) => {
+  res.status(404).json({
+    code: "route_not_found",
+    message: `No route for ${req.method} ${req.path}`,
+  });
+});
+
 app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const send = (status, body) =>
+    res.status(status).json(errorEnvelope(req, status, body));
+
+  // validate(), upload filters and routes that throw on purpose
+  if (err instanceof ApiError) {
+    return send(err.status, {
+      code: err.code,
+      message: err.message,
+      details: err.details,
+    });
+  }
+
+  // express.json()
+  if (err?.type === "entity.parse.failed") {
+    return send(400, {
+      code: "invalid_json",
+      message: "Request body is not valid JSON",
+    });
+  }
+  if (err?.type === "entity.too.large") {
+    return send(413, { message: "Request body too large" });
+  }
+
   // Multer errors
   if (err && err.name === "MulterError") {
     if (err.code === "LIMIT_FILE_SIZE") {
-      console.error("Multer LIMIT_FILE_SIZE:", err.message);
-      return res.status(413).json({ message: "File too large (max 20MB)" });
+      console.error(`[${req.id}] Multer LIMIT_FILE_SIZE:`, err.message);
+      return send(413, { code: "file_too_large", message: "File too large" });
     }
-    console.error("Multer error:", err.message);
-    return res.status(400).json({ message: err.message || "Upload error" });
-  }
-
-  // Custom filter errors
-  if (err && err.message === "Only PDF files allowed") {
-    console.error("PDF filter error:", err.message);
-    return res.status(400).json({ message: "Only PDF files are allowed" });
-  }
-  if (err && err.message?.startsWith("Only image files")) {
-    console.error("Image filter error:", err.message);
-    return res.status(400).json({ message: err.message });
+    console.error(`[${req.id}] Multer error:`, err.message);
+    return send(400, {
+      code: "upload_error",
+      message: err.message || "Upload error",
+      ...(err.field
+        ? {
+            details: [
+              {
+                in: "body",
+                field: err.field,
+                code: err.code.toLowerCase(),
+                message: err.message,
+              },
+            ],
+          }
+        : {}),
+    });
   }
 
   // GCS/Admin specific
   if (err && (err.code === 403 || err.code === 401)) {
-    console.error("GCS/Admin permission error:", err.message);
-    return res
-      .status(403)
-      .json({ message: err.message || "Storage permission error" });
+    console.error(`[${req.id}] GCS/Admin permission error:`, err.message);
+    return send(403, {
+      code: "storage_forbidden",
+      message: err.message || "Storage permission error",
+    });
   }
 
-  console.error("Unhandled server error:", err?.message || err);
-  res.status(500).json({ message: "Internal Server Error" });
+  console.error(`[${req.id}] Unhandled server error:`, err?.stack || err);
+  send(500, { message: "Internal Server Error" });
 });
 
 /* =========================
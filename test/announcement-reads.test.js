@@ -0,0 +1,113 @@
+// test/announcement-reads.test.js — per-user read receipts, the unread
+// count, read-all and per-announcement read stats
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, startServer, student } from "./helpers.js";
+
+let server;
+let dhaka;
+let everyone;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi", { Board: "Dhaka" }),
+      ...student("sumi", { Board: "Dhaka" }),
+      ...student("tanu", { Board: "Sylhet" }),
+    },
+  });
+  const post = async (title, audience) =>
+    (
+      await call("admin1", "POST", "/api/announcements/", {
+        title,
+        content: `${title} body`,
+        audience,
+      })
+    ).body.id;
+  dhaka = await post("Dhaka exam", { Board: "Dhaka" });
+  everyone = await post("Holiday");
+});
+after(() => server?.stop());
+
+const call = (token, method, pathname, body) =>
+  server.call(method, pathname, { token, body });
+const unread = async (uid) =>
+  (await call(uid, "GET", "/api/announcements/count")).body.unread;
+const pause = () => new Promise((r) => setTimeout(r, 5));
+
+describe("read receipts", () => {
+  test("marking one read clears it from the count and the feed", async () => {
+    assert.equal(await unread("rafi"), 2);
+    const res = await call("rafi", "POST", `/api/announcements/${dhaka}/read`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.unread, false);
+
+    assert.equal(await unread("rafi"), 1);
+    const feed = await call("rafi", "GET", "/api/announcements/");
+    assert.deepEqual(
+      feed.body.items.map((a) => [a.title, a.unread]),
+      [
+        ["Holiday", true],
+        ["Dhaka exam", false],
+      ],
+    );
+  });
+
+  test("only announcements aimed at the caller can be read", async () => {
+    const res = await call("tanu", "POST", `/api/announcements/${dhaka}/read`);
+    assert.equal(res.status, 404);
+    assert.equal(await unread("tanu"), 1);
+  });
+
+  test("editing the text makes it unread again, other edits do not", async () => {
+    await pause();
+    await call("admin1", "PUT", `/api/announcements/${dhaka}`, {
+      content: "New room numbers",
+    });
+    assert.equal(await unread("rafi"), 2);
+    await call("admin1", "PUT", `/api/announcements/${dhaka}`, {
+      pinned: true,
+    });
+    await call("rafi", "POST", `/api/announcements/${dhaka}/read`);
+    await pause();
+    await call("admin1", "PUT", `/api/announcements/${dhaka}`, {
+      pinned: false,
+    });
+    assert.equal(await unread("rafi"), 1);
+  });
+
+  test("read-all clears everything", async () => {
+    const res = await call("sumi", "POST", "/api/announcements/read-all");
+    assert.equal(res.status, 200);
+    assert.equal(await unread("sumi"), 0);
+  });
+});
+
+describe("GET /api/announcements/:id/reads", () => {
+  test("counts readers among the targeted audience", async () => {
+    const res = await call(
+      "admin1",
+      "GET",
+      `/api/announcements/${dhaka}/reads`,
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      [res.body.audience, res.body.read, res.body.unread, res.body.readRate],
+      [2, 2, 0, 100],
+    );
+    const all = await call(
+      "admin1",
+      "GET",
+      `/api/announcements/${everyone}/reads`,
+    );
+    assert.deepEqual(
+      [all.body.audience, all.body.read, all.body.readRate],
+      [3, 1, 33.3],
+    );
+  });
+
+  test("admins only", async () => {
+    const res = await call("rafi", "GET", `/api/announcements/${dhaka}/reads`);
+    assert.equal(res.status, 403);
+  });
+});
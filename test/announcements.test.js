@@ -0,0 +1,139 @@
+// test/announcements.test.js — scheduled, expiring, pinned and targeted
+// announcements, and the publishAt backfill for older ones
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, startServer, student, ts } from "./helpers.js";
+
+const HOUR = 3600 * 1000;
+const at = (offset) => new Date(Date.now() + offset).toISOString();
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("dhaka", {
+        Board: "Dhaka",
+        ExamYEar: 2026,
+        is_validated: true,
+      }),
+      ...student("sylhet", { Board: "Sylhet", ExamYEar: 2026 }),
+      // from before scheduling: no publishAt, draft, pinned or audience
+      "announcements/old": {
+        title: "Welcome",
+        content: "Hello",
+        createdAt: ts(),
+      },
+    },
+  });
+});
+after(() => server?.stop());
+
+const call = (token, method, pathname, body) =>
+  server.call(method, pathname, { token, body });
+const ids = {};
+const create = async (key, over = {}) => {
+  const res = await call("admin1", "POST", "/api/announcements/", {
+    title: key,
+    content: `${key} body`,
+    ...over,
+  });
+  assert.equal(res.status, 201);
+  ids[key] = res.body.id;
+  return res.body;
+};
+const feed = async (uid) =>
+  (await call(uid, "GET", "/api/announcements/")).body.items.map(
+    (a) => a.title,
+  );
+
+describe("older announcements", () => {
+  test("get publishAt from createdAt at boot", async () => {
+    const data = await server.readData();
+    const old = data["announcements/old"];
+    assert.deepEqual(old.publishAt, old.createdAt);
+    assert.equal(old.draft, false);
+    assert.deepEqual(old.audience, {
+      Board: null,
+      ExamYEar: null,
+      validated: null,
+    });
+
+    const res = await call(
+      "admin1",
+      "POST",
+      "/api/announcements/migrations/backfill-schedule",
+      { dryRun: true },
+    );
+    assert.deepEqual(res.body, { dryRun: true, updated: 0 });
+  });
+});
+
+describe("scheduling and targeting", () => {
+  before(async () => {
+    await create("pinned", { pinned: true });
+    await create("draft", { draft: true });
+    await create("later", { publishAt: at(HOUR) });
+    await create("ended", { publishAt: at(-2 * HOUR), expiresAt: at(-HOUR) });
+    await create("dhaka only", { audience: { Board: "Dhaka" } });
+    await create("unpaid", { audience: { validated: false } });
+    await create("2025", { audience: { ExamYEar: 2025 } });
+  });
+
+  test("the feed shows live announcements for the caller, pinned first", async () => {
+    assert.deepEqual(await feed("dhaka"), ["pinned", "dhaka only", "Welcome"]);
+    assert.deepEqual(await feed("sylhet"), ["pinned", "unpaid", "Welcome"]);
+  });
+
+  test("admins see every announcement with its state", async () => {
+    const res = await call("admin1", "GET", "/api/announcements/admin");
+    assert.equal(res.status, 200);
+    const state = Object.fromEntries(
+      res.body.items.map((a) => [a.title, a.state]),
+    );
+    assert.deepEqual(
+      [state.draft, state.later, state.ended, state.pinned],
+      ["draft", "scheduled", "expired", "live"],
+    );
+    const pinned = await call(
+      "admin1",
+      "GET",
+      "/api/announcements/admin?pinned=true",
+    );
+    assert.deepEqual(
+      pinned.body.items.map((a) => a.id),
+      [ids.pinned],
+    );
+  });
+
+  test("publishing a draft puts it in the feed", async () => {
+    await call("admin1", "PUT", `/api/announcements/${ids.draft}`, {
+      draft: false,
+    });
+    assert.ok((await feed("sylhet")).includes("draft"));
+  });
+
+  test("expiresAt must come after publishAt", async () => {
+    const res = await call("admin1", "POST", "/api/announcements/", {
+      title: "Bad",
+      content: "x",
+      publishAt: at(HOUR),
+      expiresAt: at(0),
+    });
+    assert.equal(res.status, 400);
+    const put = await call("admin1", "PUT", `/api/announcements/${ids.later}`, {
+      expiresAt: at(0),
+    });
+    assert.equal(put.status, 400);
+  });
+
+  test("admins only", async () => {
+    const res = await call("dhaka", "POST", "/api/announcements/", {
+      title: "Hi",
+      content: "x",
+    });
+    assert.equal(res.status, 403);
+    const admin = await call("dhaka", "GET", "/api/announcements/admin");
+    assert.equal(admin.status, 403);
+  });
+});
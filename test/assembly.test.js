@@ -0,0 +1,126 @@
+// test/assembly.test.js — seeded, reproducible papers from
+// GET /exams/assembled: seed + fingerprint, quotas, sets, option shuffling
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student } from "./helpers.js";
+
+const many = (n, over = () => ({})) =>
+  Array.from({ length: n }, (_, i) => over(i));
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi"),
+      ...exam(
+        "bio",
+        many(12, (i) => ({ correctAnswer: i % 4 })),
+        { questionPercentage: 60 },
+      ),
+      ...exam(
+        "chem",
+        [
+          ...many(8),
+          { id: "set-2", setId: "passage", setOrder: 2 },
+          { id: "set-1", setId: "passage", setOrder: 1 },
+          { id: "set-3", setId: "passage", setOrder: 3 },
+        ],
+        { questionPercentage: 40 },
+      ),
+    },
+  });
+});
+after(() => server?.stop());
+
+const assemble = async (query, token = "admin1") => {
+  const res = await server.call("GET", `/exams/assembled?${query}`, { token });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+const ids = (paper) => paper.questions.map((q) => `${q.examId}/${q.id}`);
+
+describe("GET /exams/assembled", () => {
+  test("the same seed gives the same paper and fingerprint", async () => {
+    const a = await assemble("base=10&seed=alpha");
+    const b = await assemble("base=10&seed=alpha");
+    assert.equal(a.seed, "alpha");
+    assert.deepEqual(ids(a), ids(b));
+    assert.equal(a.fingerprint, b.fingerprint);
+    assert.equal(a.contentVersion, b.contentVersion);
+
+    const c = await assemble("base=10&seed=beta");
+    assert.notEqual(c.fingerprint, a.fingerprint);
+  });
+
+  test("without a seed, the returned one rebuilds the paper", async () => {
+    const first = await assemble("base=10");
+    assert.match(first.seed, /^[0-9a-f]{16}$/);
+    const again = await assemble(`base=10&seed=${first.seed}`);
+    assert.deepEqual(ids(again), ids(first));
+  });
+
+  test("honours questionPercentage and keeps sets whole and in order", async () => {
+    let sawSet = false;
+    for (const seed of ["s1", "s2", "s3", "s4", "s5"]) {
+      const paper = await assemble(`base=10&seed=${seed}`);
+      const byExam = (id) => paper.questions.filter((q) => q.examId === id);
+      assert.equal(byExam("bio").length, 6);
+      assert.equal(byExam("chem").length, 4);
+
+      const set = paper.questions
+        .map((q, i) => [q.id, i])
+        .filter(([id]) => id.startsWith("set-"));
+      if (set.length) {
+        sawSet = true;
+        assert.deepEqual(
+          set.map(([id]) => id),
+          ["set-1", "set-2", "set-3"],
+        );
+        assert.equal(set[2][1] - set[0][1], 2, "set served contiguously");
+      }
+    }
+    assert.ok(sawSet, "some paper included the set");
+  });
+
+  test("caps the paper at max questions", async () => {
+    const paper = await assemble("base=10&max=4&seed=cap");
+    assert.ok(paper.count <= 4);
+  });
+
+  test("shuffleOptions remaps correctAnswer", async () => {
+    const plain = await assemble("base=10&seed=opts");
+    const shuffled = await assemble("base=10&seed=opts&shuffleOptions=true");
+    assert.notEqual(shuffled.fingerprint, plain.fingerprint);
+    let moved = 0;
+    for (const q of shuffled.questions) {
+      const original = plain.questions.find(
+        (p) => p.examId === q.examId && p.id === q.id,
+      );
+      const right = original?.options[original.correctAnswer];
+      if (original) {
+        assert.equal(q.options[q.correctAnswer], right);
+        assert.deepEqual([...q.options].sort(), [...original.options].sort());
+        if (q.options.join() !== original.options.join()) moved += 1;
+      }
+    }
+    assert.ok(moved > 0, "some options were reordered");
+  });
+
+  test("a content change changes the version and fingerprint", async () => {
+    const old = await assemble("base=10&seed=v");
+    const res = await server.call("PUT", "/exams/bio/questions/bio-q1", {
+      token: "admin1",
+      body: { text: "edited" },
+    });
+    assert.equal(res.status, 200);
+    const edited = await assemble("base=10&seed=v");
+    assert.notEqual(edited.contentVersion, old.contentVersion);
+    assert.notEqual(edited.fingerprint, old.fingerprint);
+  });
+
+  test("students get the paper without answers", async () => {
+    const paper = await assemble("base=10&seed=alpha", "rafi");
+    assert.ok(paper.questions.every((q) => !("correctAnswer" in q)));
+  });
+});
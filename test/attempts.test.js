@@ -0,0 +1,147 @@
+// test/attempts.test.js — papers served without answers, graded on submit,
+// and results showing the correct answers
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi"),
+      ...student("sumi"),
+      ...exam("chem", [{}, { correctAnswer: 2 }, {}, { correctAnswer: 3 }]),
+    },
+  });
+});
+after(() => server?.stop());
+
+const start = async (token, body = {}) => {
+  const res = await server.call("POST", "/attempts", {
+    token,
+    body: { base: 4, seed: "paper", ...body },
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+const submit = (token, id, answers) =>
+  server.call("POST", `/attempts/${id}/submit`, { token, body: { answers } });
+
+// Right answer per question (options unshuffled)
+const KEY = { "chem-q1": 0, "chem-q2": 2, "chem-q3": 0, "chem-q4": 3 };
+
+describe("POST /attempts", () => {
+  test("serves the paper without correct answers", async () => {
+    const attempt = await start("rafi");
+    assert.equal(attempt.status, "in_progress");
+    assert.equal(attempt.count, 4);
+    for (const q of attempt.questions) {
+      assert.equal("correctAnswer" in q, false);
+    }
+  });
+
+  test("students can't read answers from /exams/assembled", async () => {
+    const res = await server.call("GET", "/exams/assembled?base=4", {
+      token: "rafi",
+    });
+    assert.equal(res.status, 200);
+    for (const q of res.body.questions) {
+      assert.equal("correctAnswer" in q, false);
+    }
+  });
+});
+
+describe("POST /attempts/:id/submit", () => {
+  test("grades on the server and records last_score", async () => {
+    const attempt = await start("rafi");
+    const answers = Object.fromEntries(
+      attempt.questions.map((q) => [q.id, KEY[q.id]]),
+    );
+    answers["chem-q4"] = 0; // one wrong
+
+    const res = await submit("rafi", attempt.id, answers);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      id: attempt.id,
+      correct: 3,
+      total: 4,
+      score: 75,
+    });
+    const data = await server.readData();
+    assert.equal(data["users/rafi"].last_score, 75);
+  });
+
+  test("answers may be an array in served order", async () => {
+    const attempt = await start("rafi");
+    const res = await submit(
+      "rafi",
+      attempt.id,
+      attempt.questions.map((q) => KEY[q.id]),
+    );
+    assert.equal(res.body.score, 100);
+  });
+
+  test("grades shuffled options in the order the student saw", async () => {
+    const attempt = await start("rafi", { shuffleOptions: true });
+    // the served options are permuted; the correct one is still "c" for q2
+    const answers = Object.fromEntries(
+      attempt.questions.map((q) => {
+        const correct = ["a", "c", "a", "d"][Number(q.id.slice(-1)) - 1];
+        return [q.id, q.options.indexOf(correct)];
+      }),
+    );
+    const res = await submit("rafi", attempt.id, answers);
+    assert.equal(res.body.score, 100);
+  });
+
+  test("a paper is graded once, by its owner only", async () => {
+    const attempt = await start("rafi");
+    assert.equal((await submit("sumi", attempt.id, {})).status, 403);
+    assert.equal((await submit("rafi", attempt.id, {})).status, 200);
+    const again = await submit("rafi", attempt.id, {});
+    assert.equal(again.status, 409);
+    assert.equal((await submit("rafi", "missing", {})).status, 404);
+  });
+
+  test("the client can no longer post its own score", async () => {
+    const res = await server.call("PUT", "/api/users/rafi/score", {
+      token: "rafi",
+      body: { score: 100 },
+    });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("GET /attempts/:id/result", () => {
+  test("shows each question with the graded answer", async () => {
+    const attempt = await start("sumi");
+    const early = await server.call("GET", `/attempts/${attempt.id}/result`, {
+      token: "sumi",
+    });
+    assert.equal(early.status, 409);
+
+    await submit("sumi", attempt.id, { "chem-q2": 2 });
+    const res = await server.call("GET", `/attempts/${attempt.id}/result`, {
+      token: "sumi",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.score, 25);
+    const q2 = res.body.questions.find((q) => q.questionId === "chem-q2");
+    assert.deepEqual([q2.chosen, q2.correctAnswer, q2.correct], [2, 2, true]);
+    const q1 = res.body.questions.find((q) => q.questionId === "chem-q1");
+    assert.deepEqual(
+      [q1.chosen, q1.correctAnswer, q1.correct],
+      [null, 0, false],
+    );
+
+    const other = await server.call("GET", `/attempts/${attempt.id}/result`, {
+      token: "rafi",
+    });
+    assert.equal(other.status, 403);
+    const admin = await server.call("GET", `/attempts/${attempt.id}/result`, {
+      token: "admin1",
+    });
+    assert.equal(admin.status, 200);
+  });
+});
@@ -0,0 +1,111 @@
+// test/audit.test.js — audit_log entries for admin actions, the filtered
+// read endpoint and the CSV export
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student, ts } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi", { request_sent: true }),
+      "plans/monthly": {
+        name: "Monthly",
+        price: 300,
+        currency: "BDT",
+        durationDays: 30,
+        Board: null,
+        ExamYEar: null,
+        active: true,
+        createdAt: ts(),
+      },
+      "requests/req1": {
+        uid: "rafi",
+        transactionId: "TX1",
+        status: "pending",
+        plan: {
+          id: "monthly",
+          name: "Monthly",
+          price: 300,
+          currency: "BDT",
+          durationDays: 30,
+        },
+        createdAt: ts(),
+      },
+      ...exam("old"),
+    },
+  });
+});
+after(() => server?.stop());
+
+const admin = (method, pathname, opts) =>
+  server.call(method, pathname, { token: "admin1", ...opts });
+// entries are written once the response has gone out
+const settle = () => new Promise((r) => setTimeout(r, 100));
+const entries = async (query = "") => {
+  await settle();
+  const res = await admin("GET", `/api/audit${query}`);
+  assert.equal(res.status, 200);
+  return res.body.items;
+};
+
+describe("audit log", () => {
+  test("records an approval with actor, target and before/after", async () => {
+    const res = await admin("PUT", "/api/requests/approve/req1");
+    assert.equal(res.status, 200);
+
+    const [entry] = await entries("?action=request.approve");
+    assert.equal(entry.actorUid, "admin1");
+    assert.equal(entry.actorEmail, "admin@example.com");
+    assert.deepEqual([entry.targetType, entry.targetId], ["request", "req1"]);
+    assert.equal(entry.before.status, "pending");
+    assert.equal(entry.after.status, "approved");
+    assert.equal(entry.after.planId, "monthly");
+    assert.equal(entry.method, "PUT");
+    assert.equal(entry.path, "/api/requests/approve/req1");
+    assert.ok(entry.ip);
+  });
+
+  test("records deletions but not failed or non-admin calls", async () => {
+    assert.equal((await admin("DELETE", "/exams/old")).status, 200);
+    assert.equal((await admin("DELETE", "/exams/missing")).status, 404);
+    await server.call("PUT", "/api/users/rafi", {
+      token: "rafi",
+      body: { displayName: "Rafi" },
+    });
+
+    const deletes = await entries("?action=exam.delete");
+    assert.deepEqual(
+      deletes.map((e) => [e.targetId, e.before.title]),
+      [["old", "old"]],
+    );
+    assert.deepEqual(await entries("?actorUid=rafi"), []);
+  });
+
+  test("filters by date and pages", async () => {
+    const none = await entries("?from=2000-01-01&to=2000-12-31");
+    assert.deepEqual(none, []);
+    const first = await admin("GET", "/api/audit?limit=1");
+    assert.equal(first.body.items.length, 1);
+    assert.ok(first.body.nextCursor);
+    const bad = await admin("GET", "/api/audit?from=2000-01-01&sort=action");
+    assert.equal(bad.status, 400);
+  });
+
+  test("exports CSV oldest first", async () => {
+    const res = await admin("GET", "/api/audit/export");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.equal(res.headers.get("x-truncated"), "false");
+    const [header, ...rows] = res.body.trim().split(/\r?\n/);
+    assert.match(header, /^time,actorUid,actorEmail,action,targetType/);
+    assert.match(rows[0], /,request\.approve,request,req1,/);
+    assert.match(rows[1], /,exam\.delete,exam,old,/);
+  });
+
+  test("admins only", async () => {
+    const res = await server.call("GET", "/api/audit", { token: "rafi" });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,125 @@
+// test/errors.test.js — the error envelope { code, message, details?,
+// requestId }, request validation and X-Request-Id
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, multipart, startServer, student } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: { ...ADMIN, ...student("rafi"), ...exam("bio", []) },
+  });
+});
+after(() => server?.stop());
+
+const admin = (method, pathname, opts) =>
+  server.call(method, pathname, { token: "admin1", ...opts });
+
+describe("error envelope", () => {
+  test("unknown routes", async () => {
+    const res = await server.call("GET", "/nope");
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "route_not_found");
+    assert.equal(res.body.message, "No route for GET /nope");
+    assert.equal(res.body.requestId, res.headers.get("x-request-id"));
+  });
+
+  test("echoes a well-formed X-Request-Id", async () => {
+    const res = await fetch(`${server.baseUrl}/nope`, {
+      headers: { "X-Request-Id": "trace-42" },
+    });
+    assert.equal(res.headers.get("x-request-id"), "trace-42");
+    assert.equal((await res.json()).requestId, "trace-42");
+
+    const bad = await fetch(`${server.baseUrl}/nope`, {
+      headers: { "X-Request-Id": "no spaces allowed" },
+    });
+    assert.notEqual(bad.headers.get("x-request-id"), "no spaces allowed");
+  });
+
+  test("malformed JSON bodies", async () => {
+    const res = await fetch(`${server.baseUrl}/exams`, {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer admin1",
+        "Content-Type": "application/json",
+      },
+      body: '{"title":',
+    });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.code, "invalid_json");
+    assert.ok(body.requestId);
+  });
+
+  test("routes answering { message } get a code from the status", async () => {
+    const missing = await admin("DELETE", "/exams/missing");
+    assert.equal(missing.status, 404);
+    assert.deepEqual(
+      [missing.body.code, missing.body.message],
+      ["not_found", "Exam not found"],
+    );
+    const forbidden = await server.call("GET", "/api/audit", {
+      token: "rafi",
+    });
+    assert.equal(forbidden.body.code, "forbidden");
+    const anonymous = await server.call("GET", "/api/audit");
+    assert.equal(anonymous.body.code, "unauthorized");
+  });
+});
+
+describe("validation", () => {
+  test("lists every invalid field with where it came from", async () => {
+    const res = await admin("POST", "/exams", {
+      body: { title: "", questionPercentage: 200 },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "validation_failed");
+    assert.deepEqual(
+      res.body.details.map((d) => [d.in, d.field, d.code]),
+      [
+        ["body", "title", "too_small"],
+        ["body", "questionPercentage", "too_big"],
+      ],
+    );
+    assert.equal(
+      res.body.message,
+      res.body.details.map((d) => d.message).join("; "),
+    );
+
+    const query = await admin("GET", "/api/users?limit=lots");
+    assert.deepEqual(
+      query.body.details.map((d) => [d.in, d.field, d.code]),
+      [["query", "limit", "invalid_type"]],
+    );
+  });
+
+  test("checks multipart fields after the upload", async () => {
+    const res = await admin("POST", "/exams/bio/questions/upload", {
+      form: multipart({ options: "not json", correctAnswer: "x" }),
+    });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.details.every((d) => d.in === "body"));
+    assert.ok(res.body.details.some((d) => d.field === "correctAnswer"));
+  });
+
+  test("auth comes before validation", async () => {
+    const res = await server.call("POST", "/exams", {
+      token: "rafi",
+      body: {},
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("undeclared keys are not stored", async () => {
+    const res = await admin("POST", "/exams", {
+      body: { title: "Chem", is_Admin: true },
+    });
+    assert.equal(res.status, 201);
+    const data = await server.readData();
+    const stored = data[`exams/${res.body.id}`];
+    assert.equal(stored.title, "Chem");
+    assert.equal(stored.questionPercentage, 0);
+    assert.ok(!("is_Admin" in stored));
+  });
+});
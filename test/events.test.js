@@ -0,0 +1,266 @@
+// test/events.test.js — the in-process event bus and GET /api/events:
+// who receives what, stream tickets, Last-Event-ID replay and limits
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createEventBus } from "../lib/event-bus.js";
+import { ADMIN, exam, startServer, student, ts } from "./helpers.js";
+
+describe("createEventBus", () => {
+  test("replays events after an id", () => {
+    const bus = createEventBus();
+    const first = bus.publish("a", { n: 1 });
+    bus.publish("b", { n: 2 }, { uid: "rafi" });
+    assert.deepEqual(
+      bus.since(first.id).map((e) => [e.type, e.data.n, e.target]),
+      [["b", 2, { uid: "rafi" }]],
+    );
+  });
+
+  test("since() is null when the gap can't be replayed", () => {
+    const bus = createEventBus({ bufferSize: 2 });
+    const first = bus.publish("a", {});
+    bus.publish("b", {});
+    const third = bus.publish("c", {});
+    bus.publish("d", {});
+    assert.equal(bus.since(first.id), null, "fell out of the buffer");
+    assert.equal(bus.since(third.id).length, 1);
+    assert.equal(bus.since(createEventBus().publish("x", {}).id), null);
+    assert.equal(bus.since("garbage"), null);
+  });
+
+  test("subscribers get new events until they unsubscribe", () => {
+    const bus = createEventBus();
+    const seen = [];
+    const unsubscribe = bus.subscribe((e) => seen.push(e.type));
+    bus.publish("a", {});
+    unsubscribe();
+    bus.publish("b", {});
+    assert.deepEqual(seen, ["a"]);
+  });
+});
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi", { Board: "Dhaka" }),
+      ...student("tanu", { Board: "Sylhet" }),
+      ...exam("bio", []),
+      "plans/monthly": {
+        name: "Monthly",
+        price: 300,
+        currency: "BDT",
+        durationDays: 30,
+        Board: null,
+        ExamYEar: null,
+        active: true,
+        createdAt: ts(),
+      },
+    },
+  });
+});
+after(() => server?.stop());
+
+const call = (token, method, pathname, body) =>
+  server.call(method, pathname, { token, body });
+
+// Reads a stream's events as they arrive; next(type) waits for one
+async function openStream({ token, query = "", headers = {} } = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${server.baseUrl}/api/events${query}`, {
+    headers: {
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    signal: controller.signal,
+  });
+  const events = [];
+  const waiting = [];
+  const close = () => controller.abort();
+  if (res.headers.get("content-type")?.startsWith("text/event-stream")) {
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffered = "";
+      try {
+        for await (const chunk of res.body) {
+          buffered += decoder.decode(chunk, { stream: true });
+          let end;
+          while ((end = buffered.indexOf("\n\n")) !== -1) {
+            const block = buffered.slice(0, end);
+            buffered = buffered.slice(end + 2);
+            const field = (name) =>
+              block
+                .split("\n")
+                .find((l) => l.startsWith(`${name}: `))
+                ?.slice(name.length + 2);
+            if (!field("event")) continue;
+            events.push({
+              id: field("id"),
+              type: field("event"),
+              data: JSON.parse(field("data")),
+            });
+            waiting.splice(0).forEach((wake) => wake());
+          }
+        }
+      } catch {
+        // aborted by close()
+      }
+    })();
+  } else {
+    res.body?.cancel();
+  }
+
+  // Events up to and including the first `type` not yet taken
+  let taken = 0;
+  async function next(type) {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+      const i = events.findIndex((e, n) => n >= taken && e.type === type);
+      if (i !== -1) {
+        const upTo = events.slice(taken, i + 1);
+        taken = i + 1;
+        return upTo;
+      }
+      if (Date.now() > deadline) throw new Error(`no ${type} event`);
+      await new Promise((wake) => {
+        waiting.push(wake);
+        setTimeout(wake, 100);
+      });
+    }
+  }
+  return { status: res.status, next, close };
+}
+
+const types = (events) => events.map((e) => e.type);
+
+describe("GET /api/events", () => {
+  const open = [];
+  const stream = async (opts) => {
+    const s = await openStream(opts);
+    open.push(s);
+    return s;
+  };
+  after(() => open.forEach((s) => s.close()));
+
+  test("announcements reach only their audience", async () => {
+    const rafi = await stream({ token: "rafi" });
+    const tanu = await stream({ token: "tanu" });
+    await rafi.next("ready");
+    await tanu.next("ready");
+
+    await call("admin1", "POST", "/api/announcements/", {
+      title: "Dhaka exam",
+      content: "Room 4",
+      audience: { Board: "Dhaka" },
+    });
+    await call("admin1", "POST", "/exams", { title: "Physics" });
+
+    const [published] = await rafi.next("announcement.published");
+    assert.equal(published.data.title, "Dhaka exam");
+    assert.deepEqual(types(await tanu.next("chapter.created")), [
+      "chapter.created",
+    ]);
+  });
+
+  test("request events go to admins and the owner", async () => {
+    const admin = await stream({ token: "admin1" });
+    const rafi = await stream({ token: "rafi" });
+    const tanu = await stream({ token: "tanu" });
+    await Promise.all([admin, rafi, tanu].map((s) => s.next("ready")));
+
+    const sent = await call("rafi", "POST", "/api/requests", {
+      transactionId: "TX0001",
+      planId: "monthly",
+    });
+    assert.equal(sent.status, 201);
+    const created = (await admin.next("request.created")).pop();
+    assert.deepEqual(
+      [created.data.id, created.data.uid],
+      [sent.body.id, "rafi"],
+    );
+
+    await call("admin1", "PUT", `/api/requests/approve/${sent.body.id}`);
+    await call("admin1", "POST", "/exams", { title: "Marker" });
+    const approved = (await rafi.next("request.approved")).pop();
+    assert.equal(approved.data.status, "approved");
+    assert.ok(approved.data.validUntil);
+    assert.ok(
+      !types(await rafi.next("chapter.created")).includes("request.created"),
+    );
+    assert.deepEqual(types(await tanu.next("chapter.created")), [
+      "chapter.created",
+    ]);
+  });
+
+  test("chapter.content only for subscribed chapters", async () => {
+    const bio = await stream({ token: "rafi", query: "?examIds=bio" });
+    const none = await stream({ token: "tanu" });
+    const [ready] = await bio.next("ready");
+    assert.deepEqual(ready.data.examIds, ["bio"]);
+    await none.next("ready");
+
+    await call("admin1", "POST", "/exams/bio/questions", {
+      text: "New",
+      options: ["a", "b"],
+      correctAnswer: 0,
+    });
+    await call("admin1", "POST", "/exams", { title: "Marker 2" });
+    const content = (await bio.next("chapter.content")).pop();
+    assert.deepEqual(
+      [content.data.examId, content.data.action, content.data.count],
+      ["bio", "added", 1],
+    );
+    assert.deepEqual(types(await none.next("chapter.created")), [
+      "chapter.created",
+    ]);
+  });
+
+  test("reconnecting with Last-Event-ID replays what was missed", async () => {
+    const first = await stream({ token: "tanu" });
+    await first.next("ready");
+    await call("admin1", "POST", "/exams", { title: "Seen" });
+    const [seen] = await first.next("chapter.created");
+    first.close();
+
+    await call("admin1", "POST", "/exams", { title: "Missed" });
+    const again = await stream({
+      token: "tanu",
+      headers: { "last-event-id": seen.id },
+    });
+    const replayed = await again.next("ready");
+    assert.deepEqual(
+      replayed.map((e) => [e.type, e.data.title]),
+      [
+        ["chapter.created", "Missed"],
+        ["ready", undefined],
+      ],
+    );
+
+    const stale = await stream({
+      token: "tanu",
+      query: "?lastEventId=old-1",
+    });
+    assert.deepEqual(types(await stale.next("ready")), ["resync", "ready"]);
+  });
+
+  test("a one-time ticket stands in for the Authorization header", async () => {
+    const { body } = await call("rafi", "POST", "/api/events/ticket");
+    const query = `?ticket=${body.ticket}`;
+    const withTicket = await stream({ query });
+    assert.equal(withTicket.status, 200);
+    await withTicket.next("ready");
+    assert.equal((await stream({ query })).status, 401);
+    assert.equal((await stream()).status, 401);
+  });
+
+  test("caps open streams per user", async () => {
+    open.splice(0).forEach((s) => s.close());
+    await new Promise((r) => setTimeout(r, 100));
+    for (let i = 0; i < 5; i += 1) {
+      const s = await stream({ token: "tanu" });
+      assert.equal(s.status, 200);
+    }
+    assert.equal((await stream({ token: "tanu" })).status, 429);
+  });
+});
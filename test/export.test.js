@@ -0,0 +1,141 @@
+// test/export.test.js — JSON/CSV/PDF exports of one exam or the whole bank,
+// and JSON/CSV round-tripping back through the importers
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, multipart, startServer, student, ts } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi"),
+      ...exam(
+        "geo",
+        [
+          { text: "Capital?", createdAt: ts(1) },
+          { text: "Passage B", setId: "p", setOrder: 2, createdAt: ts(2) },
+          {
+            text: "Rivers?",
+            correctAnswer: 3,
+            tags: ["water"],
+            createdAt: ts(3),
+          },
+          { text: "Passage A", setId: "p", setOrder: 1, createdAt: ts(4) },
+        ],
+        { title: "Geography", questionPercentage: 40 },
+      ),
+      ...exam("civics", [{ text: "Vote?" }], { createdAt: ts(1700000001) }),
+    },
+  });
+});
+after(() => server?.stop());
+
+const admin = (pathname, opts) =>
+  server.call("GET", pathname, { token: "admin1", ...opts });
+const importInto = async (examId, name, type, content) => {
+  const res = await server.call("POST", `/exams/${examId}/questions/import`, {
+    token: "admin1",
+    form: multipart({}, { name, type, content }),
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+const newExam = async (title) =>
+  (await server.call("POST", "/exams", { token: "admin1", body: { title } }))
+    .body.id;
+
+describe("GET /exams/:id/export", () => {
+  test("JSON keeps authoring order with sets together", async () => {
+    const res = await admin("/exams/geo/export?format=json");
+    assert.equal(res.status, 200);
+    assert.match(
+      res.headers.get("content-disposition"),
+      /filename="Geography\.json"/,
+    );
+    assert.equal(res.body.title, "Geography");
+    assert.equal(res.body.questionPercentage, 40);
+    assert.deepEqual(
+      res.body.questions.map((q) => q.text),
+      ["Capital?", "Passage A", "Passage B", "Rivers?"],
+    );
+    assert.equal("id" in res.body.questions[0], false);
+  });
+
+  test("JSON and CSV round-trip through the importer", async () => {
+    const original = (await admin("/exams/geo/export?format=json")).body;
+    const portable = (body) =>
+      body.questions.map(({ text, options, correctAnswer, setId, tags }) => ({
+        text,
+        options,
+        correctAnswer,
+        setId,
+        tags,
+      }));
+
+    for (const [format, type] of [
+      ["json", "application/json"],
+      ["csv", "text/csv"],
+    ]) {
+      const file = await admin(`/exams/geo/export?format=${format}`);
+      const content = format === "json" ? JSON.stringify(file.body) : file.body;
+      const copyId = await newExam(`Copy ${format}`);
+      await importInto(copyId, `geo.${format}`, type, content);
+      const copy = (await admin(`/exams/${copyId}/export?format=json`)).body;
+      assert.deepEqual(portable(copy), portable(original), format);
+    }
+  });
+
+  test("PDF is a printable paper", async () => {
+    const res = await admin("/exams/geo/export?format=pdf&answerKey=true");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    assert.match(res.body, /^%PDF-/);
+  });
+
+  test("admins only; unknown exams 404", async () => {
+    const res = await server.call("GET", "/exams/geo/export", {
+      token: "rafi",
+    });
+    assert.equal(res.status, 403);
+    assert.equal((await admin("/exams/nope/export")).status, 404);
+    assert.equal((await admin("/exams/geo/export?format=xml")).status, 400);
+  });
+});
+
+describe("GET /exams/export", () => {
+  test("the bank JSON re-imports as new exams", async () => {
+    const bank = await admin("/exams/export?format=json");
+    assert.equal(bank.status, 200);
+    const titles = bank.body.exams.map((e) => e.title);
+    assert.deepEqual(titles.slice(0, 2), ["Geography", "civics"]);
+
+    const res = await server.call("POST", "/exams/import", {
+      token: "admin1",
+      form: multipart(
+        {},
+        {
+          name: "bank.json",
+          type: "application/json",
+          content: JSON.stringify({ exams: bank.body.exams.slice(0, 2) }),
+        },
+      ),
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual(
+      res.body.created.map((c) => [c.title, c.questions]),
+      [
+        ["Geography", 4],
+        ["civics", 1],
+      ],
+    );
+  });
+
+  test("the bank CSV names each row's exam", async () => {
+    const res = await admin("/exams/export?format=csv");
+    assert.equal(res.status, 200);
+    const [header, firstRow] = res.body.split(/\r?\n/);
+    assert.match(header, /^examTitle,examQuestionPercentage,text,option1/);
+    assert.match(firstRow, /^Geography,40,Capital\?,/);
+  });
+});
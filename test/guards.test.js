@@ -0,0 +1,105 @@
+// test/guards.test.js — AUTH_VERIFIER boot checks and the
+// authenticate / requireAdmin / selfOrAdmin guards
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, bootFailure, startServer, student } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: { ...ADMIN, ...student("student1"), ...student("student2") },
+  });
+});
+after(() => server?.stop());
+
+const call = (pathname, opts) => server.call("GET", pathname, opts);
+
+describe("AUTH_VERIFIER", () => {
+  test("local mode does not fall back to the local verifier", async () => {
+    const { code, stderr } = await bootFailure({ AUTH_VERIFIER: "" });
+    assert.notEqual(code, 0);
+    assert.match(stderr, /Firebase Auth needs DATA_BACKEND=firebase/);
+  });
+
+  test("the local verifier is refused in production", async () => {
+    const { code, stderr } = await bootFailure({ NODE_ENV: "production" });
+    assert.notEqual(code, 0);
+    assert.match(stderr, /not allowed in production/);
+  });
+});
+
+describe("authenticate", () => {
+  test("401 without an Authorization header", async () => {
+    const res = await call("/api/announcements/count");
+    assert.equal(res.status, 401);
+    assert.match(res.body.message, /Authorization header/);
+  });
+
+  test("401 for a non-Bearer header", async () => {
+    const res = await call("/api/announcements/count", {
+      header: "Basic c3R1ZGVudDE=",
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("401 for a token the verifier rejects", async () => {
+    const res = await call("/api/announcements/count", { token: "|x@y.z" });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, "Invalid or expired token");
+  });
+
+  test("runs before query validation", async () => {
+    const res = await call("/api/users?limit=abc");
+    assert.equal(res.status, 401);
+  });
+
+  test("403 for a valid token without a users doc", async () => {
+    const res = await call("/api/announcements/count", { token: "nobody" });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "User is not registered");
+  });
+
+  test("passes a registered user through", async () => {
+    const res = await call("/api/announcements/count", { token: "student1" });
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("requireAdmin", () => {
+  test("403 for a student", async () => {
+    const res = await call("/api/users", { token: "student1" });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Admin access required");
+  });
+
+  test("passes an admin through", async () => {
+    const res = await call("/api/users", { token: "admin1" });
+    assert.equal(res.status, 200);
+    assert.ok(Array.isArray(res.body.items));
+  });
+});
+
+describe("selfOrAdmin", () => {
+  const prefs = (uid) => `/api/users/${uid}/notification-preferences`;
+
+  test("passes the user themself", async () => {
+    const res = await call(prefs("student1"), { token: "student1" });
+    assert.equal(res.status, 200);
+  });
+
+  test("403 for another student's uid", async () => {
+    const res = await call(prefs("student2"), { token: "student1" });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Forbidden");
+  });
+
+  test("passes an admin for any uid", async () => {
+    const res = await call(prefs("student2"), { token: "admin1" });
+    assert.equal(res.status, 200);
+  });
+
+  test("401 before the uid check", async () => {
+    const res = await call(prefs("student1"));
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,221 @@
+// test/helpers.js — boots server.js on the local backend for behavior tests
+// ---------------------------------------------------------------
+// DATA_BACKEND=local + AUTH_VERIFIER=local: the bearer token is "<uid>" or
+// "<uid>|<email>". Each server gets its own temp data file and uploads dir,
+// seeded from `seed` ({ "<collection>/<id>": data }, Timestamps written as
+// { __ts: [seconds, nanos] }).
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+export const ts = (seconds = 1700000000) => ({ __ts: [seconds, 0] });
+
+export const ADMIN = {
+  "users/admin1": {
+    uid: "admin1",
+    email: "admin@example.com",
+    displayName: "Admin One",
+    is_Admin: true,
+    is_validated: true,
+    createdAt: ts(),
+  },
+};
+
+export const student = (uid, over = {}) => ({
+  [`users/${uid}`]: {
+    uid,
+    email: `${uid}@example.com`,
+    displayName: uid,
+    is_Admin: false,
+    is_validated: false,
+    request_sent: false,
+    createdAt: ts(),
+    ...over,
+  },
+});
+
+// exams/{id} plus its questions; each question may override any field
+// (default: four options, the first one correct)
+export const exam = (id, questions = [{}], over = {}) => ({
+  [`exams/${id}`]: {
+    title: id,
+    questionPercentage: 100,
+    createdAt: ts(),
+    ...over,
+  },
+  ...Object.fromEntries(
+    questions.map(({ id: qid, ...q }, i) => [
+      `exams/${id}/questions/${qid ?? `${id}-q${i + 1}`}`,
+      {
+        text: `${id} question ${i + 1}`,
+        options: ["a", "b", "c", "d"],
+        correctAnswer: 0,
+        image: null,
+        setId: null,
+        setOrder: 0,
+        tags: [],
+        difficulty: null,
+        topic: null,
+        createdAt: ts(),
+        ...q,
+      },
+    ]),
+  ),
+});
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const serverEnv = (dir, env) => ({
+  ...process.env,
+  NODE_ENV: "test",
+  DATA_BACKEND: "local",
+  AUTH_VERIFIER: "local",
+  LOCAL_DATA_FILE: path.join(dir, "data.json"),
+  LOCAL_UPLOADS_DIR: path.join(dir, "uploads"),
+  ...env,
+});
+
+// Runs server.js with `env` expecting it to refuse to boot:
+// { code, stderr } once it exits (or throws if it comes up)
+export async function bootFailure(env, { timeoutMs = 10 * 1000 } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...serverEnv(dir, env), PORT: String(port) },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  let stderr = "";
+  child.stderr.on("data", (d) => (stderr += d));
+  try {
+    const code = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error("server.js booted; expected it to refuse"));
+      }, timeoutMs);
+      child.once("exit", (c) => {
+        clearTimeout(timer);
+        resolve(c);
+      });
+    });
+    return { code, stderr };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// { baseUrl, call, readData, uploadsDir, stop }
+export async function startServer({ seed = {}, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+  const dataFile = path.join(dir, "data.json");
+  fs.writeFileSync(dataFile, JSON.stringify(seed));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...serverEnv(dir, env),
+      PORT: String(port),
+      PUBLIC_BASE_URL: baseUrl,
+    },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) {
+      stop();
+      throw new Error("server.js exited on boot");
+    }
+    const ok = await fetch(`${baseUrl}/health`).then(
+      (r) => r.ok,
+      () => false,
+    );
+    if (ok) {
+      return {
+        baseUrl,
+        uploadsDir: path.join(dir, "uploads"),
+        call: (method, pathname, opts) => call(baseUrl, method, pathname, opts),
+        // Stored docs, after the local store's save delay
+        readData: async () => {
+          await sleep(400);
+          return JSON.parse(fs.readFileSync(dataFile, "utf8"));
+        },
+        stop,
+      };
+    }
+    await sleep(100);
+  }
+  stop();
+  throw new Error("server.js did not come up");
+}
+
+// { status, body, headers }; body is parsed JSON when the response is JSON
+async function call(
+  baseUrl,
+  method,
+  pathname,
+  { token, header, body, form } = {},
+) {
+  const headers = {};
+  if (header) headers.Authorization = header;
+  else if (token) headers.Authorization = `Bearer ${token}`;
+  let payload;
+  if (form) payload = form;
+  else if (typeof body !== "undefined") {
+    headers["Content-Type"] = "application/json";
+    payload = JSON.stringify(body);
+  }
+  const res = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: payload,
+  });
+  const text = await res.text();
+  let parsed = text;
+  if ((res.headers.get("content-type") || "").includes("json")) {
+    parsed = text ? JSON.parse(text) : null;
+  }
+  return { status: res.status, body: parsed, headers: res.headers };
+}
+
+// multipart body: `fields` as strings plus an optional
+// file = { field, name, type, content }
+export function multipart(fields = {}, file = null) {
+  const fd = new FormData();
+  for (const [k, v] of Object.entries(fields)) fd.append(k, String(v));
+  if (file) {
+    fd.append(
+      file.field || "file",
+      new Blob([file.content], { type: file.type }),
+      file.name,
+    );
+  }
+  return fd;
+}
+
+export const pdf = (name = "note.pdf", text = "hello") => ({
+  name,
+  type: "application/pdf",
+  content: `%PDF-1.4\n% ${text}\n%%EOF\n`,
+});
@@ -0,0 +1,144 @@
+// test/leaderboard.test.js — rankings by Board/ExamYEar and window, kept
+// from users.scoreStats (backfilled at boot, updated on submit)
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student, ts } from "./helpers.js";
+
+const now = Math.floor(Date.now() / 1000);
+const active = {
+  is_validated: true,
+  subscription: { planId: "p1", validUntil: ts(now + 30 * 86400) },
+};
+const result = (uid, id, score, at) => ({
+  [`users/${uid}/results/${id}`]: { score, createdAt: ts(at) },
+});
+
+let server;
+before(async () => {
+  server = await startServer({
+    env: { LEADERBOARD_CACHE_SECONDS: "1" },
+    seed: {
+      ...ADMIN,
+      ...student("anika", { ...active, displayName: "Anika Rahman" }),
+      ...student("bashir", { ...active, displayName: "Bashir Ali" }),
+      ...student("chaity", {
+        ...active,
+        displayName: "Chaity Das",
+        Board: "Rajshahi",
+        scoreStats: { best: 50, sum: 50, attempts: 1 },
+      }),
+      ...student("free"),
+      ...result("anika", "r1", 80, now - 60 * 86400),
+      ...result("anika", "r2", 60, now - 50 * 86400),
+      ...result("bashir", "r1", 90, now - 40 * 86400),
+      ...result("chaity", "r1", 50, now - 3600),
+      ...result("free", "r1", 100, now - 3600),
+      ...exam("bio", [{}, {}]),
+    },
+  });
+  for (const uid of ["anika", "bashir"]) {
+    await server.call("PUT", `/api/users/${uid}`, {
+      token: "admin1",
+      body: { Board: "Dhaka" },
+    });
+  }
+});
+after(() => server?.stop());
+
+const board = async (query, token = "anika") => {
+  const res = await server.call("GET", `/api/leaderboard${query}`, { token });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+const rows = (body) => body.entries.map((e) => [e.displayName, e.score]);
+
+describe("scoreStats backfill", () => {
+  test("users from before scoreStats get it from their results", async () => {
+    const data = await server.readData();
+    assert.deepEqual(data["users/anika"].scoreStats, {
+      best: 80,
+      sum: 140,
+      attempts: 2,
+    });
+    // already present: left alone
+    assert.deepEqual(data["users/chaity"].scoreStats, {
+      best: 50,
+      sum: 50,
+      attempts: 1,
+    });
+  });
+});
+
+describe("GET /api/leaderboard", () => {
+  test("ranks users with access by best score, all time", async () => {
+    const body = await board("");
+    assert.deepEqual(rows(body), [
+      ["Bashir Ali", 90],
+      ["Anika Rahman", 80],
+      ["Chaity Das", 50],
+    ]);
+    assert.equal(body.me.rank, 2);
+  });
+
+  test("averages over all attempts", async () => {
+    assert.deepEqual(rows(await board("?metric=average")), [
+      ["Bashir Ali", 90],
+      ["Anika Rahman", 70],
+      ["Chaity Das", 50],
+    ]);
+  });
+
+  test("segments by Board", async () => {
+    assert.deepEqual(rows(await board("?Board=Rajshahi")), [
+      ["Chaity Das", 50],
+    ]);
+  });
+
+  test("weekly only counts results inside the window", async () => {
+    assert.deepEqual(rows(await board("?window=weekly")), [["Chaity Das", 50]]);
+  });
+
+  test("mask hides other names but never the caller's", async () => {
+    const names = (await board("?mask=true")).entries.map((e) => e.displayName);
+    assert.deepEqual(names, ["B***r A***i", "Anika Rahman", "C***y D***s"]);
+  });
+});
+
+describe("submitting an attempt", () => {
+  test("updates scoreStats and the all-time ranking", async () => {
+    const started = await server.call("POST", "/attempts", {
+      token: "chaity",
+      body: { base: 2, seed: "s1" },
+    });
+    assert.equal(started.status, 201);
+    const answers = Object.fromEntries(
+      started.body.questions.map((q) => [q.id, 0]),
+    );
+    const submitted = await server.call(
+      "POST",
+      `/attempts/${started.body.id}/submit`,
+      { token: "chaity", body: { answers } },
+    );
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.score, 100);
+
+    const data = await server.readData();
+    assert.deepEqual(data["users/chaity"].scoreStats, {
+      best: 100,
+      sum: 150,
+      attempts: 2,
+    });
+
+    await new Promise((r) => setTimeout(r, 1100)); // cache TTL
+    const body = await board("");
+    assert.deepEqual(body.entries[0], {
+      rank: 1,
+      displayName: "Chaity Das",
+      Board: "Rajshahi",
+      ExamYEar: null,
+      score: 100,
+      attempts: 2,
+      isMe: false,
+    });
+  });
+});
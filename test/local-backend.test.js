@@ -0,0 +1,181 @@
+// test/local-backend.test.js — the local Firestore and bucket stand-ins
+// behave like the Firebase drivers server.js is written against
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  FieldValue,
+  Timestamp,
+  createLocalFirestore,
+} from "../data/local-firestore.js";
+import { createLocalBucket } from "../data/local-storage.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "local-backend-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("local firestore", () => {
+  test("set, merge and update with field transforms", async () => {
+    const db = createLocalFirestore();
+    const ref = db.collection("users").doc("u1");
+    await ref.set({ name: "A", tags: ["x"], stats: { n: 1, keep: true } });
+    await ref.set({ stats: { n: 2 } }, { merge: true });
+    await ref.update({
+      "stats.n": FieldValue.increment(3),
+      tags: FieldValue.arrayUnion("x", "y"),
+      name: FieldValue.delete(),
+      seenAt: FieldValue.serverTimestamp(),
+    });
+
+    const data = (await ref.get()).data();
+    assert.deepEqual(data.stats, { n: 5, keep: true });
+    assert.deepEqual(data.tags, ["x", "y"]);
+    assert.equal("name" in data, false);
+    assert.ok(data.seenAt instanceof Timestamp);
+  });
+
+  test("update and create fail like Firestore", async () => {
+    const db = createLocalFirestore();
+    const ref = db.doc("exams/e1");
+    await assert.rejects(ref.update({ a: 1 }), { code: 5 });
+    await ref.create({ a: 1 });
+    await assert.rejects(ref.create({ a: 2 }), { code: 6 });
+  });
+
+  test("queries filter, order and page with startAfter", async () => {
+    const db = createLocalFirestore();
+    const col = db.collection("notes");
+    for (const [id, n, isPublic] of [
+      ["a", 3, true],
+      ["b", 1, true],
+      ["c", 2, false],
+      ["d", 4, true],
+    ]) {
+      await col.doc(id).set({ n, isPublic });
+    }
+    const base = col.where("isPublic", "==", true).orderBy("n", "desc");
+    const first = await base.limit(2).get();
+    assert.deepEqual(
+      first.docs.map((d) => d.id),
+      ["d", "a"],
+    );
+    const rest = await base.startAfter(first.docs[1]).get();
+    assert.deepEqual(
+      rest.docs.map((d) => d.id),
+      ["b"],
+    );
+    const count = await col.where("n", "in", [1, 2]).count().get();
+    assert.equal(count.data().count, 2);
+  });
+
+  test("collectionGroup spans subcollections", async () => {
+    const db = createLocalFirestore();
+    await db.doc("users/u1/results/r1").set({ score: 10 });
+    await db.doc("users/u2/results/r1").set({ score: 20 });
+    await db.doc("results/top").set({ score: 99 });
+    const snap = await db.collectionGroup("results").orderBy("score").get();
+    assert.deepEqual(
+      snap.docs.map((d) => d.ref.path),
+      ["users/u1/results/r1", "users/u2/results/r1", "results/top"],
+    );
+  });
+
+  test("a batch applies all of its writes or none", async () => {
+    const db = createLocalFirestore();
+    const batch = db.batch();
+    batch.set(db.doc("a/1"), { ok: true });
+    batch.update(db.doc("a/missing"), { ok: true });
+    await assert.rejects(batch.commit(), { code: 5 });
+    assert.equal((await db.doc("a/1").get()).exists, false);
+  });
+
+  test("a failed transaction writes nothing", async () => {
+    const db = createLocalFirestore();
+    await db.doc("c/n").set({ v: 1 });
+    await assert.rejects(
+      db.runTransaction(async (tx) => {
+        tx.update(db.doc("c/n"), { v: 2 });
+        throw new Error("abort");
+      }),
+      /abort/,
+    );
+    assert.equal((await db.doc("c/n").get()).data().v, 1);
+
+    // transactions run one after another, so increments don't race
+    await Promise.all(
+      [1, 2, 3].map(() =>
+        db.runTransaction(async (tx) => {
+          const { v } = (await tx.get(db.doc("c/n"))).data();
+          tx.update(db.doc("c/n"), { v: v + 1 });
+        }),
+      ),
+    );
+    assert.equal((await db.doc("c/n").get()).data().v, 4);
+  });
+
+  test("persists to the JSON file with Timestamps intact", async () => {
+    const file = path.join(dir, "data.json");
+    const db = createLocalFirestore({ file });
+    await db.doc("users/u1").set({ at: new Timestamp(1700000000, 5) });
+    db.flush();
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.deepEqual(raw["users/u1"], { at: { __ts: [1700000000, 5] } });
+
+    const reloaded = createLocalFirestore({ file });
+    const { at } = (await reloaded.doc("users/u1").get()).data();
+    assert.ok(at instanceof Timestamp);
+    assert.equal(at.seconds, 1700000000);
+  });
+});
+
+describe("local bucket", () => {
+  const bucket = createLocalBucket({
+    root: path.join(dir, "uploads"),
+    publicBaseUrl: "http://files.test/",
+  });
+
+  test("saves, reads and deletes objects", async () => {
+    const file = bucket.file("notes/a.pdf");
+    await file.save(Buffer.from("pdf"), { contentType: "application/pdf" });
+    assert.deepEqual(await file.exists(), [true]);
+    assert.equal(String((await file.download())[0]), "pdf");
+    const [meta] = await file.getMetadata();
+    assert.equal(meta.contentType, "application/pdf");
+    assert.equal(meta.size, "3");
+
+    const [files] = await bucket.getFiles({ prefix: "notes/" });
+    assert.deepEqual(
+      files.map((f) => f.name),
+      ["notes/a.pdf"],
+    );
+    await file.delete();
+    await assert.rejects(file.download(), { code: 404 });
+    await file.delete({ ignoreNotFound: true });
+  });
+
+  test("refuses object names outside its root", () => {
+    assert.throws(() => bucket.file("../escape.txt"), /Invalid object name/);
+  });
+
+  test("signed URLs verify until they expire", async () => {
+    const [url] = await bucket.file("notes/b.pdf").getSignedUrl({
+      expires: Date.now() + 60 * 1000,
+      responseDisposition: 'attachment; filename="b.pdf"',
+    });
+    const parsed = new URL(url);
+    assert.equal(parsed.origin, "http://files.test");
+    assert.equal(parsed.pathname, "/uploads/notes/b.pdf");
+    const query = Object.fromEntries(parsed.searchParams);
+    assert.equal(bucket.verifySignedUrl("notes/b.pdf", query), true);
+    assert.equal(bucket.verifySignedUrl("notes/c.pdf", query), false);
+    assert.equal(
+      bucket.verifySignedUrl("notes/b.pdf", { ...query, disposition: "" }),
+      false,
+    );
+    assert.equal(
+      bucket.verifySignedUrl("notes/b.pdf", { ...query, expires: "1" }),
+      false,
+    );
+  });
+});
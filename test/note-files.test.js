@@ -0,0 +1,109 @@
+// test/note-files.test.js — chapters/categories on notes, file replacement
+// with versions, and the public_notes mirror
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, multipart, pdf, startServer, ts } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...exam("physics"),
+      // public, but from before the mirror existed
+      "notes/legacy": {
+        noteName: "Optics",
+        originalName: "optics.pdf",
+        isPublic: true,
+        uploadedBy: "admin1",
+        storagePath: null,
+        examIds: ["physics"],
+        categories: ["Optics"],
+        version: 1,
+        createdAt: ts(),
+      },
+    },
+  });
+});
+after(() => server?.stop());
+
+const admin = (method, pathname, opts = {}) =>
+  server.call(method, pathname, { token: "admin1", ...opts });
+
+describe("note organisation", () => {
+  test("unknown chapters are rejected", async () => {
+    const res = await admin("POST", "/api/upload", {
+      form: multipart({ noteName: "X", examIds: "nope" }, pdf()),
+    });
+    assert.equal(res.status, 400);
+    assert.match(JSON.stringify(res.body), /Unknown exam id/);
+  });
+
+  test("notes filter by chapter and count by category", async () => {
+    const up = await admin("POST", "/api/upload", {
+      form: multipart(
+        { noteName: "Waves", examIds: "physics", categories: "Optics" },
+        pdf(),
+      ),
+    });
+    assert.equal(up.status, 201);
+
+    const byChapter = await admin("GET", "/api/notes?examId=physics");
+    assert.deepEqual(byChapter.body.items.map((n) => n.noteName).sort(), [
+      "Optics",
+      "Waves",
+    ]);
+    const cats = await admin("GET", "/api/notes/categories");
+    assert.deepEqual(cats.body.items, [{ name: "Optics", count: 2 }]);
+  });
+});
+
+describe("PUT /api/notes/:id/file", () => {
+  test("replaces the file, keeps the old version and writes the mirror", async () => {
+    const res = await admin("PUT", "/api/notes/legacy/file", {
+      form: multipart({}, pdf("optics-v2.pdf", "second edition")),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.note.version, 2);
+    assert.equal(res.body.note.originalName, "optics-v2.pdf");
+
+    const data = await server.readData();
+    const mirror = data["public_notes/legacy"];
+    assert.equal(mirror.noteName, "Optics");
+    assert.equal(mirror.version, 2);
+    assert.equal(mirror.storagePath, res.body.note.storagePath);
+
+    const versions = await admin("GET", "/api/notes/legacy/versions");
+    assert.deepEqual(
+      versions.body.items.map((v) => [v.version, v.current, v.originalName]),
+      [
+        [2, true, "optics-v2.pdf"],
+        [1, false, "optics.pdf"],
+      ],
+    );
+
+    const file = await admin("GET", "/api/notes/legacy/download?mode=stream");
+    assert.match(file.body, /second edition/);
+  });
+
+  test("requires a file", async () => {
+    const res = await admin("PUT", "/api/notes/legacy/file", {
+      form: multipart({}),
+    });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("PATCH /api/notes/:id", () => {
+  test("keeps a public note's mirror in step", async () => {
+    const res = await admin("PATCH", "/api/notes/legacy", {
+      body: { noteName: "Geometric optics" },
+    });
+    assert.equal(res.status, 200);
+    const data = await server.readData();
+    assert.equal(data["public_notes/legacy"].noteName, "Geometric optics");
+
+    await admin("PATCH", "/api/notes/legacy", { body: { isPublic: false } });
+    assert.equal((await server.readData())["public_notes/legacy"], undefined);
+  });
+});
@@ -0,0 +1,130 @@
+// test/notes.test.js — who may list, search and download notes, and the
+// local backend's expiring signed URLs
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, multipart, pdf, startServer, student, ts } from "./helpers.js";
+
+const FUTURE = 4000000000;
+
+let server;
+const ids = {};
+
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("free"),
+      ...student("paid", {
+        is_validated: true,
+        subscription: { planId: "p1", validUntil: ts(FUTURE) },
+      }),
+    },
+  });
+  for (const [key, isPublic] of [
+    ["open", true],
+    ["closed", false],
+  ]) {
+    const res = await server.call("POST", "/api/upload", {
+      token: "admin1",
+      form: multipart(
+        { noteName: `Zoology ${key}`, isPublic },
+        pdf(`${key}.pdf`, key),
+      ),
+    });
+    assert.equal(res.status, 201);
+    ids[key] = res.body.note.id;
+  }
+});
+after(() => server?.stop());
+
+const listed = async (token, query = "") => {
+  const res = await server.call("GET", `/api/notes${query}`, { token });
+  assert.equal(res.status, 200);
+  return res.body.items.map((n) => n.id).sort();
+};
+
+describe("GET /api/notes", () => {
+  test("users without access only see public notes", async () => {
+    assert.deepEqual(await listed("free"), [ids.open]);
+    assert.deepEqual(await listed("free", "?isPublic=false"), []);
+  });
+
+  test("subscribers and admins see private notes too", async () => {
+    const all = [ids.open, ids.closed].sort();
+    assert.deepEqual(await listed("paid"), all);
+    assert.deepEqual(await listed("admin1"), all);
+    assert.deepEqual(await listed("paid", "?isPublic=false"), [ids.closed]);
+  });
+});
+
+describe("GET /api/search", () => {
+  const found = async (token) => {
+    const res = await server.call("GET", "/api/search?q=zoology&types=note", {
+      token,
+    });
+    assert.equal(res.status, 200);
+    return res.body.items.map((i) => i.id).sort();
+  };
+
+  test("hides private notes from users without access", async () => {
+    assert.deepEqual(await found("free"), [ids.open]);
+    assert.deepEqual(await found("paid"), [ids.open, ids.closed].sort());
+  });
+});
+
+describe("note downloads", () => {
+  test("private notes need an active subscription", async () => {
+    const res = await server.call("GET", `/api/notes/${ids.closed}/download`, {
+      token: "free",
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("streams the file to users with access", async () => {
+    const res = await server.call(
+      "GET",
+      `/api/notes/${ids.closed}/download?mode=stream`,
+      { token: "paid" },
+    );
+    assert.equal(res.status, 200);
+    assert.match(res.body, /closed/);
+  });
+});
+
+describe("local signed URLs", () => {
+  let url;
+  before(async () => {
+    const res = await server.call("GET", `/api/notes/${ids.open}/download`, {
+      token: "free",
+    });
+    assert.equal(res.status, 200);
+    url = new URL(res.body.url);
+    assert.ok(Date.parse(res.body.expiresAt) > Date.now());
+  });
+
+  test("serve the object with the signed disposition", async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    assert.match(res.headers.get("content-disposition"), /open\.pdf/);
+    assert.match(await res.text(), /open/);
+  });
+
+  test("are refused without a signature", async () => {
+    const res = await fetch(`${url.origin}${url.pathname}`);
+    assert.equal(res.status, 403);
+  });
+
+  test("are refused once expired or tampered with", async () => {
+    for (const expires of ["1", String(Date.now() + 24 * 60 * 60 * 1000)]) {
+      const forged = new URL(url);
+      forged.searchParams.set("expires", expires);
+      assert.equal((await fetch(forged)).status, 403);
+    }
+  });
+
+  test("never expose the signing key", async () => {
+    const res = await fetch(`${url.origin}/uploads/.url-key`);
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,252 @@
+// test/notifications.test.js — the notification outbox: entries written
+// with request reviews and announcements, preferences, delivery through the
+// local transport, failures and retry
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createTransports } from "../notify/index.js";
+import { renderNotification } from "../notify/templates.js";
+import { ADMIN, startServer, student, ts } from "./helpers.js";
+
+describe("notify/", () => {
+  test("local backends default every channel to the local transport", async () => {
+    const t = await createTransports({
+      DATA_BACKEND: "local",
+      NOTIFY_SMS: "off",
+    });
+    assert.deepEqual(Object.keys(t), ["email", "push"]);
+    assert.equal(t.email.name, "local");
+    assert.deepEqual(
+      Object.keys(await createTransports({ DATA_BACKEND: "firebase" })),
+      [],
+    );
+    await assert.rejects(
+      createTransports({ NOTIFY_EMAIL: "carrier-pigeon" }),
+      /Unknown NOTIFY_EMAIL/,
+    );
+  });
+
+  test("renders per channel", () => {
+    const vars = { title: "Exam moved", content: "To Sunday.\n\nRoom 4" };
+    assert.deepEqual(renderNotification("announcement", "email", vars), {
+      subject: "Exam moved",
+      body: "To Sunday.\n\nRoom 4",
+    });
+    assert.equal(
+      renderNotification("announcement", "sms", vars).body,
+      "Exam moved: To Sunday.\n\nRoom 4",
+    );
+    assert.equal(
+      renderNotification("announcement", "push", vars).body,
+      "To Sunday. Room 4",
+    );
+    const long = renderNotification("announcement", "push", {
+      content: "x".repeat(500),
+    });
+    assert.equal(long.body.length, 180);
+    assert.throws(() => renderNotification("nope", "email"), /Unknown/);
+  });
+});
+
+const outboxFile = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "outbox-")),
+  "sent.jsonl",
+);
+let server;
+before(async () => {
+  server = await startServer({
+    env: {
+      NOTIFY_LOCAL_FILE: outboxFile,
+      NOTIFY_LOCAL_FAIL: "sms",
+      NOTIFY_MAX_ATTEMPTS: "1",
+    },
+    seed: {
+      ...ADMIN,
+      // SMS is opt-in
+      ...student("rafi", {
+        phone: "01700000000",
+        Board: "Dhaka",
+        notificationPrefs: { channels: { sms: true } },
+      }),
+      ...student("sumi", { Board: "Dhaka" }),
+      ...student("tanu", { Board: "Sylhet" }),
+      "plans/monthly": {
+        name: "Monthly",
+        price: 300,
+        currency: "BDT",
+        durationDays: 30,
+        Board: null,
+        ExamYEar: null,
+        active: true,
+        createdAt: ts(),
+      },
+    },
+  });
+});
+after(() => {
+  server?.stop();
+  fs.rmSync(path.dirname(outboxFile), { recursive: true, force: true });
+});
+
+const call = (token, method, pathname, body) =>
+  server.call(method, pathname, { token, body });
+
+// Outbox entries once the worker has had its go at them
+async function outbox(query) {
+  for (let i = 0; i < 50; i += 1) {
+    const res = await call("admin1", "GET", `/api/notifications?${query}`);
+    assert.equal(res.status, 200);
+    const busy = res.body.items.some((n) =>
+      ["pending", "sending"].includes(n.status),
+    );
+    if (res.body.items.length && !busy) return res.body.items;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw new Error(`outbox never settled for ${query}`);
+}
+
+const approve = async (uid, transactionId) => {
+  const sent = await call(uid, "POST", "/api/requests", {
+    transactionId,
+    planId: "monthly",
+  });
+  assert.equal(sent.status, 201);
+  const res = await call(
+    "admin1",
+    "PUT",
+    `/api/requests/approve/${sent.body.id}`,
+  );
+  assert.equal(res.status, 200);
+  return sent.body.id;
+};
+
+describe("outbox", () => {
+  let requestId;
+
+  test("an approval writes one entry per reachable channel", async () => {
+    requestId = await approve("rafi", "RAFI01");
+    const items = await outbox("uid=rafi&type=request_approved");
+    assert.deepEqual(items.map((n) => n.id).sort(), [
+      `request_${requestId}_approved_email`,
+      `request_${requestId}_approved_sms`,
+    ]);
+    const email = items.find((n) => n.channel === "email");
+    assert.equal(email.to, "rafi@example.com");
+    assert.equal(email.subject, "Your Monthly is active");
+    assert.equal(email.data.requestId, requestId);
+  });
+
+  test("the worker delivers through the transport", async () => {
+    const [email] = await outbox("uid=rafi&channel=email");
+    assert.equal(email.status, "sent");
+    assert.equal(email.attempts, 1);
+    assert.match(email.providerId, /^local-/);
+
+    const lines = fs.readFileSync(outboxFile, "utf8").trim().split("\n");
+    const sent = lines.map((l) => JSON.parse(l));
+    assert.ok(
+      sent.some((m) => m.to === "rafi@example.com" && /RAFI01/.test(m.body)),
+    );
+  });
+
+  test("a failed entry keeps its error and can be retried", async () => {
+    const [sms] = await outbox("uid=rafi&channel=sms");
+    assert.equal(sms.status, "failed");
+    assert.match(sms.lastError, /NOTIFY_LOCAL_FAIL/);
+
+    const res = await call(
+      "admin1",
+      "POST",
+      `/api/notifications/${sms.id}/retry`,
+    );
+    assert.equal(res.status, 200);
+    const [again] = await outbox("uid=rafi&channel=sms");
+    assert.deepEqual([again.status, again.attempts], ["failed", 1]);
+
+    const sent = await call(
+      "admin1",
+      "POST",
+      `/api/notifications/request_${requestId}_approved_email/retry`,
+    );
+    assert.equal(sent.status, 409);
+    const missing = await call(
+      "admin1",
+      "POST",
+      "/api/notifications/nope/retry",
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  test("preferences switch channels and types off", async () => {
+    const res = await call(
+      "sumi",
+      "PUT",
+      "/api/users/sumi/notification-preferences",
+      {
+        channels: { email: false, push: true },
+        types: { announcement: false },
+      },
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.channels.email, false);
+    assert.equal(res.body.types.request_approved, true);
+
+    await call("sumi", "POST", "/api/users/sumi/push-tokens", {
+      token: "device-1",
+    });
+    const id = await approve("sumi", "SUMI01");
+    const items = await outbox("uid=sumi");
+    assert.deepEqual(
+      items.map((n) => n.id),
+      [`request_${id}_approved_push`],
+    );
+    assert.deepEqual(items[0].to, ["device-1"]);
+  });
+
+  test("announcements notify their audience once per version", async () => {
+    const created = await call("admin1", "POST", "/api/announcements/", {
+      title: "Dhaka exam",
+      content: "Room 4",
+      draft: true,
+      audience: { Board: "Dhaka" },
+    });
+    const url = `/api/announcements/${created.body.id}`;
+    const none = await call(
+      "admin1",
+      "GET",
+      "/api/notifications?type=announcement",
+    );
+    assert.deepEqual(none.body.items, [], "drafts notify nobody");
+
+    await call("admin1", "PUT", url, { draft: false });
+    const items = await outbox("type=announcement");
+    assert.deepEqual(
+      items.map((n) => [n.uid, n.channel]).sort(),
+      [
+        ["rafi", "email"],
+        ["rafi", "sms"],
+      ],
+      "sumi opted out, tanu is not in the audience",
+    );
+    assert.ok(items.every((n) => n.data.announcementId === created.body.id));
+
+    // published again unchanged: the same entries, not new ones
+    await call("admin1", "PUT", url, { draft: true });
+    await call("admin1", "PUT", url, { draft: false });
+    await new Promise((r) => setTimeout(r, 200));
+    assert.equal((await outbox("type=announcement")).length, 2);
+  });
+
+  test("admins only", async () => {
+    const res = await call("rafi", "GET", "/api/notifications");
+    assert.equal(res.status, 403);
+    const others = await call(
+      "rafi",
+      "GET",
+      "/api/users/sumi/notification-preferences",
+    );
+    assert.equal(others.status, 403);
+  });
+});
@@ -0,0 +1,115 @@
+// test/pagination.test.js — limit/cursor paging, field filters and sort
+// options on the list endpoints
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student, ts } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("u1", { displayName: "Cara", Board: "Dhaka", ExamYEar: 2025 }),
+      ...student("u2", { displayName: "Abir", Board: "Dhaka", ExamYEar: 2026 }),
+      ...student("u3", {
+        displayName: "Badal",
+        Board: "Dhaka",
+        ExamYEar: 2025,
+      }),
+      ...student("u4", {
+        displayName: "Dina",
+        Board: "Sylhet",
+        ExamYEar: 2025,
+      }),
+      "requests/q1": {
+        uid: "u1",
+        transactionId: "TX1",
+        status: "pending",
+        createdAt: ts(1700000000),
+      },
+      "requests/q2": {
+        uid: "u2",
+        transactionId: "TX2",
+        status: "pending",
+        createdAt: ts(1700000100),
+      },
+      ...exam("e1", [], { createdAt: ts(1700000000) }),
+      ...exam("e2", [], { createdAt: ts(1700000100) }),
+      ...exam("e3", [], { createdAt: ts(1700000200) }),
+    },
+  });
+});
+after(() => server?.stop());
+
+const admin = (pathname) => server.call("GET", pathname, { token: "admin1" });
+const names = (res) => res.body.items.map((u) => u.displayName);
+
+describe("GET /api/users", () => {
+  test("filters by Board and ExamYEar and sorts", async () => {
+    const res = await admin(
+      "/api/users?Board=Dhaka&ExamYEar=2025&sort=displayName&order=asc",
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(names(res), ["Badal", "Cara"]);
+    assert.equal(res.body.nextCursor, null);
+  });
+
+  test("walks the pages with nextCursor", async () => {
+    const seen = [];
+    let cursor = "";
+    for (let i = 0; i < 5; i++) {
+      const res = await admin(
+        `/api/users?Board=Dhaka&sort=displayName&order=asc&limit=2${cursor}`,
+      );
+      seen.push(...names(res));
+      if (!res.body.nextCursor) break;
+      cursor = `&cursor=${res.body.nextCursor}`;
+    }
+    assert.deepEqual(seen, ["Abir", "Badal", "Cara"]);
+  });
+
+  test("rejects unknown sorts and cursors", async () => {
+    assert.equal((await admin("/api/users?sort=password")).status, 400);
+    assert.equal((await admin("/api/users?cursor=nobody")).status, 400);
+    assert.equal((await admin("/api/users?order=sideways")).status, 400);
+  });
+});
+
+describe("GET /api/requests", () => {
+  test("pages and embeds each request's user", async () => {
+    const res = await admin("/api/requests?limit=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.items.length, 1);
+    assert.equal(res.body.items[0].id, "q2");
+    assert.deepEqual(res.body.items[0].user, {
+      uid: "u2",
+      displayName: "Abir",
+      email: "u2@example.com",
+    });
+    assert.equal(res.body.nextCursor, "q2");
+
+    const byUser = await admin("/api/requests?uid=u1");
+    assert.deepEqual(
+      byUser.body.items.map((r) => r.id),
+      ["q1"],
+    );
+  });
+});
+
+describe("GET /exams", () => {
+  test("pages oldest first on request", async () => {
+    const res = await admin("/exams?sort=createdAt&order=asc&limit=2");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.items.map((e) => e.id),
+      ["e1", "e2"],
+    );
+    const rest = await admin(
+      `/exams?sort=createdAt&order=asc&limit=2&cursor=${res.body.nextCursor}`,
+    );
+    assert.deepEqual(
+      rest.body.items.map((e) => e.id),
+      ["e3"],
+    );
+  });
+});
@@ -0,0 +1,179 @@
+// test/question-import.test.js — the CSV/JSON/Aiken/GIFT parsers and
+// POST /exams/:examId/questions/import (dry run, all-or-nothing commit)
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { detectFormat, parseQuestions } from "../lib/question-formats.js";
+import { ADMIN, exam, multipart, startServer } from "./helpers.js";
+
+const questions = (content, format) =>
+  parseQuestions(content, format).map((r) => r.error ?? r.question);
+
+describe("detectFormat", () => {
+  test("explicit format, then extension, then content", () => {
+    assert.equal(detectFormat("GIFT", "a.csv"), "gift");
+    assert.equal(detectFormat(null, "bank.CSV"), "csv");
+    assert.equal(detectFormat(null, "x.txt", ' [{"text":"a"}]'), "json");
+    assert.equal(detectFormat(null, "x.txt", "Q {=a ~b}"), "gift");
+    assert.equal(detectFormat(null, "x.txt", "Q\nA. a\nANSWER: A"), "aiken");
+    assert.equal(detectFormat(null, "x.txt", "just text"), null);
+  });
+});
+
+describe("CSV", () => {
+  test("reads option columns, letter answers and passage sets", () => {
+    const csv = [
+      "text,option1,option2,option3,correctAnswer,setId,setOrder,tags",
+      '"Pick ""b""",a,b,,B,p1,2,x|y',
+      '"Multi\nline","c, d",e,f,0,,,',
+    ].join("\r\n");
+    const [first, second] = questions(csv, "csv");
+    assert.deepEqual(first, {
+      text: 'Pick "b"',
+      options: ["a", "b"],
+      correctAnswer: 1,
+      image: null,
+      setId: "p1",
+      setOrder: "2",
+      tags: ["x", "y"],
+    });
+    assert.equal(second.text, "Multi\nline");
+    assert.deepEqual(second.options, ["c, d", "e", "f"]);
+  });
+
+  test("semicolon files and empty options in the middle", () => {
+    const csv = "text;option1;option2;option3;correctAnswer\nQ;a;;c;0\n";
+    assert.deepEqual(questions(csv, "csv"), [
+      "'option2' is empty but later options are not",
+    ]);
+  });
+});
+
+describe("JSON", () => {
+  test("an array or a single-exam export", () => {
+    const list = [{ text: " Q ", options: ["a", "b"], correctAnswer: "b" }];
+    for (const content of [list, { questions: list }]) {
+      const [q] = questions(JSON.stringify(content), "json");
+      assert.equal(q.text, "Q");
+      assert.equal(q.correctAnswer, 1);
+    }
+    assert.match(questions("{oops", "json")[0], /^Invalid JSON/);
+    assert.deepEqual(questions("{}", "json"), [
+      "Expected an array of questions",
+    ]);
+  });
+});
+
+describe("Aiken", () => {
+  test("blocks of question, lettered options and ANSWER", () => {
+    const text = [
+      "What is 2+2?",
+      "A. 3",
+      "B) 4",
+      "ANSWER: B",
+      "",
+      "No answer here",
+      "A. x",
+      "",
+    ].join("\n");
+    const rows = parseQuestions(text, "aiken");
+    assert.deepEqual(rows[0].question.options, ["3", "4"]);
+    assert.equal(rows[0].question.correctAnswer, 1);
+    assert.deepEqual(rows[1], { row: 6, error: "Missing 'ANSWER:' line" });
+  });
+});
+
+describe("GIFT", () => {
+  test("one right answer, escapes and feedback", () => {
+    const text = [
+      "// comment",
+      "$CATEGORY: bio",
+      "::t1:: Cells have a \\{nucleus\\} {~no #nope =yes ~maybe}",
+      "",
+      "Two right {=a =b}",
+    ].join("\n");
+    const rows = parseQuestions(text, "gift");
+    assert.deepEqual(rows[0].question, {
+      text: "Cells have a {nucleus}",
+      options: ["no", "yes", "maybe"],
+      correctAnswer: 1,
+      image: null,
+      setId: null,
+      setOrder: null,
+    });
+    assert.equal(rows[1].error, "Only one correct (=) answer is supported");
+  });
+});
+
+describe("POST /exams/:examId/questions/import", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ seed: { ...ADMIN, ...exam("bio", []) } });
+  });
+  after(() => server?.stop());
+
+  const upload = (content, fields = {}) =>
+    server.call("POST", "/exams/bio/questions/import", {
+      token: "admin1",
+      form: multipart(fields, {
+        name: "bank.csv",
+        type: "text/csv",
+        content,
+      }),
+    });
+  const stored = async () =>
+    Object.keys(await server.readData()).filter((k) =>
+      k.startsWith("exams/bio/questions/"),
+    );
+
+  const GOOD = "text,option1,option2,correctAnswer\nQ1,a,b,0\nQ2,c,d,B\n";
+  const BAD = `${GOOD}Q3,e,f,5\n`;
+
+  test("a dry run reports per-row errors and writes nothing", async () => {
+    const res = await upload(BAD, { dryRun: "true" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.format, "csv");
+    assert.deepEqual(
+      [res.body.total, res.body.valid, res.body.invalid],
+      [3, 2, 1],
+    );
+    assert.equal(res.body.errors[0].row, 4);
+    assert.deepEqual(await stored(), []);
+  });
+
+  test("any invalid row rejects the whole file", async () => {
+    const res = await upload(BAD);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await stored(), []);
+  });
+
+  test("a clean file imports every row in file order", async () => {
+    const res = await upload(GOOD);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.imported, 2);
+    // createdAt keeps the file's order
+    const at = ({ createdAt: c }) => c._seconds * 1e9 + c._nanoseconds;
+    assert.deepEqual(
+      res.body.exam.questions
+        .sort((a, b) => at(a) - at(b))
+        .map((q) => [q.text, q.correctAnswer]),
+      [
+        ["Q1", 0],
+        ["Q2", 1],
+      ],
+    );
+    assert.equal((await stored()).length, 2);
+  });
+
+  test("needs an existing exam and a file", async () => {
+    const missing = await server.call("POST", "/exams/nope/questions/import", {
+      token: "admin1",
+      form: multipart({}, { name: "a.csv", type: "text/csv", content: GOOD }),
+    });
+    assert.equal(missing.status, 404);
+    const noFile = await server.call("POST", "/exams/bio/questions/import", {
+      token: "admin1",
+      form: multipart({}),
+    });
+    assert.equal(noFile.status, 400);
+  });
+});
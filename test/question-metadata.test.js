@@ -0,0 +1,117 @@
+// test/question-metadata.test.js — tags/difficulty/topic on questions and
+// difficulty-mix and tag filters in assembly
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, multipart, startServer } from "./helpers.js";
+
+const rated = (difficulty, n, over = {}) =>
+  Array.from({ length: n }, () => ({ difficulty, ...over }));
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...exam("phys", [
+        ...rated(1, 5, { tags: ["optics"] }),
+        ...rated(3, 5, { tags: ["optics", "waves"] }),
+        ...rated(5, 5, { tags: ["mechanics"] }),
+      ]),
+      ...exam("empty", [], { questionPercentage: 0 }),
+    },
+  });
+});
+after(() => server?.stop());
+
+const admin = (method, pathname, opts) =>
+  server.call(method, pathname, { token: "admin1", ...opts });
+const added = (res, text) => res.body.questions.find((q) => q.text === text);
+
+describe("question metadata", () => {
+  test("JSON questions store tags, difficulty and topic", async () => {
+    const res = await admin("POST", "/exams/empty/questions", {
+      body: {
+        text: "Lens",
+        options: ["a", "b"],
+        correctAnswer: 0,
+        tags: ["optics", "optics", " lens "],
+        difficulty: 4,
+        topic: "Refraction",
+      },
+    });
+    assert.equal(res.status, 200);
+    const q = added(res, "Lens");
+    assert.deepEqual(
+      [q.tags, q.difficulty, q.topic],
+      [["optics", "lens"], 4, "Refraction"],
+    );
+  });
+
+  test("multipart questions take the same fields as strings", async () => {
+    const res = await admin("POST", "/exams/empty/questions/upload", {
+      form: multipart({
+        text: "Prism",
+        options: JSON.stringify(["a", "b"]),
+        correctAnswer: "1",
+        tags: "optics,colour",
+        difficulty: "2",
+        topic: "",
+      }),
+    });
+    assert.equal(res.status, 200);
+    const q = added(res, "Prism");
+    assert.deepEqual(
+      [q.tags, q.difficulty, q.topic],
+      [["optics", "colour"], 2, null],
+    );
+  });
+
+  test("difficulty must be 1-5", async () => {
+    for (const difficulty of [0, 6, 2.5]) {
+      const res = await admin("POST", "/exams/empty/questions", {
+        body: { text: "X", options: ["a", "b"], correctAnswer: 0, difficulty },
+      });
+      assert.equal(res.status, 400, String(difficulty));
+    }
+  });
+});
+
+describe("assembly filters", () => {
+  const assemble = (query) =>
+    admin("GET", `/exams/assembled?base=10&seed=m&${query}`);
+
+  test("difficultyMix splits each exam's quota", async () => {
+    const res = await assemble("difficultyMix=easy:30,medium:50,hard:20");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.difficultyCounts, {
+      easy: 3,
+      medium: 5,
+      hard: 2,
+      unrated: 0,
+    });
+  });
+
+  test("a short bucket is topped up so the quota still holds", async () => {
+    const res = await assemble("difficultyMix=easy:100");
+    assert.equal(res.body.count, 10);
+    assert.equal(res.body.difficultyCounts.easy, 5);
+  });
+
+  test("tags filter with any/all", async () => {
+    const any = await assemble("tags=waves,mechanics");
+    assert.ok(
+      any.body.questions.every((q) => q.difficulty >= 3),
+      "only waves/mechanics questions",
+    );
+    const all = await assemble("tags=Optics,waves&tagMode=all");
+    assert.equal(all.body.count, 5);
+    assert.ok(all.body.questions.every((q) => q.tags.includes("waves")));
+  });
+
+  test("rejects a malformed mix", async () => {
+    for (const mix of ["easy", "tricky:10", "easy:0,hard:0"]) {
+      const res = await assemble(`difficultyMix=${mix}`);
+      assert.equal(res.status, 400, mix);
+    }
+  });
+});
@@ -0,0 +1,180 @@
+// test/requests.test.js — payment requests: statuses, reviewer and reason,
+// unique transaction IDs, cancel/resubmit, and the status backfill
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, startServer, student, ts } from "./helpers.js";
+
+const plan = (over = {}) => ({
+  name: "Monthly",
+  price: 300,
+  currency: "BDT",
+  durationDays: 30,
+  Board: null,
+  ExamYEar: null,
+  active: true,
+  createdAt: ts(),
+  ...over,
+});
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi"),
+      ...student("sumi"),
+      ...student("tanu", { request_sent: true }),
+      "plans/monthly": plan(),
+      "plans/retired": plan({ name: "Old", active: false }),
+      // from before statuses, plans and transaction claims
+      "requests/legacy": {
+        uid: "tanu",
+        transactionId: "LEGACY1",
+        createdAt: ts(),
+      },
+    },
+  });
+});
+after(() => server?.stop());
+
+const call = (token, method, pathname, body) =>
+  server.call(method, pathname, { token, body });
+const submit = (token, transactionId, planId = "monthly") =>
+  call(token, "POST", "/api/requests", { transactionId, planId });
+const history = async (uid) =>
+  (await call(uid, "GET", `/api/users/${uid}/requests`)).body.items;
+
+describe("POST /api/requests", () => {
+  test("stores a pending request with a normalized transaction ID", async () => {
+    const res = await submit("rafi", " tx 12ab ");
+    assert.equal(res.status, 201);
+    const [r] = await history("rafi");
+    assert.deepEqual(
+      [r.status, r.transactionId, r.plan.id],
+      ["pending", "TX12AB", "monthly"],
+    );
+    assert.equal((await submit("rafi", "OTHER1")).status, 400);
+  });
+
+  test("a transaction ID can only be used once, across accounts", async () => {
+    assert.equal((await submit("sumi", "tx12AB")).status, 409);
+    assert.equal((await submit("sumi", "legacy1")).status, 409);
+  });
+
+  test("rejects malformed IDs and retired plans", async () => {
+    assert.equal((await submit("sumi", "a!")).status, 400);
+    assert.equal((await submit("sumi", "SUMI01", "retired")).status, 400);
+  });
+});
+
+describe("reviewing", () => {
+  test("a rejection keeps the reason and reviewer; the student may resubmit", async () => {
+    const [pending] = await history("rafi");
+    const noReason = await call(
+      "admin1",
+      "PUT",
+      `/api/requests/reject/${pending.id}`,
+      {},
+    );
+    assert.equal(noReason.status, 400);
+
+    const res = await call(
+      "admin1",
+      "PUT",
+      `/api/requests/reject/${pending.id}`,
+      { reason: "Amount did not match" },
+    );
+    assert.equal(res.status, 200);
+    const [rejected] = await history("rafi");
+    assert.equal(rejected.status, "rejected");
+    assert.equal(rejected.rejectionReason, "Amount did not match");
+    assert.equal(rejected.reviewedBy.uid, "admin1");
+
+    const again = await call(
+      "admin1",
+      "PUT",
+      `/api/requests/approve/${pending.id}`,
+    );
+    assert.equal(again.status, 409);
+
+    assert.equal((await submit("rafi", "TX12AB")).status, 409);
+    assert.equal((await submit("rafi", "TX99ZZ")).status, 201);
+    assert.deepEqual(
+      (await history("rafi")).map((r) => r.status),
+      ["pending", "rejected"],
+    );
+  });
+
+  test("approval validates the user", async () => {
+    const [pending] = await history("rafi");
+    const res = await call(
+      "admin1",
+      "PUT",
+      `/api/requests/approve/${pending.id}`,
+    );
+    assert.equal(res.status, 200);
+    const user = (await call("rafi", "GET", "/api/users/rafi")).body;
+    assert.equal(user.is_validated, true);
+    assert.equal(user.request_sent, false);
+  });
+
+  test("only the owner or an admin may cancel", async () => {
+    await submit("sumi", "SUMI01");
+    const [mine] = await history("sumi");
+    const other = await call("rafi", "PUT", `/api/requests/${mine.id}/cancel`);
+    assert.equal(other.status, 403);
+    const own = await call("sumi", "PUT", `/api/requests/${mine.id}/cancel`);
+    assert.equal(own.status, 200);
+    assert.equal((await history("sumi"))[0].status, "cancelled");
+    assert.equal((await submit("sumi", "SUMI02")).status, 201);
+  });
+
+  test("students only read their own history", async () => {
+    const res = await call("sumi", "GET", "/api/users/rafi/requests");
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("legacy requests", () => {
+  test("backfill-status stores pending and claims the ID", async () => {
+    const dry = await call(
+      "admin1",
+      "POST",
+      "/api/requests/migrations/backfill-status?dryRun=true",
+    );
+    assert.equal(dry.status, 200);
+    assert.equal(dry.body.statuses, 1);
+    const unmigrated = await call(
+      "admin1",
+      "GET",
+      "/api/requests?status=pending&uid=tanu",
+    );
+    assert.deepEqual(unmigrated.body.items, []);
+
+    const run = await call(
+      "admin1",
+      "POST",
+      "/api/requests/migrations/backfill-status",
+    );
+    assert.equal(run.body.statuses, 1);
+    const data = await server.readData();
+    assert.equal(data["request_transactions/LEGACY1"].requestId, "legacy");
+    const pending = await call(
+      "admin1",
+      "GET",
+      "/api/requests?status=pending&uid=tanu",
+    );
+    assert.deepEqual(
+      pending.body.items.map((r) => r.id),
+      ["legacy"],
+    );
+  });
+
+  test("approving one needs a plan picked", async () => {
+    const url = "/api/requests/approve/legacy";
+    assert.equal((await call("admin1", "PUT", url, {})).status, 400);
+    const res = await call("admin1", "PUT", url, { planId: "monthly" });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.subscription.validUntil);
+  });
+});
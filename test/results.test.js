@@ -0,0 +1,124 @@
+// test/results.test.js — users/{uid}/results history with per-chapter
+// counts, its paginated list and the summary aggregates
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student, ts } from "./helpers.js";
+
+const chapter = (examId, correct, total) => ({
+  examId,
+  title: examId,
+  correct,
+  total,
+});
+const result = (id, score, at, chapters) => ({
+  [`users/mina/results/${id}`]: {
+    attemptId: null,
+    score,
+    correct: 0,
+    total: 0,
+    chapters,
+    createdAt: ts(at),
+  },
+});
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("mina"),
+      ...student("other"),
+      ...result("r1", 40, 1700000000, [chapter("optics", 1, 5)]),
+      ...result("r2", 60, 1700001000, [chapter("waves", 3, 5)]),
+      ...result("r3", 90, 1700002000, [
+        chapter("optics", 4, 5),
+        chapter("waves", 5, 5),
+      ]),
+      ...exam("algebra", [{}, {}]),
+      ...exam("calculus", [{}]),
+    },
+  });
+});
+after(() => server?.stop());
+
+const get = (pathname, token = "mina") =>
+  server.call("GET", pathname, { token });
+
+describe("GET /api/users/:uid/results", () => {
+  test("pages newest first", async () => {
+    const first = await get("/api/users/mina/results?limit=2");
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.items.map((r) => r.id),
+      ["r3", "r2"],
+    );
+    assert.equal(first.body.items[0].createdAt, "2023-11-14T22:46:40.000Z");
+    assert.ok(first.body.nextCursor);
+
+    const rest = await get(
+      `/api/users/mina/results?limit=2&cursor=${first.body.nextCursor}`,
+    );
+    assert.deepEqual(
+      rest.body.items.map((r) => r.id),
+      ["r1"],
+    );
+    assert.equal(rest.body.nextCursor, null);
+  });
+
+  test("only the user and admins can read it", async () => {
+    assert.equal((await get("/api/users/mina/results", "other")).status, 403);
+    assert.equal((await get("/api/users/mina/results", "admin1")).status, 200);
+  });
+});
+
+describe("GET /api/users/:uid/results/summary", () => {
+  test("averages, best, trend and weakest chapters", async () => {
+    const res = await get("/api/users/mina/results/summary?last=2");
+    assert.equal(res.status, 200);
+    const { count, average, best, trend, weakestChapters } = res.body;
+    assert.deepEqual([count, average, best], [3, 63.3, 90]);
+    assert.equal(trend.change, 30);
+    assert.deepEqual(
+      trend.points.map((p) => p.id),
+      ["r2", "r3"],
+    );
+    assert.deepEqual(
+      weakestChapters.map((c) => [c.examId, c.accuracy]),
+      [
+        ["optics", 50],
+        ["waves", 80],
+      ],
+    );
+  });
+});
+
+describe("submitting an attempt", () => {
+  test("adds a result with correct/total per chapter", async () => {
+    const started = await server.call("POST", "/attempts", {
+      token: "other",
+      body: { base: 3, seed: "s" },
+    });
+    assert.equal(started.status, 201);
+    const res = await server.call(
+      "POST",
+      `/attempts/${started.body.id}/submit`,
+      { token: "other", body: { answers: { "algebra-q1": 0 } } },
+    );
+    assert.equal(res.status, 200);
+
+    const list = await get("/api/users/other/results", "other");
+    assert.equal(list.body.items.length, 1);
+    const [row] = list.body.items;
+    assert.equal(row.attemptId, started.body.id);
+    assert.equal(row.score, 33);
+    assert.deepEqual(
+      row.chapters
+        .map((c) => [c.examId, c.title, c.correct, c.total])
+        .sort((a, b) => a[0].localeCompare(b[0])),
+      [
+        ["algebra", "algebra", 1, 2],
+        ["calculus", "calculus", 0, 1],
+      ],
+    );
+  });
+});
@@ -0,0 +1,101 @@
+// test/revisions.test.js — question revisions: who changed what, field
+// diffs between revisions, and restoring an earlier version
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, multipart, startServer, student } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi"),
+      ...exam("bio", [{ text: "Original", options: ["a", "b"] }]),
+    },
+  });
+});
+after(() => server?.stop());
+
+const Q = "/exams/bio/questions/bio-q1";
+const admin = (method, pathname, opts) =>
+  server.call(method, pathname, { token: "admin1|admin@example.com", ...opts });
+const revisions = async () => (await admin("GET", `${Q}/revisions`)).body.items;
+const current = async () =>
+  (await admin("GET", "/exams?limit=200")).body.items
+    .find((e) => e.id === "bio")
+    .questions.find((q) => q.id === "bio-q1");
+
+describe("question revisions", () => {
+  test("each edit stores who, when and the previous values", async () => {
+    await admin("PUT", Q, { body: { correctAnswer: 1 } });
+    await admin("PUT", Q, { body: { correctAnswer: 1 } }); // no change
+    await admin("PUT", `${Q}/upload`, {
+      form: multipart({ text: "Edited" }),
+    });
+
+    const [latest, first] = await revisions();
+    assert.equal(first.action, "update");
+    assert.deepEqual(first.by, { uid: "admin1", email: "admin@example.com" });
+    assert.ok(first.createdAt);
+    assert.equal(first.data.correctAnswer, 0);
+    assert.deepEqual(first.changes, [
+      { field: "correctAnswer", from: 0, to: 1 },
+    ]);
+    assert.deepEqual(latest.changes, [
+      { field: "text", from: "Original", to: "Edited" },
+    ]);
+    assert.equal((await revisions()).length, 2);
+  });
+
+  test("diffs a revision against another or the current question", async () => {
+    const [latest, first] = await revisions();
+    const toCurrent = await admin(
+      "GET",
+      `${Q}/revisions/diff?from=${first.id}`,
+    );
+    assert.equal(toCurrent.status, 200);
+    assert.equal(toCurrent.body.to.id, "current");
+    assert.deepEqual(
+      toCurrent.body.changes.map((c) => c.field),
+      ["text", "correctAnswer"],
+    );
+
+    const between = await admin(
+      "GET",
+      `${Q}/revisions/diff?from=${first.id}&to=${latest.id}`,
+    );
+    assert.deepEqual(between.body.changes, [
+      { field: "correctAnswer", from: 0, to: 1 },
+    ]);
+    const missing = await admin("GET", `${Q}/revisions/diff?from=nope`);
+    assert.equal(missing.status, 404);
+  });
+
+  test("restores an earlier version and records the restore", async () => {
+    const [, first] = await revisions();
+    const res = await admin("POST", `${Q}/revisions/${first.id}/restore`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Question restored");
+
+    const q = await current();
+    assert.deepEqual([q.text, q.correctAnswer], ["Original", 0]);
+    const [restore] = await revisions();
+    assert.equal(restore.action, "restore");
+    assert.equal(restore.restoredFrom, first.id);
+    assert.equal(restore.data.text, "Edited");
+  });
+
+  test("deletes are revisions too and list per exam", async () => {
+    await admin("DELETE", Q);
+    const res = await admin("GET", "/exams/bio/revisions?action=delete");
+    assert.deepEqual(
+      res.body.items.map((r) => [r.questionId, r.data.text]),
+      [["bio-q1", "Original"]],
+    );
+  });
+
+  test("admins only", async () => {
+    const res = await server.call("GET", `${Q}/revisions`, { token: "rafi" });
+    assert.equal(res.status, 403);
+  });
+});
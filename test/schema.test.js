@@ -0,0 +1,116 @@
+// test/schema.test.js — lib/schema.js coercion and issues
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { check, s } from "../lib/schema.js";
+
+describe("check", () => {
+  test("coerces form and query strings", () => {
+    const schema = s.object({
+      n: s.int(),
+      on: s.boolean(),
+      at: s.date(),
+      tags: s.array(s.string(), { split: ",", unique: true, compact: true }),
+      options: s.array(s.string()),
+      meta: s.object({ a: s.number() }),
+    });
+    const { value, issues } = check(schema, {
+      n: "3",
+      on: "TRUE",
+      at: "2024-01-02T00:00:00Z",
+      tags: "a,b,,a",
+      options: '["x","y"]',
+      meta: '{"a":1.5}',
+    });
+    assert.deepEqual(issues, []);
+    assert.deepEqual(value, {
+      n: 3,
+      on: true,
+      at: new Date("2024-01-02T00:00:00Z"),
+      tags: ["a", "b"],
+      options: ["x", "y"],
+      meta: { a: 1.5 },
+    });
+  });
+
+  test("drops undeclared keys and leaves absent optional ones out", () => {
+    const schema = s.object({
+      title: s.string({ min: 1 }),
+      note: s.string().optional(),
+      count: s.int().default(() => 0),
+    });
+    assert.deepEqual(check(schema, { title: " Hi ", extra: 1 }).value, {
+      title: "Hi",
+      count: 0,
+    });
+    assert.deepEqual(check(schema.partial(), {}).value, {});
+  });
+
+  test("blank strings are missing, or null when nullable", () => {
+    const schema = s.object({
+      a: s.int().optional(),
+      b: s.int().nullable(),
+      c: s.string().optional(),
+    });
+    assert.deepEqual(check(schema, { a: "", b: "", c: "" }).value, {
+      b: null,
+      c: "",
+    });
+  });
+
+  test("reports every issue with its field path", () => {
+    const schema = s.object({
+      title: s.string({ min: 1, max: 5 }),
+      level: s.enum(["easy", "hard"], { lowercase: true }),
+      options: s.array(s.string({ min: 1 }), { min: 2 }),
+      nested: s.object({ when: s.date() }),
+    });
+    const { value, issues } = check(schema, {
+      title: "Too long",
+      level: "medium",
+      options: ["a", ""],
+      nested: { when: "soon" },
+    });
+    assert.equal(value, undefined);
+    assert.deepEqual(
+      issues.map((i) => [i.field, i.code]),
+      [
+        ["title", "too_big"],
+        ["level", "invalid_enum"],
+        ["options[1]", "too_small"],
+        ["nested.when", "invalid_date"],
+      ],
+    );
+    assert.equal(issues[0].message, "'title' must have at most 5 characters");
+  });
+
+  test("required, null and type errors", () => {
+    const schema = s.object({ n: s.int({ min: 1 }), f: s.number() });
+    assert.deepEqual(
+      check(schema, { f: null }).issues.map((i) => [i.field, i.code]),
+      [
+        ["n", "required"],
+        ["f", "invalid_type"],
+      ],
+    );
+    assert.equal(
+      check(schema, { n: "1.5", f: 1 }).issues[0].message,
+      "'n' must be an integer",
+    );
+    assert.equal(check(s.array(s.int()), "[1,").issues[0].code, "invalid_json");
+  });
+
+  test("refine and transform run in order", () => {
+    const schema = s
+      .object({ from: s.int(), to: s.int() })
+      .refine((v) =>
+        v.to < v.from
+          ? { field: "to", message: "'to' is before 'from'" }
+          : null,
+      )
+      .transform((v) => v.to - v.from);
+    assert.equal(check(schema, { from: 1, to: 4 }).value, 3);
+    assert.deepEqual(check(schema, { from: 4, to: 1 }).issues, [
+      { field: "to", code: "invalid", message: "'to' is before 'from'" },
+    ]);
+  });
+});
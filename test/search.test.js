@@ -0,0 +1,132 @@
+// test/search.test.js — tokenizer/scoring and GET /api/search kept in step
+// with question, note and announcement writes
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  indexFields,
+  queryTerms,
+  scoreEntry,
+  tokenize,
+} from "../lib/search-text.js";
+import { ADMIN, startServer, student } from "./helpers.js";
+
+describe("lib/search-text", () => {
+  test("tokenizes English and Bangla, keeping vowel signs in words", () => {
+    assert.deepEqual(tokenize("Cell-Membrane, OSMOSIS!"), [
+      "cell",
+      "membrane",
+      "osmosis",
+    ]);
+    assert.deepEqual(tokenize("কোষের বিভাজন। ১০টি"), [
+      "কোষের",
+      "বিভাজন",
+      "১০টি",
+    ]);
+  });
+
+  test("indexes prefixes so partial words match", () => {
+    const { terms } = indexFields({ text: "osmosis" });
+    assert.ok(terms.includes("os"));
+    assert.ok(terms.includes("osmo"));
+    assert.ok(!terms.includes("o"));
+    assert.deepEqual(queryTerms("Osmo osmo cell"), ["osmo", "cell"]);
+  });
+
+  test("exact beats prefix, weighted fields beat plain ones", () => {
+    const weights = { title: 3, body: 1 };
+    const exact = scoreEntry(["cell"], { title: ["cell"] }, weights);
+    const prefix = scoreEntry(["cell"], { title: ["cellular"] }, weights);
+    const body = scoreEntry(["cell"], { body: ["cell"] }, weights);
+    assert.deepEqual([exact.score, prefix.score, body.score], [3, 1.5, 1]);
+    const both = scoreEntry(["cell", "wall"], { body: ["cell", "wall"] }, {});
+    assert.deepEqual(both, { score: 3, matched: 2 });
+  });
+});
+
+describe("GET /api/search", () => {
+  let server;
+  let examId;
+  const admin = (method, pathname, opts) =>
+    server.call(method, pathname, { token: "admin1", ...opts });
+  const search = async (query, token = "admin1") => {
+    const res = await server.call("GET", `/api/search?${query}`, { token });
+    assert.equal(res.status, 200);
+    return res.body.items;
+  };
+  before(async () => {
+    server = await startServer({ seed: { ...ADMIN, ...student("rafi") } });
+    const exam = await admin("POST", "/exams", { body: { title: "Biology" } });
+    examId = exam.body.id;
+    for (const text of [
+      "What drives osmosis?",
+      "কোষের প্রাচীর কী দিয়ে তৈরি?",
+    ]) {
+      await admin("POST", `/exams/${examId}/questions`, {
+        body: { text, options: ["a", "b"], correctAnswer: 0 },
+      });
+    }
+    await admin("POST", "/api/announcements/", {
+      body: { title: "Osmosis lab", content: "Bring beakers" },
+    });
+  });
+  after(() => server?.stop());
+
+  test("finds questions by prefix and names their exam", async () => {
+    const items = await search("q=osmo&types=question");
+    assert.equal(items.length, 1);
+    assert.equal(items[0].title, "What drives osmosis?");
+    assert.deepEqual(items[0].source, {
+      collection: "exams",
+      examId,
+      examTitle: "Biology",
+    });
+  });
+
+  test("finds Bangla text by a word prefix", async () => {
+    const items = await search(`q=${encodeURIComponent("কোষ")}`);
+    assert.deepEqual(
+      items.map((i) => i.kind),
+      ["question"],
+    );
+  });
+
+  test("ranks across kinds and hides questions from students", async () => {
+    const all = await search("q=osmosis");
+    assert.deepEqual(
+      all.map((i) => i.kind),
+      ["announcement", "question"],
+    );
+    const forStudent = await search("q=osmosis", "rafi");
+    assert.deepEqual(
+      forStudent.map((i) => i.kind),
+      ["announcement"],
+    );
+    const res = await server.call("GET", "/api/search?q=x&types=question", {
+      token: "rafi",
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test("follows question edits and deletes", async () => {
+    const [hit] = await search("q=osmosis&types=question");
+    await admin("PUT", `/exams/${examId}/questions/${hit.id}`, {
+      body: { text: "What drives diffusion?" },
+    });
+    assert.deepEqual(await search("q=osmosis&types=question"), []);
+    assert.equal((await search("q=diffusion")).length, 1);
+
+    await admin("DELETE", `/exams/${examId}/questions/${hit.id}`);
+    assert.deepEqual(await search("q=diffusion"), []);
+  });
+
+  test("reindex rebuilds the index from the collections", async () => {
+    const res = await admin("POST", "/api/search/reindex");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.indexed, {
+      question: 1,
+      note: 0,
+      announcement: 1,
+    });
+    assert.equal((await search("q=beakers")).length, 1);
+  });
+});
@@ -0,0 +1,134 @@
+// test/seen.test.js — users/{uid}/seen history: papers prefer unseen and
+// previously-wrong questions, with a cool-down, without splitting sets
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, exam, startServer, student, ts } from "./helpers.js";
+
+const now = Math.floor(Date.now() / 1000);
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("rafi"),
+      ...student("sumi"),
+      ...exam("bio", [
+        {},
+        {},
+        {},
+        {},
+        { id: "set-1", setId: "cell", setOrder: 1 },
+        { id: "set-2", setId: "cell", setOrder: 2 },
+      ]),
+      // sumi: q1 answered wrong long ago, q2..q4 served today
+      "users/sumi/seen/bio_bio-q1": {
+        examId: "bio",
+        questionId: "bio-q1",
+        lastServedAt: ts(now - 60 * 86400),
+        lastCorrect: false,
+      },
+      ...Object.fromEntries(
+        ["bio-q2", "bio-q3", "bio-q4"].map((id) => [
+          `users/sumi/seen/bio_${id}`,
+          { examId: "bio", questionId: id, lastServedAt: ts(now - 60) },
+        ]),
+      ),
+    },
+  });
+});
+after(() => server?.stop());
+
+const ids = (paper) => paper.questions.map((q) => q.id).sort();
+const seenDocs = async (uid) =>
+  Object.keys(await server.readData())
+    .filter((k) => k.startsWith(`users/${uid}/seen/`))
+    .map((k) => k.split("/").pop())
+    .sort();
+
+describe("GET /exams/assembled?uid=", () => {
+  test("prefers wrong answers, then unseen, and records nothing", async () => {
+    const res = await server.call(
+      "GET",
+      "/exams/assembled?base=3&seed=x&uid=sumi",
+      { token: "sumi" },
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(ids(res.body), ["bio-q1", "set-1", "set-2"]);
+    assert.ok(res.body.seenVersion);
+    assert.deepEqual(await seenDocs("sumi"), [
+      "bio_bio-q1",
+      "bio_bio-q2",
+      "bio_bio-q3",
+      "bio_bio-q4",
+    ]);
+  });
+
+  test("cooldownDays=0 stops avoiding recent questions", async () => {
+    const papers = new Set();
+    for (const seed of ["a", "b", "c", "d", "e", "f"]) {
+      const res = await server.call(
+        "GET",
+        `/exams/assembled?base=3&seed=${seed}&uid=sumi&cooldownDays=0`,
+        { token: "sumi" },
+      );
+      papers.add(ids(res.body).join());
+    }
+    assert.ok(
+      [...papers].some((p) => /bio-q[234]/.test(p)),
+      "recent questions come back once the cool-down is off",
+    );
+  });
+
+  test("only the user or an admin may personalise", async () => {
+    const res = await server.call("GET", "/exams/assembled?uid=sumi", {
+      token: "rafi",
+    });
+    assert.equal(res.status, 403);
+    const admin = await server.call("GET", "/exams/assembled?uid=sumi", {
+      token: "admin1",
+    });
+    assert.equal(admin.status, 200);
+  });
+});
+
+describe("POST /attempts", () => {
+  test("records what was served and avoids it next time", async () => {
+    const first = await server.call("POST", "/attempts", {
+      token: "rafi",
+      body: { base: 3, seed: "one" },
+    });
+    assert.equal(first.status, 201);
+    const served = ids(first.body);
+    assert.deepEqual(
+      await seenDocs("rafi"),
+      served.map((id) => `bio_${id}`).sort(),
+    );
+
+    const second = await server.call("POST", "/attempts", {
+      token: "rafi",
+      body: { base: 3, seed: "two" },
+    });
+    assert.deepEqual(
+      ids(second.body).filter((id) => served.includes(id)),
+      [],
+    );
+
+    const data = await server.readData();
+    const stored = data[`attempts/${second.body.id}`];
+    assert.deepEqual(
+      stored.seen.recent,
+      served.map((id) => `bio_${id}`),
+    );
+    assert.equal(data[`users/rafi/seen/bio_${served[0]}`].timesServed, 1);
+  });
+
+  test("avoidSeen=false ignores the history", async () => {
+    const res = await server.call("POST", "/attempts", {
+      token: "rafi",
+      body: { base: 3, seed: "three", avoidSeen: false },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.seenVersion, null);
+  });
+});
@@ -0,0 +1,124 @@
+// test/storage.test.js — question images are removed with their last
+// question (replace, remove, purge), and POST /api/storage/gc
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { ADMIN, exam, multipart, startServer } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: { ...ADMIN, ...exam("bio", []), ...exam("chem", []) },
+  });
+});
+after(() => server?.stop());
+
+const admin = (method, pathname, opts) =>
+  server.call(method, pathname, { token: "admin1", ...opts });
+const png = (name = "cell.png") => ({
+  field: "image",
+  name,
+  type: "image/png",
+  content: "\x89PNG fake",
+});
+const imageFiles = () =>
+  fs.existsSync(path.join(server.uploadsDir, "question-images"))
+    ? fs.readdirSync(path.join(server.uploadsDir, "question-images")).sort()
+    : [];
+const objectOf = (q) =>
+  decodeURIComponent(new URL(q.image).pathname).split("/").pop();
+
+async function questionWithImage(examId, text) {
+  const res = await admin("POST", `/exams/${examId}/questions/upload`, {
+    form: multipart(
+      { text, options: JSON.stringify(["a", "b"]), correctAnswer: "0" },
+      png(),
+    ),
+  });
+  assert.equal(res.status, 200);
+  return res.body.questions.find((q) => q.text === text);
+}
+
+describe("question images", () => {
+  test("replacing an image deletes the old object", async () => {
+    const q = await questionWithImage("bio", "Replace me");
+    const old = objectOf(q);
+    assert.ok(imageFiles().includes(old));
+
+    const res = await admin("PUT", `/exams/bio/questions/${q.id}/upload`, {
+      form: multipart({}, png("new.png")),
+    });
+    assert.equal(res.status, 200);
+    const updated = res.body.questions.find((x) => x.id === q.id);
+    assert.ok(!imageFiles().includes(old));
+    assert.ok(imageFiles().includes(objectOf(updated)));
+
+    await admin("PUT", `/exams/bio/questions/${q.id}/upload`, {
+      form: multipart({ removeImage: "true" }),
+    });
+    assert.ok(!imageFiles().includes(objectOf(updated)));
+  });
+
+  test("a deleted question keeps its image until the trash is purged", async () => {
+    const q = await questionWithImage("bio", "Delete me");
+    const name = objectOf(q);
+    const del = await admin("DELETE", `/exams/bio/questions/${q.id}`);
+    assert.ok(imageFiles().includes(name), "restorable from trash");
+
+    await admin("DELETE", `/api/trash/${del.body.trashId}`);
+    assert.ok(!imageFiles().includes(name));
+  });
+
+  test("an image another question still uses is kept", async () => {
+    const q = await questionWithImage("chem", "Shared");
+    await admin("POST", "/exams/bio/questions", {
+      body: {
+        text: "Copy",
+        options: ["a", "b"],
+        correctAnswer: 0,
+        image: q.image,
+      },
+    });
+    const del = await admin("DELETE", "/exams/chem");
+    await admin("DELETE", `/api/trash/${del.body.trashId}`);
+    assert.ok(imageFiles().includes(objectOf(q)));
+  });
+});
+
+describe("POST /api/storage/gc", () => {
+  before(() => {
+    for (const [dir, name] of [
+      ["question-images", "orphan.png"],
+      ["notes", "orphan.pdf"],
+    ]) {
+      fs.mkdirSync(path.join(server.uploadsDir, dir), { recursive: true });
+      fs.writeFileSync(path.join(server.uploadsDir, dir, name), "x");
+    }
+  });
+
+  test("reports unreferenced objects; recent ones stay in grace", async () => {
+    const dry = await admin("POST", "/api/storage/gc", {
+      body: { dryRun: true, graceHours: 1 },
+    });
+    assert.equal(dry.status, 200);
+    assert.deepEqual(dry.body.items.map((i) => [i.path, i.action]).sort(), [
+      ["notes/orphan.pdf", "kept"],
+      ["question-images/orphan.png", "kept"],
+    ]);
+    assert.equal(dry.body.orphaned, 2);
+    assert.equal(dry.body.inGrace, 2);
+    assert.equal(dry.body.referenced, dry.body.scanned - 2);
+
+    const run = await admin("POST", "/api/storage/gc", { body: {} });
+    assert.equal(run.body.deleted, 0);
+    assert.ok(imageFiles().includes("orphan.png"));
+  });
+
+  test("admins only", async () => {
+    const res = await server.call("POST", "/api/storage/gc", {
+      token: "nobody",
+    });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,164 @@
+// test/subscriptions.test.js — plans, subscriptions granted and renewed on
+// approval, read-time expiry, and the expiring-subscriptions list
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, startServer, student, ts } from "./helpers.js";
+
+const DAY = 86400;
+const now = Math.floor(Date.now() / 1000);
+const plan = (over = {}) => ({
+  name: "Season",
+  price: 500,
+  currency: "BDT",
+  durationDays: 30,
+  Board: null,
+  ExamYEar: null,
+  active: true,
+  createdAt: ts(),
+  ...over,
+});
+const subscribed = (days) => ({
+  is_validated: true,
+  subscription: {
+    planId: "season",
+    planName: "Season",
+    validFrom: ts(now - DAY),
+    validUntil: ts(now + days * DAY),
+    requestId: null,
+  },
+});
+
+let server;
+before(async () => {
+  server = await startServer({
+    seed: {
+      ...ADMIN,
+      ...student("dhaka", { Board: "Dhaka", ExamYEar: 2026 }),
+      ...student("renew", { Board: "Dhaka", ...subscribed(10) }),
+      ...student("soon", { Board: "Sylhet", ...subscribed(3) }),
+      ...student("lapsed", subscribed(-1)),
+      ...student("legacy", { is_validated: true }),
+      "plans/season": plan({ createdAt: ts(1) }),
+      "plans/dhaka26": plan({
+        name: "Dhaka 2026",
+        Board: "Dhaka",
+        ExamYEar: 2026,
+        createdAt: ts(2),
+      }),
+      "plans/sylhet": plan({
+        name: "Sylhet",
+        Board: "Sylhet",
+        createdAt: ts(3),
+      }),
+    },
+  });
+});
+after(() => server?.stop());
+
+const call = (token, method, pathname, body) =>
+  server.call(method, pathname, { token, body });
+const user = async (uid) => (await call(uid, "GET", `/api/users/${uid}`)).body;
+const untilMs = (u) => u.subscription.validUntil._seconds * 1000;
+
+describe("plans", () => {
+  test("students see active plans for their Board/ExamYEar", async () => {
+    const res = await call("dhaka", "GET", "/api/plans");
+    assert.deepEqual(
+      res.body.items.map((p) => p.id),
+      ["season", "dhaka26"],
+    );
+    const all = await call("admin1", "GET", "/api/plans");
+    assert.equal(all.body.items.length, 3);
+  });
+
+  test("admins create and retire plans", async () => {
+    const created = await call("admin1", "POST", "/api/plans", {
+      name: "Week",
+      price: 100,
+      durationDays: 7,
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.currency, "BDT");
+    await call("admin1", "DELETE", `/api/plans/${created.body.id}`);
+    const active = await call("admin1", "GET", "/api/plans?active=true");
+    assert.ok(!active.body.items.some((p) => p.id === created.body.id));
+
+    const res = await call("dhaka", "POST", "/api/plans", {
+      name: "Free",
+      price: 0,
+      durationDays: 365,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("a request must pick a plan offered to the student", async () => {
+    const res = await call("dhaka", "POST", "/api/requests", {
+      transactionId: "DH0001",
+      planId: "sylhet",
+    });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("subscriptions", () => {
+  const approve = async (uid, transactionId, planId) => {
+    const sent = await call(uid, "POST", "/api/requests", {
+      transactionId,
+      planId,
+    });
+    assert.equal(sent.status, 201);
+    const res = await call(
+      "admin1",
+      "PUT",
+      `/api/requests/approve/${sent.body.id}`,
+    );
+    assert.equal(res.status, 200);
+    return user(uid);
+  };
+
+  test("approval grants the plan's duration from now", async () => {
+    const u = await approve("dhaka", "DH0002", "dhaka26");
+    assert.equal(u.is_validated, true);
+    assert.equal(u.subscription.planId, "dhaka26");
+    const expected = Date.now() + 30 * DAY * 1000;
+    assert.ok(Math.abs(untilMs(u) - expected) < 60 * 1000);
+  });
+
+  test("a renewal extends from the current expiry", async () => {
+    const was = untilMs(await user("renew"));
+    const u = await approve("renew", "RN0001", "season");
+    assert.equal(untilMs(u), was + 30 * DAY * 1000);
+  });
+
+  test("access lapses at validUntil without a job", async () => {
+    assert.equal((await user("lapsed")).is_validated, false);
+    assert.equal((await user("legacy")).is_validated, true);
+    const validated = await call(
+      "admin1",
+      "GET",
+      "/api/users?is_validated=true&limit=200",
+    );
+    const ids = validated.body.items.map((u) => u.id);
+    assert.ok(!ids.includes("lapsed"));
+    assert.ok(ids.includes("soon"));
+  });
+
+  test("lists subscriptions ending within the window", async () => {
+    const res = await call(
+      "admin1",
+      "GET",
+      "/api/subscriptions/expiring?days=14",
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.items.map((i) => [i.uid, i.daysLeft]),
+      [["soon", 3]],
+    );
+    const dhakaOnly = await call(
+      "admin1",
+      "GET",
+      "/api/subscriptions/expiring?days=14&Board=Dhaka",
+    );
+    assert.deepEqual(dhakaOnly.body.items, []);
+  });
+});
@@ -0,0 +1,139 @@
+// test/trash.test.js — soft delete, trash restore/purge, and undeleting a
+// question through its revision history
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, startServer } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({ seed: ADMIN });
+});
+after(() => server?.stop());
+
+const admin = (method, pathname, body) =>
+  server.call(method, pathname, { token: "admin1", body });
+
+async function examWithQuestion(title) {
+  const exam = await admin("POST", "/exams", { title });
+  assert.equal(exam.status, 201);
+  const res = await admin("POST", `/exams/${exam.body.id}/questions`, {
+    text: `${title} question`,
+    options: ["a", "b"],
+    correctAnswer: 1,
+  });
+  assert.equal(res.status, 200);
+  return { examId: exam.body.id, questionId: res.body.questions[0].id };
+}
+
+const liveExam = async (examId) => {
+  const res = await admin("GET", "/exams?limit=200");
+  assert.equal(res.status, 200);
+  return res.body.items.find((e) => e.id === examId) ?? null;
+};
+const questionIds = async (examId) =>
+  (await liveExam(examId)).questions.map((q) => q.id);
+
+describe("question trash", () => {
+  test("delete moves it to trash; restore brings it back once", async () => {
+    const { examId, questionId } = await examWithQuestion("Cells");
+    const del = await admin(
+      "DELETE",
+      `/exams/${examId}/questions/${questionId}`,
+    );
+    assert.equal(del.status, 200);
+    assert.deepEqual(await questionIds(examId), []);
+
+    const listed = await admin(
+      "GET",
+      `/api/trash?kind=question&examId=${examId}`,
+    );
+    assert.deepEqual(
+      listed.body.items.map((i) => i.originalId),
+      [questionId],
+    );
+
+    const restored = await admin(
+      "POST",
+      `/api/trash/${del.body.trashId}/restore`,
+    );
+    assert.equal(restored.status, 200);
+    assert.deepEqual(await questionIds(examId), [questionId]);
+    const again = await admin("POST", `/api/trash/${del.body.trashId}/restore`);
+    assert.equal(again.status, 404);
+  });
+
+  test("purge deletes the entry for good", async () => {
+    const { examId, questionId } = await examWithQuestion("Tissues");
+    const del = await admin(
+      "DELETE",
+      `/exams/${examId}/questions/${questionId}`,
+    );
+    const purged = await admin("DELETE", `/api/trash/${del.body.trashId}`);
+    assert.equal(purged.status, 200);
+    const gone = await admin("GET", `/api/trash/${del.body.trashId}`);
+    assert.equal(gone.status, 404);
+    assert.deepEqual(await questionIds(examId), []);
+  });
+
+  test("undeleting through a revision consumes the trash entry", async () => {
+    const { examId, questionId } = await examWithQuestion("Organs");
+    const del = await admin(
+      "DELETE",
+      `/exams/${examId}/questions/${questionId}`,
+    );
+    const revs = await admin(
+      "GET",
+      `/exams/${examId}/questions/${questionId}/revisions?action=delete`,
+    );
+    assert.equal(revs.body.items.length, 1);
+
+    const undo = await admin(
+      "POST",
+      `/exams/${examId}/questions/${questionId}/revisions/${revs.body.items[0].id}/restore`,
+    );
+    assert.equal(undo.status, 200);
+    assert.equal(undo.body.message, "Question undeleted");
+    assert.deepEqual(await questionIds(examId), [questionId]);
+
+    const entry = await admin("GET", `/api/trash/${del.body.trashId}`);
+    assert.equal(entry.status, 404);
+    const restore = await admin(
+      "POST",
+      `/api/trash/${del.body.trashId}/restore`,
+    );
+    assert.equal(restore.status, 404);
+  });
+});
+
+describe("exam trash", () => {
+  test("an exam comes back with its questions", async () => {
+    const { examId, questionId } = await examWithQuestion("Genetics");
+    const del = await admin("DELETE", `/exams/${examId}`);
+    assert.equal(del.status, 200);
+    assert.equal(await liveExam(examId), null);
+
+    const entry = await admin("GET", `/api/trash/${del.body.trashId}`);
+    assert.deepEqual(
+      entry.body.questions.map((q) => q.id),
+      [questionId],
+    );
+
+    const restored = await admin(
+      "POST",
+      `/api/trash/${del.body.trashId}/restore`,
+    );
+    assert.equal(restored.status, 200);
+    assert.deepEqual(await questionIds(examId), [questionId]);
+  });
+
+  test("a question can't be restored while its exam is in trash", async () => {
+    const { examId, questionId } = await examWithQuestion("Ecology");
+    const delQ = await admin(
+      "DELETE",
+      `/exams/${examId}/questions/${questionId}`,
+    );
+    await admin("DELETE", `/exams/${examId}`);
+    const res = await admin("POST", `/api/trash/${delQ.body.trashId}/restore`);
+    assert.equal(res.status, 409);
+  });
+});